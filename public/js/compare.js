@@ -0,0 +1,410 @@
+// compare.js - School comparison page (shareable via /compare?urns=...)
+
+const MAX_COMPARE = 5;
+const COMPARE_STORAGE_KEY = 'compareUrns';
+
+// Global state
+let compareUrns = [];
+let compareSchools = [];
+let knownNames = {}; // urn -> name, for schools picked before the API returns
+
+/* ------------------------------ URL / storage ------------------------------ */
+function readUrnsFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const raw = params.get('urns') || '';
+  return [...new Set(raw.split(',').map(u => u.trim()).filter(u => /^\d+$/.test(u)))].slice(0, MAX_COMPARE);
+}
+
+function readUrnsFromStorage() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.map(String).filter(u => /^\d+$/.test(u)).slice(0, MAX_COMPARE) : [];
+  } catch {
+    return [];
+  }
+}
+
+function persistUrns() {
+  const url = compareUrns.length ? `/compare?urns=${compareUrns.join(',')}` : '/compare';
+  window.history.replaceState(null, '', url);
+  try {
+    localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(compareUrns));
+  } catch {}
+}
+
+function shareUrl() {
+  return `https://www.findschool.uk/compare${compareUrns.length ? `?urns=${compareUrns.join(',')}` : ''}`;
+}
+
+/* --------------------------------- helpers -------------------------------- */
+// escapeHtml comes from main.js
+const num = v => {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+const fmtPct = v => (num(v) === null ? null : `${num(v).toFixed(1)}%`);
+const fmtScore = v => (num(v) === null ? null : num(v).toFixed(1));
+const fmtSigned = v => (num(v) === null ? null : `${num(v) > 0 ? '+' : ''}${num(v).toFixed(2)}`);
+const fmtInt = v => (num(v) === null ? null : formatNumber(num(v)));
+const fmtDate = v => (v ? new Date(v).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' }) : null);
+const fmtGrade = v => (num(v) === null ? null : getOfstedLabel(num(v)));
+
+function humanizeKey(key) {
+  return key
+    .replace(/_/g, ' ')
+    .replace(/\bks(\d)\b/gi, 'KS$1')
+    .replace(/\b\w/g, c => c.toUpperCase());
+}
+
+function componentScore(school, name) {
+  const list = Array.isArray(school.rating_components) ? school.rating_components : [];
+  const found = list.find(c => c && c.name === name);
+  return found ? found.score : null;
+}
+
+/* ------------------------------ row definitions ---------------------------- */
+// better: 'high' | 'low' | undefined (no highlighting)
+const COMPARE_GROUPS = [
+  {
+    title: 'Overview',
+    rows: [
+      { label: 'Overall rating', get: s => s.overall_rating, format: v => (num(v) === null ? null : `${fmtScore(v)}/10`), better: 'high' },
+      { label: 'Percentile in LA', get: s => s.rating_percentile, format: v => (num(v) === null ? null : `${num(v)}th`), better: 'high' },
+      { label: 'Phase', get: s => s.phase },
+      { label: 'Type', get: s => s.type },
+      { label: 'Local authority', get: s => s.address && s.address.local_authority },
+      { label: 'Gender', get: s => s.characteristics && s.characteristics.gender },
+      { label: 'Age range', get: s => s.characteristics && s.characteristics.age_range },
+      { label: 'Religious character', get: s => s.characteristics && s.characteristics.religious_character },
+    ]
+  },
+  {
+    title: 'Rating breakdown',
+    rows: [
+      { label: 'Ofsted score', get: s => componentScore(s, 'ofsted'), format: fmtScore, better: 'high' },
+      { label: 'Academic score', get: s => componentScore(s, 'academic'), format: fmtScore, better: 'high' },
+      { label: 'Attendance score', get: s => componentScore(s, 'attendance'), format: fmtScore, better: 'high' },
+    ]
+  },
+  {
+    title: 'Ofsted',
+    rows: [
+      { label: 'Overall effectiveness', get: s => s.ofsted && s.ofsted.overall_effectiveness, format: fmtGrade, better: 'low' },
+      { label: 'Inspection date', get: s => s.ofsted && s.ofsted.inspection_date, format: fmtDate },
+      { label: 'Quality of education', get: s => s.ofsted && s.ofsted.quality_of_education, format: fmtGrade, better: 'low' },
+      { label: 'Behaviour and attitudes', get: s => s.ofsted && s.ofsted.behaviour_and_attitudes, format: fmtGrade, better: 'low' },
+      { label: 'Personal development', get: s => s.ofsted && s.ofsted.personal_development, format: fmtGrade, better: 'low' },
+      { label: 'Leadership and management', get: s => s.ofsted && s.ofsted.leadership_and_management, format: fmtGrade, better: 'low' },
+    ]
+  },
+  {
+    title: 'Pupils',
+    rows: [
+      { label: 'Number of pupils', get: s => s.demographics && s.demographics.total_students, format: fmtInt },
+      { label: 'Free school meals', get: s => s.demographics && s.demographics.fsm_percentage, format: fmtPct },
+      { label: 'English as additional language', get: s => s.demographics && s.demographics.eal_percentage, format: fmtPct },
+      { label: 'SEN support', get: s => s.demographics && s.demographics.sen_support_percentage, format: fmtPct },
+      { label: 'EHC plan', get: s => s.demographics && s.demographics.sen_ehcp_percentage, format: fmtPct },
+    ]
+  },
+  {
+    title: 'Attendance',
+    rows: [
+      { label: 'Attendance rate', get: s => s.attendance && s.attendance.attendance_rate, format: fmtPct, better: 'high' },
+      { label: 'Persistent absence', get: s => s.attendance && s.attendance.persistent_absence_rate, format: fmtPct, better: 'low' },
+    ]
+  },
+  {
+    title: 'Test scores',
+    rows: [
+      { label: 'English', get: s => s.test_scores && s.test_scores.english.score, format: fmtPct, better: 'high' },
+      { label: 'Maths', get: s => s.test_scores && s.test_scores.math.score, format: fmtPct, better: 'high' },
+      { label: 'Science', get: s => s.test_scores && s.test_scores.science.score, format: fmtPct, better: 'high' },
+    ]
+  },
+  {
+    title: 'Key Stage 2',
+    rows: [
+      { label: 'Meeting expected standard (RWM)', get: s => s.performance.ks2 && s.performance.ks2.rwm_expected_percentage, format: fmtPct, better: 'high' },
+      { label: 'Reading progress', get: s => s.performance.ks2 && s.performance.ks2.reading_progress, format: fmtSigned, better: 'high' },
+      { label: 'Maths progress', get: s => s.performance.ks2 && s.performance.ks2.maths_progress, format: fmtSigned, better: 'high' },
+    ]
+  },
+  {
+    title: 'Key Stage 4',
+    rows: [
+      { label: 'Progress 8', get: s => s.performance.ks4 && s.performance.ks4.progress_8_score, format: fmtSigned, better: 'high' },
+      { label: 'Attainment 8', get: s => s.performance.ks4 && s.performance.ks4.attainment_8_score, format: fmtScore, better: 'high' },
+      { label: 'Grade 5+ in English & maths', get: s => s.performance.ks4 && s.performance.ks4.basics_9_5_percentage, format: fmtPct, better: 'high' },
+    ]
+  },
+];
+
+// KS5 columns vary by source year, so build rows from whatever numeric fields are present
+function ks5Group(schools) {
+  const keys = new Set();
+  schools.forEach(s => {
+    const ks5 = s.performance && s.performance.ks5;
+    if (!ks5) return;
+    Object.entries(ks5).forEach(([key, value]) => {
+      if (key !== 'academic_year' && num(value) !== null) keys.add(key);
+    });
+  });
+  if (!keys.size) return null;
+
+  return {
+    title: 'Key Stage 5',
+    rows: [
+      { label: 'Academic year', get: s => s.performance.ks5 && s.performance.ks5.academic_year },
+      ...[...keys].sort().map(key => ({
+        label: humanizeKey(key),
+        get: s => s.performance.ks5 && s.performance.ks5[key],
+        format: fmtScore
+      }))
+    ]
+  };
+}
+
+/* --------------------------------- render --------------------------------- */
+function renderCompareTable() {
+  const table = document.getElementById('compareTable');
+  const status = document.getElementById('compareStatus');
+
+  if (compareSchools.length < 2) {
+    table.hidden = true;
+    status.hidden = false;
+    const picked = compareUrns.map(u => knownNames[u]).filter(Boolean);
+    status.className = 'compare-empty';
+    status.innerHTML = `
+      <h2>Add ${compareUrns.length ? 'another school' : 'schools'} to compare</h2>
+      <p>${picked.length
+        ? `You have picked <strong>${picked.map(escapeHtml).join(', ')}</strong>. Add at least one more school using the search box above.`
+        : 'Search for two or more schools above to see them side by side.'}</p>`;
+    return;
+  }
+
+  status.className = 'loading';
+  status.hidden = true;
+
+  const header = `
+    <thead>
+      <tr>
+        <th class="row-label"></th>
+        ${compareSchools.map(s => `
+          <th>
+            <button type="button" class="compare-remove" data-urn="${s.urn}" aria-label="Remove ${escapeHtml(s.name)}">×</button>
+            <a class="compare-school-name" href="${schoolPathFromData(s)}">${escapeHtml(s.name)}</a>
+            <span class="compare-school-meta">${escapeHtml([s.address.town, s.address.postcode].filter(Boolean).join(' • '))}</span>
+          </th>`).join('')}
+      </tr>
+    </thead>`;
+
+  const groups = [...COMPARE_GROUPS, ks5Group(compareSchools)].filter(Boolean);
+  const body = groups.map(group => {
+    const rows = group.rows.map(row => {
+      const values = compareSchools.map(s => {
+        try { return row.get(s); } catch { return null; }
+      });
+      if (values.every(v => v === null || v === undefined || v === '')) return '';
+
+      // Highlight the best value when at least two schools have data
+      let best = null;
+      const numeric = values.map(num).filter(v => v !== null);
+      if (row.better && numeric.length > 1) {
+        best = row.better === 'high' ? Math.max(...numeric) : Math.min(...numeric);
+      }
+
+      const cells = values.map(v => {
+        const text = row.format ? row.format(v) : v;
+        if (text === null || text === undefined || text === '') return '<td class="empty">–</td>';
+        const isBest = best !== null && num(v) === best;
+        return `<td${isBest ? ' class="best"' : ''}>${escapeHtml(text)}</td>`;
+      }).join('');
+      return `<tr><th class="row-label" scope="row">${escapeHtml(row.label)}</th>${cells}</tr>`;
+    }).join('');
+
+    if (!rows) return '';
+    return `<tbody>
+      <tr class="group-row"><th class="row-label" scope="rowgroup">${escapeHtml(group.title)}</th><th colspan="${compareSchools.length}"></th></tr>
+      ${rows}
+    </tbody>`;
+  }).join('');
+
+  table.innerHTML = header + body;
+  table.hidden = false;
+
+  table.querySelectorAll('.compare-remove').forEach(btn => {
+    btn.addEventListener('click', () => removeSchool(btn.dataset.urn));
+  });
+}
+
+function updateCompareMeta() {
+  const names = compareSchools.map(s => s.name);
+  const title = names.length >= 2
+    ? `${names.join(' vs ')} | Compare Schools | FindSchool.uk`
+    : 'Compare Schools Side by Side | FindSchool.uk';
+  document.title = title;
+  const titleEl = document.getElementById('pageTitle');
+  if (titleEl) titleEl.textContent = title;
+  const ogTitle = document.getElementById('ogTitle');
+  if (ogTitle) ogTitle.setAttribute('content', title);
+  const ogUrl = document.getElementById('ogUrl');
+  if (ogUrl) ogUrl.setAttribute('content', shareUrl());
+}
+
+function updateAddInput() {
+  const input = document.getElementById('compareSearchInput');
+  const full = compareUrns.length >= MAX_COMPARE;
+  input.disabled = full;
+  input.placeholder = full
+    ? `Maximum of ${MAX_COMPARE} schools - remove one to add another`
+    : 'Add a school by name or postcode...';
+}
+
+/* ---------------------------------- data ---------------------------------- */
+async function loadComparison() {
+  persistUrns();
+  updateAddInput();
+
+  if (compareUrns.length < 2) {
+    compareSchools = [];
+    // A single school from a shared link or the profile page: look up its name for the prompt
+    const missing = compareUrns.filter(u => !knownNames[u]);
+    for (const urn of missing) {
+      const data = await getSchool(urn);
+      if (data && data.school) knownNames[urn] = data.school.name;
+    }
+    renderCompareTable();
+    updateCompareMeta();
+    return;
+  }
+
+  const status = document.getElementById('compareStatus');
+  status.hidden = false;
+  status.className = 'loading';
+  status.textContent = 'Loading comparison...';
+
+  try {
+    const res = await fetch(`${API_BASE_URL}/schools/compare?urns=${compareUrns.join(',')}`);
+    const data = await res.json();
+    if (!res.ok || !data.success) throw new Error(data.error || 'Failed to load comparison');
+
+    // Drop URNs that no longer exist so the shared link stays clean
+    if (data.not_found && data.not_found.length) {
+      compareUrns = compareUrns.filter(u => !data.not_found.includes(u));
+      persistUrns();
+    }
+    compareSchools = data.schools || [];
+    compareSchools.forEach(s => { knownNames[String(s.urn)] = s.name; });
+    renderCompareTable();
+    updateCompareMeta();
+  } catch (error) {
+    console.error('Error loading comparison:', error);
+    status.className = 'compare-empty';
+    status.innerHTML = '<h2>Something went wrong</h2><p>We could not load this comparison. Please try again later.</p>';
+    document.getElementById('compareTable').hidden = true;
+  }
+}
+
+function addSchool(urn, name) {
+  urn = String(urn);
+  if (!/^\d+$/.test(urn) || compareUrns.includes(urn) || compareUrns.length >= MAX_COMPARE) return;
+  if (name) knownNames[urn] = name;
+  compareUrns.push(urn);
+  loadComparison();
+}
+
+function removeSchool(urn) {
+  compareUrns = compareUrns.filter(u => u !== String(urn));
+  compareSchools = compareSchools.filter(s => String(s.urn) !== String(urn));
+  loadComparison();
+}
+
+/* ------------------------------ autocomplete ------------------------------ */
+function initCompareSearch() {
+  const input = document.getElementById('compareSearchInput');
+  const list = document.getElementById('compareSuggestions');
+  let items = [];
+  let active = -1;
+  let debounceTimer;
+
+  const hide = () => { list.classList.add('hidden'); items = []; active = -1; };
+
+  const pick = (school) => {
+    if (!school) return;
+    addSchool(school.urn, school.name);
+    input.value = '';
+    hide();
+  };
+
+  const render = () => {
+    if (!items.length) {
+      list.innerHTML = '<div class="compare-suggestion compare-suggestion-meta">No matching schools</div>';
+    } else {
+      list.innerHTML = items.map((s, i) => `
+        <div class="compare-suggestion${i === active ? ' active' : ''}" role="option" data-index="${i}">
+          <div>${escapeHtml(s.name)}</div>
+          <div class="compare-suggestion-meta">${escapeHtml([s.town, s.postcode].filter(Boolean).join(' • '))}</div>
+        </div>`).join('');
+      list.querySelectorAll('[data-index]').forEach(el => {
+        el.addEventListener('mousedown', e => { e.preventDefault(); pick(items[Number(el.dataset.index)]); });
+      });
+    }
+    list.classList.remove('hidden');
+  };
+
+  input.addEventListener('input', () => {
+    clearTimeout(debounceTimer);
+    const q = input.value.trim();
+    if (q.length < 2) return hide();
+    debounceTimer = setTimeout(async () => {
+      try {
+        const suggestions = await getSearchSuggestions(q, { types: 'school', limit: 8 });
+        items = suggestions
+          .map(s => ({ urn: s.urn, name: s.text, town: s.town, postcode: s.postcode }))
+          .filter(s => !compareUrns.includes(String(s.urn)));
+        active = -1;
+        render();
+      } catch (error) {
+        console.error('Error fetching school suggestions:', error);
+      }
+    }, 250);
+  });
+
+  input.addEventListener('keydown', e => {
+    if (list.classList.contains('hidden') || !items.length) return;
+    if (e.key === 'ArrowDown') { e.preventDefault(); active = (active + 1) % items.length; render(); }
+    else if (e.key === 'ArrowUp') { e.preventDefault(); active = (active - 1 + items.length) % items.length; render(); }
+    else if (e.key === 'Enter') { e.preventDefault(); pick(items[Math.max(active, 0)]); }
+    else if (e.key === 'Escape') hide();
+  });
+
+  input.addEventListener('blur', () => setTimeout(hide, 150));
+}
+
+/* --------------------------------- init ----------------------------------- */
+document.addEventListener('DOMContentLoaded', () => {
+  const fromUrl = readUrnsFromUrl();
+  compareUrns = fromUrl.length ? fromUrl : readUrnsFromStorage();
+
+  initCompareSearch();
+
+  document.getElementById('copyCompareLink').addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl());
+      document.getElementById('copyCompareLink').textContent = '✅ Link copied';
+    } catch {
+      window.prompt('Copy this link to share your comparison:', shareUrl());
+    }
+  });
+
+  document.getElementById('clearCompare').addEventListener('click', () => {
+    compareUrns = [];
+    compareSchools = [];
+    loadComparison();
+  });
+
+  loadComparison();
+});
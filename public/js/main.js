@@ -153,6 +153,15 @@ function ensureFavicon() {
     shortcutLink.type = 'image/x-icon';
 }
 
+// Text -> HTML-safe text, for every page that builds markup from API data
+function escapeHtml(str) {
+    return String(str ?? '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+}
+
+window.escapeHtml = escapeHtml;
+
 // Utility function to format numbers
 function formatNumber(num) {
     if (!num) return '-';
@@ -181,6 +190,31 @@ window.schoolSlug = schoolSlug;
 window.schoolPath = schoolPathFromData;
 window.schoolPathFromData = schoolPathFromData;
 
+// Personalised rating weights travel in the URL as ?weights=ofsted:40,reviews:60
+// (see src/services/personalRating.js). Weight inputs carry data-weight="<component>".
+function readRatingWeights(root) {
+    const parts = [];
+    root.querySelectorAll('[data-weight]').forEach(input => {
+        const value = Number(input.value);
+        if (input.value.trim() !== '' && value > 0) parts.push(`${input.dataset.weight}:${value}`);
+    });
+    return parts.join(',');
+}
+
+function fillRatingWeights(root, weights) {
+    const values = {};
+    (weights || '').split(',').forEach(part => {
+        const [key, value] = part.split(':');
+        if (key && value) values[key.trim()] = value.trim();
+    });
+    root.querySelectorAll('[data-weight]').forEach(input => {
+        input.value = values[input.dataset.weight] ?? '';
+    });
+}
+
+window.readRatingWeights = readRatingWeights;
+window.fillRatingWeights = fillRatingWeights;
+
 // Map tiles helper to comply with OSM tile usage policy
 // Prefer a commercial/free key-based provider if a public key is available.
 // Fallback to CARTO basemaps (which allow anonymous usage with attribution) rather than OSM tiles.
@@ -349,37 +383,15 @@ function getOfstedLabel(rating) {
     return labels[rating] || 'Not Inspected';
 }
 
-async function getSearchSuggestions(query) {
-  if (!query || query.length < 2) return [];
+// Suggestions from the shared suggester (/api/search/suggest), used by every search box
+async function getSearchSuggestions(query, { types, limit } = {}) {
+  if (!query || query.trim().length < 2) return [];
+  const params = new URLSearchParams({ q: query.trim() });
+  if (types) params.append('types', types);
+  if (limit) params.append('limit', limit);
   try {
-    const res = await fetch(`/api/search/suggest?q=${encodeURIComponent(query)}`);
-    const data = await res.json();
-
-    const schools = (data.schools || []).map(s => ({
-      type: 'school',
-      id: s.urn,
-      suggestion: s.name,
-      town: s.town,
-      postcode: s.postcode,
-      overall_rating: s.overall_rating
-    }));
-
-    const cities = (data.cities || []).map(c => ({
-      type: 'city',
-      suggestion: c.town
-    }));
-
-    const las = (data.authorities || []).map(a => ({
-      type: 'la',
-      suggestion: a.local_authority
-    }));
-
-    const pcs = (data.postcodes || []).map(p => ({
-      type: 'pc',
-      suggestion: p.postcode
-    }));
-
-    return [...schools, ...cities, ...las, ...pcs];
+    const data = await fetch(`${API_BASE_URL}/search/suggest?${params}`).then(r => r.json());
+    return data.suggestions || [];
   } catch (e) {
     console.error('Error fetching suggestions:', e);
     return [];
@@ -387,19 +399,61 @@ async function getSearchSuggestions(query) {
 }
 
 
-// Display search suggestions
-function displaySuggestions(suggestions, inputElement) {
-    // Remove existing suggestions container
+// Suggestion label as HTML with the matched parts wrapped in <mark>
+function highlightSuggestion(suggestion) {
+    const text = suggestion.text || '';
+    let html = '';
+    let pos = 0;
+    (suggestion.highlight || []).forEach(([start, end]) => {
+        html += escapeHtml(text.slice(pos, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        pos = end;
+    });
+    return html + escapeHtml(text.slice(pos));
+}
+
+const SUGGESTION_ICONS = { school: '🏫', town: '📍', la: '🏛️', constituency: '🗳️', district: '📮', trust: '🤝' };
+
+// Where a suggestion leads: school page, map around a place, or a trust's schools
+function suggestionUrl(suggestion) {
+    if (suggestion.type === 'school') {
+        return schoolPathFromData({ urn: suggestion.urn, name: suggestion.text });
+    }
+    if (suggestion.type === 'trust') {
+        return `/search?${new URLSearchParams({ trust: suggestion.text })}`;
+    }
+    if (suggestion.lat != null && suggestion.lng != null) {
+        // Places carry a centroid, so jump straight to a map-centred nearby search
+        const params = new URLSearchParams({
+            lat: Number(suggestion.lat).toFixed(5),
+            lng: Number(suggestion.lng).toFixed(5),
+            place: suggestion.text
+        });
+        return `/search?${params}`;
+    }
+    return `/search?${new URLSearchParams({ area: suggestion.text })}`;
+}
+
+window.getSearchSuggestions = getSearchSuggestions;
+window.highlightSuggestion = highlightSuggestion;
+window.suggestionUrl = suggestionUrl;
+
+function removeSuggestionsDropdown() {
     const existingSuggestions = document.querySelector('.search-suggestions-dropdown');
     if (existingSuggestions) {
         existingSuggestions.remove();
     }
+}
+
+// Display search suggestions
+function displaySuggestions(suggestions, inputElement) {
+    removeSuggestionsDropdown();
     
     if (!suggestions || suggestions.length === 0) return;
     
     // Create suggestions container
     const suggestionsDiv = document.createElement('div');
     suggestionsDiv.className = 'search-suggestions-dropdown';
+    suggestionsDiv.setAttribute('role', 'listbox');
     suggestionsDiv.style.cssText = `
         position: absolute;
         top: 100%;
@@ -419,6 +473,7 @@ function displaySuggestions(suggestions, inputElement) {
     suggestions.forEach(suggestion => {
         const item = document.createElement('div');
         item.className = 'suggestion-item';
+        item.setAttribute('role', 'option');
         item.style.cssText = `
             padding: 12px 16px;
             cursor: pointer;
@@ -429,19 +484,11 @@ function displaySuggestions(suggestions, inputElement) {
             transition: background 0.2s;
         `;
         
-        // Add icon based on type
-        const icon =
-        suggestion.type === 'school' ? '🏫' :
-        suggestion.type === 'city'   ? '📍' :
-        suggestion.type === 'pc'     ? '📮' :
-        suggestion.type === 'la'     ? '🏛️' : '📍';
-
-        
         item.innerHTML = `
-            <span style="font-size: 1.2em;">${icon}</span>
+            <span style="font-size: 1.2em;">${SUGGESTION_ICONS[suggestion.type] || '📍'}</span>
             <div style="flex: 1;">
-                <div style="font-weight: 500; color: #111827;">${suggestion.suggestion}</div>
-                <div style="font-size: 0.875rem; color: #6b7280; text-transform: capitalize;">${suggestion.type}</div>
+                <div style="font-weight: 500; color: #111827;">${highlightSuggestion(suggestion)}</div>
+                <div style="font-size: 0.875rem; color: #6b7280;">${escapeHtml(suggestion.description || '')}</div>
             </div>
         `;
 
@@ -458,24 +505,14 @@ function displaySuggestions(suggestions, inputElement) {
             item.style.background = '#f9fafb';
         });
         item.addEventListener('mouseleave', () => {
-            item.style.background = 'white';
+            item.style.background = item.classList.contains('active') ? '#f3f4f6' : 'white';
         });
         
         // Handle click
         item.addEventListener('click', () => {
-            inputElement.value = suggestion.suggestion;
+            inputElement.value = suggestion.text;
             suggestionsDiv.remove();
-            
-            // If it's a school, go directly to the school page
-            if (suggestion.type === 'school' && suggestion.id) {
-                window.location.href = schoolPathFromData({ urn: suggestion.id, name: suggestion.suggestion });
-            } else {
-                // Otherwise, perform a search
-                const form = inputElement.closest('form');
-                if (form) {
-                    form.dispatchEvent(new Event('submit'));
-                }
-            }
+            window.location.href = suggestionUrl(suggestion);
         });
         
         suggestionsDiv.appendChild(item);
@@ -487,6 +524,28 @@ function displaySuggestions(suggestions, inputElement) {
     inputParent.appendChild(suggestionsDiv);
 }
 
+// Arrow keys move through the open dropdown; Enter follows the active suggestion
+function moveSuggestionFocus(e) {
+    const dropdown = document.querySelector('.search-suggestions-dropdown');
+    if (!dropdown) return;
+    const items = Array.from(dropdown.querySelectorAll('.suggestion-item'));
+    const current = items.findIndex(el => el.classList.contains('active'));
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        const next = (current + step + items.length) % items.length;
+        items.forEach((el, i) => {
+            el.classList.toggle('active', i === next);
+            el.style.background = i === next ? '#f3f4f6' : 'white';
+        });
+        items[next].scrollIntoView({ block: 'nearest' });
+    } else if (e.key === 'Enter' && current >= 0) {
+        e.preventDefault();
+        items[current].click();
+    }
+}
+
 // Initialize on DOM load
 document.addEventListener('DOMContentLoaded', function() {
     ensureFavicon();
@@ -495,7 +554,8 @@ document.addEventListener('DOMContentLoaded', function() {
     loadComponents();
     
     // Set up search input with autocomplete
-    const searchInputs = document.querySelectorAll('#searchInput, #mainSearchInput');
+    // Pages with their own dropdown (data-suggest="custom") use the helpers above directly
+    const searchInputs = document.querySelectorAll('#searchInput:not([data-suggest="custom"]), #mainSearchInput:not([data-suggest="custom"])');
     searchInputs.forEach(input => {
         if (input) {
             let debounceTimer;
@@ -533,13 +593,12 @@ document.addEventListener('DOMContentLoaded', function() {
                 }
             });
             
-            // Hide suggestions on escape key
+            // Keyboard navigation; Escape hides suggestions
             input.addEventListener('keydown', function(e) {
                 if (e.key === 'Escape') {
-                    const existingSuggestions = document.querySelector('.search-suggestions-dropdown');
-                    if (existingSuggestions) {
-                        existingSuggestions.remove();
-                    }
+                    removeSuggestionsDropdown();
+                } else {
+                    moveSuggestionFocus(e);
                 }
             });
         }
@@ -695,7 +754,7 @@ function updateNearbySchools(schools) {
         <div class="nearby-school" onclick="window.location.href='${schoolPathFromData(school)}'">
             <div>
                 <div class="nearby-school-name">${school.name}</div>
-                <div class="nearby-school-distance">${school.type_of_establishment}</div>
+                <div class="nearby-school-distance">${school.distance_miles != null ? `${Number(school.distance_miles).toFixed(1)} miles` : school.type_of_establishment}</div>
             </div>
             <div class="nearby-school-rating">${school.overall_rating}/10</div>
         </div>
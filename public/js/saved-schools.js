@@ -0,0 +1,259 @@
+// saved-schools.js - Parent account sign-in and saved-school shortlists (/saved-schools)
+
+const DEFAULT_SHORTLIST_NAME = 'My shortlist';
+
+// Global state
+let currentUser = null;
+let shortlists = [];
+
+/* --------------------------------- helpers -------------------------------- */
+// escapeHtml comes from main.js
+// JSON fetch that always sends the session cookie and surfaces API error messages
+async function api(path, options = {}) {
+  const res = await fetch(`${API_BASE_URL}${path}`, {
+    credentials: 'same-origin',
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+    body: options.body ? JSON.stringify(options.body) : undefined,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data.error || 'Something went wrong');
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
+function pendingSaveUrn() {
+  const urn = new URLSearchParams(window.location.search).get('save');
+  return urn && /^\d+$/.test(urn) ? urn : null;
+}
+
+function setStatus(message) {
+  const status = document.getElementById('savedStatus');
+  status.hidden = !message;
+  status.textContent = message || '';
+}
+
+function showFormError(id, message) {
+  const el = document.getElementById(id);
+  el.hidden = !message;
+  el.textContent = message || '';
+}
+
+/* --------------------------------- render --------------------------------- */
+function renderSignedOut() {
+  currentUser = null;
+  setStatus(pendingSaveUrn() ? 'Sign in or create a free account to save this school.' : '');
+  document.getElementById('authPanel').hidden = false;
+  document.getElementById('shortlistPanel').hidden = true;
+  document.getElementById('signOutBtn').hidden = true;
+  document.getElementById('savedSubtitle').textContent =
+    'Keep shortlists of schools you like, with private notes only you can see.';
+}
+
+function renderSchool(list, s) {
+  const meta = [s.phase_of_education, s.town, s.postcode].filter(Boolean).join(' • ');
+  const ofsted = s.ofsted_rating ? `Ofsted: ${getOfstedLabel(Number(s.ofsted_rating))}` : '';
+  const rating = s.overall_rating !== null ? `${Number(s.overall_rating).toFixed(1)}/10` : 'No rating';
+  const name = s.name || `School ${s.urn}`;
+
+  return `
+    <div class="saved-school">
+      <div>
+        <a class="saved-school-name" href="${schoolPathFromData(s)}">${escapeHtml(name)}</a>
+        <div class="saved-school-meta">${escapeHtml([meta, ofsted].filter(Boolean).join(' • '))}</div>
+      </div>
+      <div class="saved-school-actions">
+        <div class="saved-school-rating">${escapeHtml(rating)}</div>
+        <button type="button" class="link-btn danger" data-action="remove-school" data-list="${list.id}" data-urn="${s.urn}">Remove</button>
+      </div>
+      <textarea class="saved-school-notes" data-list="${list.id}" data-urn="${s.urn}" maxlength="2000"
+        placeholder="Private notes (only you can see these)">${escapeHtml(s.notes || '')}</textarea>
+    </div>`;
+}
+
+function renderShortlists() {
+  const container = document.getElementById('shortlists');
+
+  if (!shortlists.length) {
+    container.innerHTML = `
+      <div class="section-card">
+        <p class="shortlist-empty">You have no shortlists yet. Create one above, then use <strong>⭐ Save School</strong> on any school page.</p>
+      </div>`;
+    return;
+  }
+
+  container.innerHTML = shortlists.map(list => {
+    const urns = list.schools.map(s => s.urn);
+    const compare = urns.length >= 2
+      ? `<a class="link-btn" href="/compare?urns=${urns.slice(0, 5).join(',')}">Compare${urns.length > 5 ? ' first 5' : ''}</a>`
+      : '';
+
+    return `
+      <div class="section-card" data-list="${list.id}">
+        <div class="shortlist-header">
+          <h2 class="section-title">${escapeHtml(list.name)} <span class="saved-school-meta">(${list.schools.length})</span></h2>
+          ${compare}
+          <button type="button" class="link-btn" data-action="rename" data-list="${list.id}">Rename</button>
+          <button type="button" class="link-btn danger" data-action="delete" data-list="${list.id}">Delete</button>
+        </div>
+        ${list.schools.length
+          ? list.schools.map(s => renderSchool(list, s)).join('')
+          : '<p class="shortlist-empty">No schools saved yet. Use <strong>⭐ Save School</strong> on any school page.</p>'}
+      </div>`;
+  }).join('');
+}
+
+function renderSignedIn() {
+  setStatus('');
+  document.getElementById('authPanel').hidden = true;
+  document.getElementById('shortlistPanel').hidden = false;
+  document.getElementById('signOutBtn').hidden = false;
+  document.getElementById('savedSubtitle').textContent =
+    `Signed in as ${currentUser.display_name || currentUser.email}`;
+  renderShortlists();
+}
+
+/* ---------------------------------- data ---------------------------------- */
+async function loadShortlists() {
+  const data = await api('/me/shortlists');
+  shortlists = data.shortlists || [];
+}
+
+// Finishes a "Save School" click that had to go via the sign-in form first
+async function completePendingSave() {
+  const urn = pendingSaveUrn();
+  if (!urn) return;
+
+  let target = shortlists[0];
+  if (!target) {
+    const created = await api('/me/shortlists', { method: 'POST', body: { name: DEFAULT_SHORTLIST_NAME } });
+    target = created.shortlist;
+  }
+  await api(`/me/shortlists/${target.id}/schools`, { method: 'POST', body: { urn } });
+  window.history.replaceState(null, '', '/saved-schools');
+  await loadShortlists();
+}
+
+async function loadAccount() {
+  try {
+    const data = await api('/me');
+    currentUser = data.user;
+  } catch (error) {
+    if (error.status === 401) return renderSignedOut();
+    console.error('Error loading account:', error);
+    setStatus('We could not load your saved schools. Please try again later.');
+    return;
+  }
+
+  try {
+    await loadShortlists();
+    await completePendingSave();
+    renderSignedIn();
+  } catch (error) {
+    console.error('Error loading shortlists:', error);
+    setStatus('We could not load your saved schools. Please try again later.');
+  }
+}
+
+/* --------------------------------- actions -------------------------------- */
+async function handleAuthSubmit(e, path, body, errorId) {
+  e.preventDefault();
+  showFormError(errorId, '');
+  const button = e.target.querySelector('button[type="submit"]');
+  button.disabled = true;
+  try {
+    await api(path, { method: 'POST', body });
+    await loadAccount();
+  } catch (error) {
+    showFormError(errorId, error.message);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function handleShortlistClick(e) {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const list = shortlists.find(l => String(l.id) === btn.dataset.list);
+  if (!list) return;
+
+  try {
+    if (btn.dataset.action === 'rename') {
+      const name = window.prompt('Rename shortlist', list.name);
+      if (!name || !name.trim() || name.trim() === list.name) return;
+      await api(`/me/shortlists/${list.id}`, { method: 'PATCH', body: { name: name.trim() } });
+    } else if (btn.dataset.action === 'delete') {
+      if (!window.confirm(`Delete "${list.name}" and its notes?`)) return;
+      await api(`/me/shortlists/${list.id}`, { method: 'DELETE' });
+    } else if (btn.dataset.action === 'remove-school') {
+      await api(`/me/shortlists/${list.id}/schools/${btn.dataset.urn}`, { method: 'DELETE' });
+    }
+    await loadShortlists();
+    renderShortlists();
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+// Notes save when the textarea loses focus, and only if they changed
+async function handleNotesBlur(e) {
+  const area = e.target;
+  if (!area.classList.contains('saved-school-notes')) return;
+  const list = shortlists.find(l => String(l.id) === area.dataset.list);
+  const school = list && list.schools.find(s => String(s.urn) === area.dataset.urn);
+  if (!school || (school.notes || '') === area.value) return;
+
+  try {
+    await api(`/me/shortlists/${list.id}/schools/${school.urn}`, { method: 'PATCH', body: { notes: area.value } });
+    school.notes = area.value;
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+/* --------------------------------- init ----------------------------------- */
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('loginForm').addEventListener('submit', e => handleAuthSubmit(e, '/auth/login', {
+    email: document.getElementById('loginEmail').value,
+    password: document.getElementById('loginPassword').value,
+  }, 'loginError'));
+
+  document.getElementById('registerForm').addEventListener('submit', e => handleAuthSubmit(e, '/auth/register', {
+    display_name: document.getElementById('registerName').value,
+    email: document.getElementById('registerEmail').value,
+    password: document.getElementById('registerPassword').value,
+  }, 'registerError'));
+
+  document.getElementById('newShortlistForm').addEventListener('submit', async e => {
+    e.preventDefault();
+    const input = document.getElementById('newShortlistName');
+    if (!input.value.trim()) return;
+    try {
+      await api('/me/shortlists', { method: 'POST', body: { name: input.value.trim() } });
+      input.value = '';
+      await loadShortlists();
+      renderShortlists();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  document.getElementById('signOutBtn').addEventListener('click', async () => {
+    try {
+      await api('/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+    shortlists = [];
+    renderSignedOut();
+  });
+
+  const container = document.getElementById('shortlists');
+  container.addEventListener('click', handleShortlistClick);
+  container.addEventListener('focusout', handleNotesBlur);
+
+  loadAccount();
+});
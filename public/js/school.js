@@ -276,7 +276,13 @@ async function loadSchoolData() {
   }
 
   try {
-    const res = await fetch(`/api/schools/${urn}`);
+    // ?weights=... (kept from a personalised search) adds school.personalised_rating
+    const weights = new URLSearchParams(window.location.search).get('weights');
+    let res = await fetch(`/api/schools/${urn}${weights ? `?weights=${encodeURIComponent(weights)}` : ''}`);
+    if (res.status === 400 && weights) {
+      console.warn('Ignoring invalid rating weights', weights);
+      res = await fetch(`/api/schools/${urn}`);
+    }
     const payload = await res.json();
 
     if (!payload || !payload.school) throw new Error('Invalid school payload');
@@ -621,11 +627,12 @@ function updateNearbySchools(schools) {
     const cls = badgeClass(s.overall_rating);
     const active = currentUrn && String(s.urn) === currentUrn ? ' is-active' : '';
     const href = window.schoolPath ? window.schoolPath(s) : `/school/${s.urn}`;
+    const distance = s.distance_miles != null ? `${Number(s.distance_miles).toFixed(1)} mi • ` : '';
     return `
       <a class="nearby-card${active}" href="${esc(href)}" role="listitem" aria-label="${esc(s.name)}">
         <div class="nearby-card__main">
           <div class="nearby-card__title">${esc(s.name)}</div>
-          <div class="nearby-card__meta">${esc(s.type_of_establishment || 'School')} • ${esc(s.postcode || '')}</div>
+          <div class="nearby-card__meta">${esc(distance)}${esc(s.type_of_establishment || 'School')} • ${esc(s.postcode || '')}</div>
         </div>
         <div class="nearby-card__rating ${cls}" aria-label="Rating">${ratingVal}/10</div>
         <svg class="nearby-card__chev" viewBox="0 0 24 24" fill="none" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
@@ -801,6 +808,55 @@ window.showSubjectInfo = function (subject) {
   // placeholder for info modal
 };
 
+// Add this school to the comparison list (shared with compare.js) and open /compare
+window.addToCompare = function () {
+  if (!window.currentSchoolData || !window.currentSchoolData.urn) return;
+  const urn = String(window.currentSchoolData.urn);
+  let urns = [];
+  try {
+    urns = JSON.parse(localStorage.getItem('compareUrns') || '[]').map(String);
+  } catch {}
+  urns = [...urns.filter(u => u !== urn), urn].slice(-5);
+  try { localStorage.setItem('compareUrns', JSON.stringify(urns)); } catch {}
+  window.location.href = `/compare?urns=${urns.join(',')}`;
+};
+
+// Save this school to the parent's first shortlist; signed-out visitors go via /saved-schools
+window.saveSchool = async function () {
+  if (!window.currentSchoolData || !window.currentSchoolData.urn) return;
+  const urn = String(window.currentSchoolData.urn);
+  const json = { credentials: 'same-origin', headers: { 'Content-Type': 'application/json' } };
+
+  try {
+    const me = await fetch(`${API_BASE_URL}/me`, json);
+    if (me.status === 401) {
+      window.location.href = `/saved-schools?save=${urn}`;
+      return;
+    }
+
+    const lists = await (await fetch(`${API_BASE_URL}/me/shortlists`, json)).json();
+    let target = (lists.shortlists || [])[0];
+    if (!target) {
+      const created = await fetch(`${API_BASE_URL}/me/shortlists`, {
+        ...json, method: 'POST', body: JSON.stringify({ name: 'My shortlist' }),
+      });
+      target = (await created.json()).shortlist;
+    }
+
+    const saved = await fetch(`${API_BASE_URL}/me/shortlists/${target.id}/schools`, {
+      ...json, method: 'POST', body: JSON.stringify({ urn }),
+    });
+    if (!saved.ok) throw new Error((await saved.json()).error || 'Failed to save school');
+
+    if (window.confirm(`Saved to "${target.name}". View your saved schools now?`)) {
+      window.location.href = '/saved-schools';
+    }
+  } catch (error) {
+    console.error('Error saving school:', error);
+    alert('Sorry, we could not save this school. Please try again.');
+  }
+};
+
 // Re-render everything if components arrive after data
 window.renderSchoolUIFromCache = function () {
   if (window.currentSchoolData) {
@@ -0,0 +1,255 @@
+// import_postcodes.js
+// Loads postcode coordinates into uk_postcodes (scripts/migrations/009_postcodes.sql).
+//
+// Accepts either:
+//   - the ONS Postcode Directory (ONSPD) CSV: uses pcds, doterm, lat and long
+//   - Code-Point Open: a directory of headerless per-area CSVs (or one of them);
+//     eastings/northings are converted from OSGB36 to WGS84 here
+//
+// Rows are upserted, so re-running with a newer release updates coordinates and
+// marks postcodes terminated since the last import.
+// Usage: node scripts/import_postcodes.js <file-or-directory> [--format onspd|codepoint]
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { pool, closePool } = require('../src/config/database');
+const { normalisePostcode } = require('../src/services/postcodes');
+
+const BATCH_SIZE = 5000;
+
+// Splits one CSV line, honouring double-quoted fields
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { fields.push(field); field = ''; }
+    else field += ch;
+  }
+  fields.push(field);
+  return fields;
+}
+
+// --- OSGB36 national grid -> WGS84 (Ordnance Survey's published formulae; ~5m accuracy) ---
+
+const AIRY = { a: 6377563.396, b: 6356256.909 };
+const WGS84 = { a: 6378137, b: 6356752.3142 };
+const rad = (deg) => (deg * Math.PI) / 180;
+const deg = (r) => (r * 180) / Math.PI;
+
+// Inverse Transverse Mercator onto the Airy 1830 ellipsoid
+function gridToOsgb36(E, N) {
+  const { a, b } = AIRY;
+  const F0 = 0.9996012717;
+  const lat0 = rad(49);
+  const lon0 = rad(-2);
+  const N0 = -100000;
+  const E0 = 400000;
+  const e2 = 1 - (b * b) / (a * a);
+  const n = (a - b) / (a + b);
+  const n2 = n * n;
+  const n3 = n2 * n;
+
+  let lat = lat0;
+  let M = 0;
+  do {
+    lat = (N - N0 - M) / (a * F0) + lat;
+    const Ma = (1 + n + (5 / 4) * n2 + (5 / 4) * n3) * (lat - lat0);
+    const Mb = (3 * n + 3 * n2 + (21 / 8) * n3) * Math.sin(lat - lat0) * Math.cos(lat + lat0);
+    const Mc = ((15 / 8) * n2 + (15 / 8) * n3) * Math.sin(2 * (lat - lat0)) * Math.cos(2 * (lat + lat0));
+    const Md = (35 / 24) * n3 * Math.sin(3 * (lat - lat0)) * Math.cos(3 * (lat + lat0));
+    M = b * F0 * (Ma - Mb + Mc - Md);
+  } while (Math.abs(N - N0 - M) >= 0.00001);
+
+  const sinLat = Math.sin(lat);
+  const nu = (a * F0) / Math.sqrt(1 - e2 * sinLat * sinLat);
+  const rho = (a * F0 * (1 - e2)) / Math.pow(1 - e2 * sinLat * sinLat, 1.5);
+  const eta2 = nu / rho - 1;
+  const tan = Math.tan(lat);
+  const tan2 = tan * tan;
+  const tan4 = tan2 * tan2;
+  const tan6 = tan4 * tan2;
+  const sec = 1 / Math.cos(lat);
+
+  const VII = tan / (2 * rho * nu);
+  const VIII = (tan / (24 * rho * nu ** 3)) * (5 + 3 * tan2 + eta2 - 9 * tan2 * eta2);
+  const IX = (tan / (720 * rho * nu ** 5)) * (61 + 90 * tan2 + 45 * tan4);
+  const X = sec / nu;
+  const XI = (sec / (6 * nu ** 3)) * (nu / rho + 2 * tan2);
+  const XII = (sec / (120 * nu ** 5)) * (5 + 28 * tan2 + 24 * tan4);
+  const XIIA = (sec / (5040 * nu ** 7)) * (61 + 662 * tan2 + 1320 * tan4 + 720 * tan6);
+
+  const dE = E - E0;
+  return {
+    lat: lat - VII * dE ** 2 + VIII * dE ** 4 - IX * dE ** 6,
+    lon: lon0 + X * dE - XI * dE ** 3 + XII * dE ** 5 - XIIA * dE ** 7,
+  };
+}
+
+// Seven-parameter Helmert shift from OSGB36 to WGS84 via cartesian coordinates
+function osgb36ToWgs84({ lat, lon }) {
+  const e2a = 1 - (AIRY.b * AIRY.b) / (AIRY.a * AIRY.a);
+  const nuA = AIRY.a / Math.sqrt(1 - e2a * Math.sin(lat) ** 2);
+  const x = nuA * Math.cos(lat) * Math.cos(lon);
+  const y = nuA * Math.cos(lat) * Math.sin(lon);
+  const z = nuA * (1 - e2a) * Math.sin(lat);
+
+  const tx = 446.448, ty = -125.157, tz = 542.060;
+  const s = 1 + -20.4894e-6;
+  const arcsec = (v) => rad(v / 3600);
+  const rx = arcsec(0.1502), ry = arcsec(0.2470), rz = arcsec(0.8421);
+
+  const x2 = tx + x * s - y * rz + z * ry;
+  const y2 = ty + x * rz + y * s - z * rx;
+  const z2 = tz - x * ry + y * rx + z * s;
+
+  const e2w = 1 - (WGS84.b * WGS84.b) / (WGS84.a * WGS84.a);
+  const p = Math.sqrt(x2 * x2 + y2 * y2);
+  let phi = Math.atan2(z2, p * (1 - e2w));
+  for (let i = 0; i < 10; i++) {
+    const nuW = WGS84.a / Math.sqrt(1 - e2w * Math.sin(phi) ** 2);
+    const next = Math.atan2(z2 + e2w * nuW * Math.sin(phi), p);
+    if (Math.abs(next - phi) < 1e-12) { phi = next; break; }
+    phi = next;
+  }
+  return { latitude: deg(phi), longitude: deg(Math.atan2(y2, x2)) };
+}
+
+const gridToWgs84 = (E, N) => osgb36ToWgs84(gridToOsgb36(E, N));
+
+// --- Row readers: CSV fields -> { postcode, latitude, longitude, terminatedOn } or null ---
+
+function onspdReader(header) {
+  const col = (name) => header.findIndex(h => h.trim().toLowerCase() === name);
+  const idx = { pcds: col('pcds'), doterm: col('doterm'), lat: col('lat'), long: col('long') };
+  const missing = Object.keys(idx).filter(k => idx[k] === -1);
+  if (missing.length) throw new Error(`ONSPD file is missing column(s): ${missing.join(', ')}`);
+
+  return (f) => {
+    const postcode = normalisePostcode(f[idx.pcds]);
+    if (!postcode) return null;
+    const lat = parseFloat(f[idx.lat]);
+    const lng = parseFloat(f[idx.long]);
+    // ONSPD uses 99.999999 / 0 for postcodes without a grid reference
+    const located = Number.isFinite(lat) && Number.isFinite(lng) && lat < 90;
+    const term = String(f[idx.doterm] || '').trim(); // YYYYMM
+    return {
+      postcode,
+      latitude: located ? lat : null,
+      longitude: located ? lng : null,
+      terminatedOn: /^\d{6}$/.test(term) ? `${term.slice(0, 4)}-${term.slice(4)}-01` : null,
+    };
+  };
+}
+
+// Code-Point Open: Postcode, Positional_quality_indicator, Eastings, Northings, ...
+function codepointRow(f) {
+  const postcode = normalisePostcode(f[0]);
+  if (!postcode) return null;
+  const quality = parseInt(f[1], 10);
+  const E = parseFloat(f[2]);
+  const N = parseFloat(f[3]);
+  // Quality 90 means "no coordinates"; Code-Point Open only lists live postcodes
+  const located = quality !== 90 && Number.isFinite(E) && Number.isFinite(N) && (E > 0 || N > 0);
+  const coords = located ? gridToWgs84(E, N) : { latitude: null, longitude: null };
+  return { postcode, ...coords, terminatedOn: null };
+}
+
+async function flush(batch, source) {
+  if (!batch.length) return;
+  await pool.query(
+    `INSERT INTO uk_postcodes (postcode, outcode, latitude, longitude, terminated_on, source)
+     SELECT p, split_part(p, ' ', 1), lat, lng, term, $5
+     FROM unnest($1::text[], $2::float8[], $3::float8[], $4::date[]) AS t(p, lat, lng, term)
+     ON CONFLICT (postcode) DO UPDATE
+       SET latitude = EXCLUDED.latitude,
+           longitude = EXCLUDED.longitude,
+           terminated_on = EXCLUDED.terminated_on,
+           source = EXCLUDED.source,
+           updated_at = NOW()`,
+    [
+      batch.map(r => r.postcode),
+      batch.map(r => r.latitude),
+      batch.map(r => r.longitude),
+      batch.map(r => r.terminatedOn),
+      source,
+    ]
+  );
+}
+
+async function importFile(file, format, totals) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let read = null;
+  let batch = [];
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const fields = parseCsvLine(line);
+
+    if (!read) {
+      const isOnspd = fields.some(h => h.trim().toLowerCase() === 'pcds');
+      if (format === 'onspd' || (!format && isOnspd)) {
+        read = onspdReader(fields);
+        format = 'onspd';
+        continue; // header row
+      }
+      read = codepointRow;
+      format = 'codepoint';
+    }
+
+    const row = read(fields);
+    if (!row) { totals.skipped++; continue; }
+    batch.push(row);
+    if (batch.length >= BATCH_SIZE) {
+      await flush(batch, format);
+      totals.imported += batch.length;
+      batch = [];
+      process.stdout.write(`\r  ${totals.imported.toLocaleString()} postcodes`);
+    }
+  }
+
+  await flush(batch, format);
+  totals.imported += batch.length;
+  process.stdout.write(`\r  ${totals.imported.toLocaleString()} postcodes\n`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const formatIdx = args.indexOf('--format');
+  const format = formatIdx === -1 ? null : args.splice(formatIdx, 2)[1];
+  const target = args[0];
+
+  if (!target || (format && !['onspd', 'codepoint'].includes(format))) {
+    console.error('Usage: node scripts/import_postcodes.js <file-or-directory> [--format onspd|codepoint]');
+    process.exitCode = 1;
+    return closePool();
+  }
+
+  const files = fs.statSync(target).isDirectory()
+    ? fs.readdirSync(target).filter(f => f.toLowerCase().endsWith('.csv')).sort().map(f => path.join(target, f))
+    : [target];
+
+  const totals = { imported: 0, skipped: 0 };
+  try {
+    for (const file of files) {
+      console.log(`Importing ${path.basename(file)}...`);
+      await importFile(file, format, totals);
+    }
+    console.log(`Done: ${totals.imported.toLocaleString()} postcodes imported, ${totals.skipped} rows skipped`);
+  } catch (error) {
+    console.error('Postcode import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
@@ -0,0 +1,60 @@
+// migrate.js
+// Applies the SQL files in scripts/migrations in filename order.
+// Each file runs once, inside a transaction, and is recorded in schema_migrations.
+// Usage: node scripts/migrate.js
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { getClient, closePool } = require('../src/config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+async function migrate() {
+  const client = await getClient();
+  let applied = 0;
+
+  try {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name TEXT PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    const done = new Set(
+      (await client.query('SELECT name FROM schema_migrations')).rows.map(r => r.name)
+    );
+
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(f => f.endsWith('.sql'))
+      .sort();
+
+    for (const file of files) {
+      if (done.has(file)) continue;
+
+      console.log(`Applying ${file}...`);
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+        await client.query('COMMIT');
+        applied++;
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`${file}: ${err.message}`);
+      }
+    }
+
+    console.log(applied ? `Applied ${applied} migration(s)` : 'Database is up to date');
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await closePool();
+  }
+}
+
+migrate();
@@ -0,0 +1,47 @@
+-- Parent accounts, sessions and saved-school shortlists
+
+CREATE TABLE IF NOT EXISTS uk_users (
+  id             SERIAL PRIMARY KEY,
+  email          TEXT NOT NULL,
+  password_hash  TEXT NOT NULL,
+  display_name   TEXT,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_login_at  TIMESTAMPTZ
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_uk_users_email ON uk_users (LOWER(email));
+
+-- Only a SHA-256 of the session token is stored; the raw token lives in the cookie
+CREATE TABLE IF NOT EXISTS uk_user_sessions (
+  id          SERIAL PRIMARY KEY,
+  user_id     INTEGER NOT NULL REFERENCES uk_users(id) ON DELETE CASCADE,
+  token_hash  TEXT NOT NULL UNIQUE,
+  user_agent  TEXT,
+  ip          TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at  TIMESTAMPTZ NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_uk_user_sessions_user ON uk_user_sessions (user_id);
+
+CREATE TABLE IF NOT EXISTS uk_shortlists (
+  id          SERIAL PRIMARY KEY,
+  user_id     INTEGER NOT NULL REFERENCES uk_users(id) ON DELETE CASCADE,
+  name        TEXT NOT NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_uk_shortlists_user ON uk_shortlists (user_id);
+
+-- Notes are private to the shortlist owner
+CREATE TABLE IF NOT EXISTS uk_shortlist_schools (
+  shortlist_id  INTEGER NOT NULL REFERENCES uk_shortlists(id) ON DELETE CASCADE,
+  urn           INTEGER NOT NULL,
+  notes         TEXT,
+  added_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (shortlist_id, urn)
+);
+
+-- Reviews can optionally be linked to the account that wrote them
+ALTER TABLE uk_school_reviews
+  ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES uk_users(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_uk_school_reviews_user ON uk_school_reviews (user_id);
@@ -0,0 +1,44 @@
+-- Review moderation: admin accounts, review/report status and an audit trail
+
+-- Grant access with: UPDATE uk_users SET is_admin = true WHERE LOWER(email) = '...';
+ALTER TABLE uk_users
+  ADD COLUMN IF NOT EXISTS is_admin BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- published | pending | approved | rejected | unpublished | auto_hidden
+ALTER TABLE uk_school_reviews
+  ADD COLUMN IF NOT EXISTS moderation_status TEXT NOT NULL DEFAULT 'published',
+  ADD COLUMN IF NOT EXISTS moderation_reason TEXT,
+  ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS moderated_by INTEGER REFERENCES uk_users(id) ON DELETE SET NULL;
+
+UPDATE uk_school_reviews
+SET moderation_status = 'pending'
+WHERE is_published = false AND moderation_status = 'published';
+
+CREATE INDEX IF NOT EXISTS idx_uk_school_reviews_moderation
+  ON uk_school_reviews (moderation_status, created_at);
+
+-- open | upheld | dismissed
+ALTER TABLE uk_review_reports
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'open',
+  ADD COLUMN IF NOT EXISTS resolution_note TEXT,
+  ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS resolved_by INTEGER REFERENCES uk_users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_uk_review_reports_open
+  ON uk_review_reports (review_id) WHERE status = 'open';
+
+-- One row per moderation action; actor_user_id is NULL for automatic actions
+CREATE TABLE IF NOT EXISTS uk_review_moderation_log (
+  id               SERIAL PRIMARY KEY,
+  review_id        INTEGER NOT NULL,
+  action           TEXT NOT NULL,
+  reason           TEXT,
+  previous_status  TEXT,
+  new_status       TEXT,
+  actor_user_id    INTEGER REFERENCES uk_users(id) ON DELETE SET NULL,
+  details          JSONB,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_uk_review_moderation_log_review
+  ON uk_review_moderation_log (review_id, created_at);
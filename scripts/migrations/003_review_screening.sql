@@ -0,0 +1,4 @@
+-- Automatic screening results for submitted reviews.
+-- Each entry is { check, code, message, ... } from src/services/screening.
+ALTER TABLE uk_school_reviews
+  ADD COLUMN IF NOT EXISTS screening_flags JSONB NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,91 @@
+-- Keep uk_school_review_stats complete enough that the reviews endpoint never re-scans reviews.
+-- refresh_uk_school_review_stats(urn) is called inside every review write transaction.
+
+ALTER TABLE uk_school_review_stats
+  ADD COLUMN IF NOT EXISTS star_5_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS star_4_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS star_3_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS star_2_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS star_1_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS learning_rating_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS teaching_rating_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS safety_rating_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS social_emotional_rating_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS special_education_rating_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS family_engagement_rating_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- One stats row per school (older imports could have left duplicates)
+DELETE FROM uk_school_review_stats a
+USING uk_school_review_stats b
+WHERE a.urn = b.urn AND a.ctid < b.ctid;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_uk_school_review_stats_urn ON uk_school_review_stats (urn);
+
+CREATE OR REPLACE FUNCTION refresh_uk_school_review_stats(p_urn INTEGER)
+RETURNS VOID AS $$
+BEGIN
+  -- Serialise refreshes per school so concurrent writes can't overwrite each other's counts
+  PERFORM pg_advisory_xact_lock(hashtext('uk_school_review_stats'), p_urn);
+
+  INSERT INTO uk_school_review_stats (
+    urn, total_reviews, avg_overall_rating, recommendation_percentage,
+    star_5_count, star_4_count, star_3_count, star_2_count, star_1_count,
+    avg_learning_rating, learning_rating_count,
+    avg_teaching_rating, teaching_rating_count,
+    avg_safety_rating, safety_rating_count,
+    avg_social_emotional_rating, social_emotional_rating_count,
+    avg_special_education_rating, special_education_rating_count,
+    avg_family_engagement_rating, family_engagement_rating_count,
+    updated_at
+  )
+  SELECT
+    p_urn,
+    COUNT(*)::int,
+    ROUND(AVG(overall_rating)::numeric, 1),
+    COALESCE(ROUND(100.0 * AVG(CASE WHEN would_recommend THEN 1 ELSE 0 END)::numeric, 0), 0),
+    COUNT(*) FILTER (WHERE overall_rating = 5)::int,
+    COUNT(*) FILTER (WHERE overall_rating = 4)::int,
+    COUNT(*) FILTER (WHERE overall_rating = 3)::int,
+    COUNT(*) FILTER (WHERE overall_rating = 2)::int,
+    COUNT(*) FILTER (WHERE overall_rating = 1)::int,
+    ROUND(AVG(NULLIF(learning_rating, 0))::numeric, 1), COUNT(NULLIF(learning_rating, 0))::int,
+    ROUND(AVG(NULLIF(teaching_rating, 0))::numeric, 1), COUNT(NULLIF(teaching_rating, 0))::int,
+    ROUND(AVG(NULLIF(safety_rating, 0))::numeric, 1), COUNT(NULLIF(safety_rating, 0))::int,
+    ROUND(AVG(NULLIF(social_emotional_rating, 0))::numeric, 1), COUNT(NULLIF(social_emotional_rating, 0))::int,
+    ROUND(AVG(NULLIF(special_education_rating, 0))::numeric, 1), COUNT(NULLIF(special_education_rating, 0))::int,
+    ROUND(AVG(NULLIF(family_engagement_rating, 0))::numeric, 1), COUNT(NULLIF(family_engagement_rating, 0))::int,
+    NOW()
+  FROM uk_school_reviews
+  WHERE urn = p_urn AND COALESCE(is_published, true) = true
+  ON CONFLICT (urn) DO UPDATE SET
+    total_reviews = EXCLUDED.total_reviews,
+    avg_overall_rating = EXCLUDED.avg_overall_rating,
+    recommendation_percentage = EXCLUDED.recommendation_percentage,
+    star_5_count = EXCLUDED.star_5_count,
+    star_4_count = EXCLUDED.star_4_count,
+    star_3_count = EXCLUDED.star_3_count,
+    star_2_count = EXCLUDED.star_2_count,
+    star_1_count = EXCLUDED.star_1_count,
+    avg_learning_rating = EXCLUDED.avg_learning_rating,
+    learning_rating_count = EXCLUDED.learning_rating_count,
+    avg_teaching_rating = EXCLUDED.avg_teaching_rating,
+    teaching_rating_count = EXCLUDED.teaching_rating_count,
+    avg_safety_rating = EXCLUDED.avg_safety_rating,
+    safety_rating_count = EXCLUDED.safety_rating_count,
+    avg_social_emotional_rating = EXCLUDED.avg_social_emotional_rating,
+    social_emotional_rating_count = EXCLUDED.social_emotional_rating_count,
+    avg_special_education_rating = EXCLUDED.avg_special_education_rating,
+    special_education_rating_count = EXCLUDED.special_education_rating_count,
+    avg_family_engagement_rating = EXCLUDED.avg_family_engagement_rating,
+    family_engagement_rating_count = EXCLUDED.family_engagement_rating_count,
+    updated_at = EXCLUDED.updated_at;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Backfill every school that has (or had) reviews
+SELECT refresh_uk_school_review_stats(urn)
+FROM (
+  SELECT DISTINCT urn FROM uk_school_reviews
+  UNION
+  SELECT urn FROM uk_school_review_stats
+) u;
@@ -0,0 +1,12 @@
+-- Optional reviewer email verification.
+-- Only a SHA-256 of the normalised email is kept; the address itself is used once to send the link.
+ALTER TABLE uk_school_reviews
+  ADD COLUMN IF NOT EXISTS reviewer_email_hash TEXT,
+  ADD COLUMN IF NOT EXISTS academic_year TEXT,
+  ADD COLUMN IF NOT EXISTS verified BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ;
+
+-- One verified review per email per school per academic year (e.g. '2025/26')
+CREATE UNIQUE INDEX IF NOT EXISTS idx_uk_school_reviews_verified_email
+  ON uk_school_reviews (urn, reviewer_email_hash, academic_year)
+  WHERE verified;
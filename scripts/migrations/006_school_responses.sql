@@ -0,0 +1,37 @@
+-- Official school replies to reviews.
+-- Schools prove ownership with a one-time code sent to the contact address on file for their URN.
+
+-- Maintained by administrators (PUT /api/admin/schools/:urn/contact)
+CREATE TABLE IF NOT EXISTS uk_school_contacts (
+  urn         INTEGER PRIMARY KEY,
+  email       TEXT NOT NULL,
+  updated_by  INTEGER REFERENCES uk_users(id) ON DELETE SET NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Only a SHA-256 of each code is stored
+CREATE TABLE IF NOT EXISTS uk_school_response_codes (
+  id          SERIAL PRIMARY KEY,
+  urn         INTEGER NOT NULL,
+  review_id   INTEGER NOT NULL,
+  code_hash   TEXT NOT NULL,
+  attempts    INTEGER NOT NULL DEFAULT 0,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at  TIMESTAMPTZ NOT NULL,
+  used_at     TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_uk_school_response_codes_review
+  ON uk_school_response_codes (review_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_uk_school_response_codes_urn
+  ON uk_school_response_codes (urn, created_at);
+
+-- One public reply per review
+CREATE TABLE IF NOT EXISTS uk_review_responses (
+  id              SERIAL PRIMARY KEY,
+  review_id       INTEGER NOT NULL UNIQUE,
+  urn             INTEGER NOT NULL,
+  response_text   TEXT NOT NULL,
+  responder_name  TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
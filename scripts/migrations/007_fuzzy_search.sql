@@ -0,0 +1,35 @@
+-- Typo-tolerant, punctuation-insensitive school search.
+-- school_search_norm() folds a name (or a query) to a canonical form, so both sides of a
+-- search are compared the same way; trigram indexes on the folded columns do the fuzzy part.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Lower-cases, strips punctuation and rewrites common UK school-name variants to one spelling:
+--   "Saint Mary's Roman Catholic Primary" and "St Marys RC Primary" both become "st marys rc primary".
+-- The indexes below store its output, so REINDEX them after changing the synonym list.
+CREATE OR REPLACE FUNCTION school_search_norm(txt TEXT)
+RETURNS TEXT AS $$
+DECLARE
+  t TEXT := lower(COALESCE(txt, ''));
+BEGIN
+  t := regexp_replace(t, '[''’`]', '', 'g');          -- Mary's -> marys
+  t := regexp_replace(t, '&', ' and ', 'g');
+  t := regexp_replace(t, '[^a-z0-9]+', ' ', 'g');     -- St. Peter-le-Poer -> st peter le poer
+
+  -- Synonyms (whole words only; \m and \M are word boundaries)
+  t := regexp_replace(t, '\msaint\M', 'st', 'g');
+  t := regexp_replace(t, '\m(roman catholic|r c)\M', 'rc', 'g');
+  t := regexp_replace(t, '\m(church of england|c of e|cofe|c e)\M', 'ce', 'g');
+  t := regexp_replace(t, '\m(junior mixed (and )?infants?|j m i)\M', 'jmi', 'g');
+  t := regexp_replace(t, '\macademy\M', 'acad', 'g');
+
+  RETURN btrim(regexp_replace(t, '\s+', ' ', 'g'));
+END;
+$$ LANGUAGE plpgsql IMMUTABLE PARALLEL SAFE;
+
+CREATE INDEX IF NOT EXISTS idx_uk_schools_name_trgm
+  ON uk_schools USING gin (school_search_norm(name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_uk_schools_town_trgm
+  ON uk_schools USING gin (school_search_norm(town) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_uk_schools_la_trgm
+  ON uk_schools USING gin (school_search_norm(local_authority) gin_trgm_ops);
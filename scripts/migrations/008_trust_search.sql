@@ -0,0 +1,4 @@
+-- Trust names are offered by the unified suggester, so they get the same folded trigram index as school names.
+
+CREATE INDEX IF NOT EXISTS idx_uk_schools_trust_trgm
+  ON uk_schools USING gin (school_search_norm(trust_name) gin_trgm_ops);
@@ -0,0 +1,18 @@
+-- Local copy of the ONS Postcode Directory (or Code-Point Open), loaded by
+-- scripts/import_postcodes.js, so postcode searches can resolve to coordinates
+-- without calling an external geocoder.
+
+CREATE TABLE IF NOT EXISTS uk_postcodes (
+  postcode      TEXT PRIMARY KEY,          -- normalised: upper case, single space ("SW1A 1AA")
+  outcode       TEXT NOT NULL,             -- "SW1A"
+  latitude      DOUBLE PRECISION,          -- NULL when the directory has no grid reference
+  longitude     DOUBLE PRECISION,
+  terminated_on DATE,                      -- NULL for live postcodes
+  source        TEXT NOT NULL,             -- 'onspd' or 'codepoint'
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Outcode centroids ("M1", "SW1A") for partial postcode searches
+CREATE INDEX IF NOT EXISTS idx_uk_postcodes_outcode
+  ON uk_postcodes (outcode)
+  WHERE terminated_on IS NULL AND latitude IS NOT NULL;
@@ -0,0 +1,38 @@
+-- Spatial indexes for radius and nearest-school queries (see src/services/geo.js).
+-- Uses PostGIS when the server has it: a geography point column with a GiST index.
+-- Otherwise cube + earthdistance (contrib modules shipped with PostgreSQL) index
+-- ll_to_earth(latitude, longitude). geo.js picks whichever is present at runtime
+-- and falls back to a plain lat/lng bounding box when neither is.
+
+DO $$
+BEGIN
+  BEGIN
+    CREATE EXTENSION IF NOT EXISTS postgis;
+  EXCEPTION WHEN OTHERS THEN
+    RAISE NOTICE 'PostGIS is not available (%); using earthdistance instead', SQLERRM;
+  END;
+
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'postgis') THEN
+    EXECUTE $sql$
+      ALTER TABLE uk_schools ADD COLUMN IF NOT EXISTS geog geography(Point, 4326)
+        GENERATED ALWAYS AS (
+          CASE WHEN latitude IS NOT NULL AND longitude IS NOT NULL
+            THEN ST_SetSRID(ST_MakePoint(longitude, latitude), 4326)::geography
+          END
+        ) STORED
+    $sql$;
+    EXECUTE 'CREATE INDEX IF NOT EXISTS idx_uk_schools_geog ON uk_schools USING gist (geog)';
+  END IF;
+END $$;
+
+CREATE EXTENSION IF NOT EXISTS cube;
+CREATE EXTENSION IF NOT EXISTS earthdistance;
+
+CREATE INDEX IF NOT EXISTS idx_uk_schools_earth
+  ON uk_schools USING gist (ll_to_earth(latitude, longitude))
+  WHERE latitude IS NOT NULL AND longitude IS NOT NULL;
+
+-- The plain bounding-box fallback
+CREATE INDEX IF NOT EXISTS idx_uk_schools_lat_lng
+  ON uk_schools (latitude, longitude)
+  WHERE latitude IS NOT NULL AND longitude IS NOT NULL;
@@ -0,0 +1,15 @@
+-- API keys for partners using the search API (sent as the X-API-Key header).
+-- Large exports (format=csv|geojson over the anonymous row cap) require one.
+-- Only a SHA-256 of the key is stored; admins see the raw key once, at creation.
+
+CREATE TABLE IF NOT EXISTS uk_api_keys (
+  id            SERIAL PRIMARY KEY,
+  name          TEXT NOT NULL,                 -- who it's for, e.g. "Acme Property Ltd"
+  contact_email TEXT,
+  key_prefix    TEXT NOT NULL,                 -- first characters, to recognise a key in listings
+  key_hash      TEXT NOT NULL UNIQUE,
+  created_by    INTEGER REFERENCES uk_users(id) ON DELETE SET NULL,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at  TIMESTAMPTZ,
+  revoked_at    TIMESTAMPTZ
+);
@@ -0,0 +1,34 @@
+-- Every stored rating computation, so a school's rating can be traced over time.
+-- Written alongside each uk_schools.overall_rating update (src/services/ratings.js
+-- saveRatings), by the rating job worker (scripts/ratingWorker.js, running
+-- src/services/ratingJobs.js) and by scripts/updateRatings.js.
+-- `inputs` holds what the rating was computed from (Ofsted grade, scores, attendance,
+-- LA averages); `methodology_version` changes whenever the formula does.
+
+CREATE TABLE IF NOT EXISTS uk_school_rating_history (
+  id                  BIGSERIAL PRIMARY KEY,
+  urn                 INTEGER NOT NULL,
+  methodology_version TEXT NOT NULL,
+  rating              INTEGER,                  -- NULL: not enough data to rate
+  score               NUMERIC(6,3),             -- unrounded weighted score
+  percentile          INTEGER,
+  data_completeness   INTEGER,                  -- total weight of the components present
+  inputs              JSONB NOT NULL DEFAULT '{}'::jsonb,
+  components          JSONB NOT NULL DEFAULT '[]'::jsonb,
+  source              TEXT NOT NULL DEFAULT 'api'
+                      CHECK (source IN ('api', 'batch', 'backfill')),
+  computed_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_uk_school_rating_history_urn
+  ON uk_school_rating_history (urn, computed_at DESC, id DESC);
+
+-- Starting point: the ratings already stored, under the methodology they were made with
+INSERT INTO uk_school_rating_history
+  (urn, methodology_version, rating, percentile, components, source, computed_at)
+SELECT s.urn, '1', s.overall_rating, s.rating_percentile,
+       CASE WHEN jsonb_typeof(s.rating_components::jsonb) = 'array' THEN s.rating_components::jsonb ELSE '[]'::jsonb END,
+       'backfill', COALESCE(s.rating_updated_at, NOW())
+FROM uk_schools s
+WHERE s.overall_rating IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM uk_school_rating_history h WHERE h.urn = s.urn);
@@ -0,0 +1,136 @@
+-- Rating recompute queue, worked by scripts/ratingWorker.js (src/services/ratingJobs.js).
+-- Ratings are no longer written while serving GET /api/schools/:urn; instead, changes to
+-- the data a rating is built from queue a job here:
+--   school          - one school's inputs changed; the worker recomputes its whole LA and
+--                     phase group, since the school feeds its peers' averages and percentiles
+--   local_authority - every school in an LA (admin request)
+--   all             - every school (admin request, or a methodology change)
+-- At most one pending job per target: enqueueing a duplicate is a no-op.
+
+CREATE TABLE IF NOT EXISTS uk_rating_jobs (
+  id              BIGSERIAL PRIMARY KEY,
+  kind            TEXT NOT NULL CHECK (kind IN ('school', 'local_authority', 'all')),
+  urn             INTEGER,
+  local_authority TEXT,
+  reason          TEXT,                          -- e.g. 'ofsted', 'census', 'stale', 'admin'
+  status          TEXT NOT NULL DEFAULT 'pending'
+                  CHECK (status IN ('pending', 'running', 'done', 'failed')),
+  attempts        INTEGER NOT NULL DEFAULT 0,
+  last_error      TEXT,
+  run_after       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_by       TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at      TIMESTAMPTZ,
+  finished_at     TIMESTAMPTZ,
+  CHECK (kind <> 'school' OR urn IS NOT NULL),
+  CHECK (kind <> 'local_authority' OR local_authority IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_uk_rating_jobs_pending_target
+  ON uk_rating_jobs (kind, COALESCE(urn, 0), COALESCE(local_authority, ''))
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_uk_rating_jobs_queue
+  ON uk_rating_jobs (run_after, id)
+  WHERE status = 'pending';
+
+-- Imports touch thousands of rows at once, so the source tables use statement-level
+-- triggers over the changed rows rather than one insert per row.
+-- TG_ARGV[0] is the reason recorded on the job.
+CREATE OR REPLACE FUNCTION enqueue_rating_jobs_for_changed_rows()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO uk_rating_jobs (kind, urn, reason)
+  SELECT DISTINCT 'school', changed_rows.urn, TG_ARGV[0]
+  FROM changed_rows
+  WHERE changed_rows.urn IS NOT NULL
+  ON CONFLICT (kind, COALESCE(urn, 0), COALESCE(local_authority, '')) WHERE status = 'pending'
+  DO NOTHING;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- A trigger with a transition table can only handle one event, hence three per table
+DO $$
+DECLARE
+  src RECORD;
+BEGIN
+  FOR src IN
+    SELECT * FROM (VALUES
+      ('uk_ofsted_inspections', 'ofsted'),
+      ('uk_census_data', 'census'),
+      ('uk_absence_data', 'absence')
+    ) AS t(tbl, reason)
+  LOOP
+    EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', src.tbl || '_rating_jobs_ins', src.tbl);
+    EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', src.tbl || '_rating_jobs_upd', src.tbl);
+    EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', src.tbl || '_rating_jobs_del', src.tbl);
+
+    EXECUTE format(
+      'CREATE TRIGGER %I AFTER INSERT ON %I REFERENCING NEW TABLE AS changed_rows
+       FOR EACH STATEMENT EXECUTE FUNCTION enqueue_rating_jobs_for_changed_rows(%L)',
+      src.tbl || '_rating_jobs_ins', src.tbl, src.reason);
+    EXECUTE format(
+      'CREATE TRIGGER %I AFTER UPDATE ON %I REFERENCING NEW TABLE AS changed_rows
+       FOR EACH STATEMENT EXECUTE FUNCTION enqueue_rating_jobs_for_changed_rows(%L)',
+      src.tbl || '_rating_jobs_upd', src.tbl, src.reason);
+    EXECUTE format(
+      'CREATE TRIGGER %I AFTER DELETE ON %I REFERENCING OLD TABLE AS changed_rows
+       FOR EACH STATEMENT EXECUTE FUNCTION enqueue_rating_jobs_for_changed_rows(%L)',
+      src.tbl || '_rating_jobs_del', src.tbl, src.reason);
+  END LOOP;
+END;
+$$;
+
+-- Test scores, country and LA/phase live on uk_schools itself. Only those columns fire
+-- the trigger, so the worker's own rating updates don't queue more jobs.
+CREATE OR REPLACE FUNCTION enqueue_rating_job_for_school()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO uk_rating_jobs (kind, urn, reason)
+  VALUES ('school', NEW.urn, TG_ARGV[0])
+  ON CONFLICT (kind, COALESCE(urn, 0), COALESCE(local_authority, '')) WHERE status = 'pending'
+  DO NOTHING;
+
+  -- A school moving LA or phase changes its old group's averages too
+  IF TG_OP = 'UPDATE' AND (OLD.local_authority IS DISTINCT FROM NEW.local_authority
+      OR OLD.phase_of_education IS DISTINCT FROM NEW.phase_of_education) THEN
+    INSERT INTO uk_rating_jobs (kind, urn, reason)
+    SELECT 'school', s.urn, TG_ARGV[0]
+    FROM uk_schools s
+    WHERE s.local_authority = OLD.local_authority
+      AND s.phase_of_education = OLD.phase_of_education
+      AND s.urn <> NEW.urn
+    LIMIT 1
+    ON CONFLICT (kind, COALESCE(urn, 0), COALESCE(local_authority, '')) WHERE status = 'pending'
+    DO NOTHING;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS uk_schools_rating_jobs_upd ON uk_schools;
+CREATE TRIGGER uk_schools_rating_jobs_upd
+  AFTER UPDATE OF english_score, math_score, science_score, country, local_authority, phase_of_education
+  ON uk_schools
+  FOR EACH ROW
+  WHEN (OLD.english_score IS DISTINCT FROM NEW.english_score
+     OR OLD.math_score IS DISTINCT FROM NEW.math_score
+     OR OLD.science_score IS DISTINCT FROM NEW.science_score
+     OR OLD.country IS DISTINCT FROM NEW.country
+     OR OLD.local_authority IS DISTINCT FROM NEW.local_authority
+     OR OLD.phase_of_education IS DISTINCT FROM NEW.phase_of_education)
+  EXECUTE FUNCTION enqueue_rating_job_for_school('scores');
+
+DROP TRIGGER IF EXISTS uk_schools_rating_jobs_ins ON uk_schools;
+CREATE TRIGGER uk_schools_rating_jobs_ins
+  AFTER INSERT ON uk_schools
+  FOR EACH ROW
+  EXECUTE FUNCTION enqueue_rating_job_for_school('new_school');
+
+-- Ratings written by the worker are recorded as source 'job'
+ALTER TABLE uk_school_rating_history DROP CONSTRAINT IF EXISTS uk_school_rating_history_source_check;
+ALTER TABLE uk_school_rating_history
+  ADD CONSTRAINT uk_school_rating_history_source_check
+  CHECK (source IN ('api', 'batch', 'backfill', 'job'));
+ALTER TABLE uk_school_rating_history ALTER COLUMN source SET DEFAULT 'job';
@@ -0,0 +1,4 @@
+-- Parliamentary constituencies are offered by the unified suggester, so they get the same folded trigram index as trust names.
+
+CREATE INDEX IF NOT EXISTS idx_uk_schools_constituency_trgm
+  ON uk_schools USING gin (school_search_norm(parliamentary_constituency) gin_trgm_ops);
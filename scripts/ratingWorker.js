@@ -0,0 +1,68 @@
+// ratingWorker.js
+// Works the rating recompute queue (uk_rating_jobs, see src/services/ratingJobs.js):
+// polls for due jobs, recomputes the affected schools and their LA peers, and once an
+// hour queues schools whose stored rating has gone stale.
+// Usage: node scripts/ratingWorker.js [--once] [--interval 10] [--batch 100]
+
+require('dotenv').config();
+const os = require('os');
+const { pool, closePool } = require('../src/config/database');
+const { runRatingJobs, enqueueStaleRatings } = require('../src/services/ratingJobs');
+
+const STALE_SWEEP_MS = 60 * 60 * 1000;
+
+function argValue(args, name, def) {
+  const i = args.indexOf(name);
+  const n = i >= 0 ? parseInt(args[i + 1], 10) : NaN;
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  const args = process.argv.slice(2);
+  const once = args.includes('--once');
+  const intervalMs = argValue(args, '--interval', 10) * 1000;
+  const limit = argValue(args, '--batch', 100);
+  const workerId = `${os.hostname()}:${process.pid}`;
+  const log = msg => console.log(`[${new Date().toISOString()}] ${msg}`);
+
+  let stopping = false;
+  const stop = () => {
+    if (!stopping) log('Stopping after the current batch...');
+    stopping = true;
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  let lastSweep = 0;
+  try {
+    log(`Rating worker ${workerId} started${once ? ' (single pass)' : ''}`);
+    while (!stopping) {
+      if (Date.now() - lastSweep >= STALE_SWEEP_MS) {
+        const queued = await enqueueStaleRatings(pool);
+        if (queued) log(`Queued ${queued} school(s) with stale ratings`);
+        lastSweep = Date.now();
+      }
+
+      const stats = await runRatingJobs(pool, { limit, workerId, log });
+      if (stats.claimed) {
+        log(`Batch: ${stats.done} done, ${stats.failed} failed, ${stats.schools} schools recomputed`);
+      }
+
+      if (once) {
+        // Keep going until the queue is drained
+        if (!stats.claimed) break;
+      } else if (stats.claimed < limit) {
+        await sleep(intervalMs);
+      }
+    }
+  } catch (error) {
+    console.error('Rating worker error:', error);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
@@ -9,12 +9,29 @@ const path = require('path');
 
 // ---- Database
 const { pool, testConnection } = require('./src/config/database');
+const { loadUser, loadApiKey } = require('./src/middleware/auth');
+const {
+  LATEST_OFSTED_JOIN,
+  LATEST_CENSUS_JOIN,
+  LATEST_ABSENCE_JOIN,
+  createParams,
+  validateSearchFilters,
+  parseSearchFilters,
+  buildFilterConditions,
+  whereSql,
+} = require('./src/services/searchFilters');
+const { exportFormat, exportSelectSql, streamExport } = require('./src/services/searchExport');
 
 // ---- API routes
 const schoolRoutes = require('./src/routes/schoolRoutes');
 const searchRoutes = require('./src/routes/searchRoutes');
 const reviewRoutes = require('./src/routes/reviewRoutes');
 const contactRoutes = require('./src/routes/contactRoutes');
+const authRoutes = require('./src/routes/authRoutes');
+const shortlistRoutes = require('./src/routes/shortlistRoutes');
+const adminRoutes = require('./src/routes/adminRoutes');
+const responseRoutes = require('./src/routes/responseRoutes');
+const tileRoutes = require('./src/routes/tileRoutes');
 
 // ---- App
 const app = express();
@@ -47,6 +64,10 @@ app.use('/api/', limiter);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// ---- Sessions (attaches req.user for signed-in parents) and partner API keys (req.apiKey)
+app.use('/api', loadUser);
+app.use('/api', loadApiKey);
+
 // ---- Perf / logs
 app.use(compression());
 if (process.env.NODE_ENV !== 'test') app.use(morgan('dev'));
@@ -85,6 +106,9 @@ app.get('/api', (_req, res) => {
       search: '/api/search',
       schools: '/api/schools/:urn',
       contact: '/api/contact',
+      account: '/api/me',
+      shortlists: '/api/me/shortlists',
+      tiles: '/tiles/schools/:z/:x/:y.mvt',
     },
   });
 });
@@ -92,8 +116,15 @@ app.get('/api', (_req, res) => {
 // ---- API Routers
 app.use('/api/schools', schoolRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/me/shortlists', shortlistRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api', reviewRoutes);
+app.use('/api', responseRoutes);
 app.use('/api', contactRoutes);
+app.use('/api', authRoutes);
+
+// ---- Map tiles
+app.use('/tiles', tileRoutes);
 
 // ---- HTML pages helper function
 const sendPublic = (res, file) => res.sendFile(path.join(PUBLIC_DIR, file));
@@ -102,6 +133,7 @@ const sendPublic = (res, file) => res.sendFile(path.join(PUBLIC_DIR, file));
 app.get('/', (_req, res) => sendPublic(res, 'index.html'));
 app.get(['/search', '/search.html'], (_req, res) => sendPublic(res, 'search.html'));
 app.get(['/compare', '/compare.html'], (_req, res) => sendPublic(res, 'compare.html'));
+app.get(['/saved-schools', '/saved-schools.html'], (_req, res) => sendPublic(res, 'saved-schools.html'));
 
 // ---- Review pages
 app.get(['/review','/review.html'], (_req, res) => sendPublic(res, 'review.html'));
@@ -176,11 +208,6 @@ app.get('/secondary-schools', (_req, res) => {
 });
 
 // ---- Quick links redirects (placeholder until pages are built)
-app.get('/saved-schools', (_req, res) => {
-  // Redirect to home until user accounts are implemented
-  res.redirect('/');
-});
-
 app.get('/parent-resources', (_req, res) => {
   // Redirect to FAQ until resources page is created
   res.redirect('/faq');
@@ -261,6 +288,26 @@ app.get('/api/local-authority/:laName/summary', async (req, res) => {
   const { laName } = req.params;
   
   try {
+    const filterError = validateSearchFilters(req.query);
+    if (filterError) return res.status(400).json({ error: filterError });
+
+    // Optional search filters (phases, ofsted, gender, ...) narrow the summary; $1 is the LA
+    const params = createParams([laName]);
+    const where = whereSql(buildFilterConditions(parseSearchFilters({ ...req.query, q: '', la: '' }), params), [
+      'LOWER(s.local_authority) = LOWER($1)',
+    ]);
+
+    // format=csv|geojson downloads the LA's schools instead of the summary
+    const format = exportFormat(req.query);
+    if (format) {
+      return streamExport(req, res, {
+        format,
+        sql: exportSelectSql({ where, orderBy: 's.name, s.urn' }),
+        values: params.values,
+        filename: `schools-${laName}`
+      });
+    }
+
     // Get all schools in this LA
     const schoolsQuery = `
       SELECT 
@@ -283,13 +330,13 @@ app.get('/api/local-authority/:laName/summary', async (req, res) => {
         c.percentage_fsm_ever6 as fsm_percentage,
         a.overall_absence_rate
       FROM uk_schools s
-      LEFT JOIN uk_ofsted_inspections o ON s.urn = o.urn
-      LEFT JOIN uk_census_data c ON s.urn = c.urn
-      LEFT JOIN uk_absence_data a ON s.urn = a.urn
-      WHERE LOWER(s.local_authority) = LOWER($1)
+      ${LATEST_OFSTED_JOIN}
+      ${LATEST_CENSUS_JOIN}
+      ${LATEST_ABSENCE_JOIN}
+      WHERE ${where}
     `;
     
-    const result = await pool.query(schoolsQuery, [laName]);
+    const result = await pool.query(schoolsQuery, params.values);
     const schools = result.rows;
     
     // Extract common city/town from schools
@@ -120,6 +120,22 @@ const getClient = async () => {
   return client;
 };
 
+// Run fn(client) inside BEGIN/COMMIT, rolling back if it throws
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 // Close all connections (for graceful shutdown)
 const closePool = async () => {
   console.log('Closing database connection pool...');
@@ -132,5 +148,6 @@ module.exports = {
   query,
   testConnection,
   getClient,
+  withTransaction,
   closePool
 };
\ No newline at end of file
@@ -0,0 +1,129 @@
+// src/middleware/auth.js
+// Cookie-based sessions for parent accounts, and API keys for partners.
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+const SESSION_COOKIE = 'fs_session';
+const SESSION_TTL_DAYS = 30;
+
+/* --------------------------------- utils --------------------------------- */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    if (part.slice(0, idx).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(idx + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/',
+});
+
+/* ------------------------------- sessions -------------------------------- */
+// Creates a session row and sets the cookie; returns nothing useful to callers
+async function startSession(req, res, userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await query(
+    `INSERT INTO uk_user_sessions (user_id, token_hash, user_agent, ip, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + ($5 || ' days')::interval)`,
+    [userId, hashToken(token), req.get('user-agent') || null, req.ip || null, String(SESSION_TTL_DAYS)]
+  );
+  res.cookie(SESSION_COOKIE, token, {
+    ...cookieOptions(),
+    maxAge: SESSION_TTL_DAYS * 24 * 60 * 60 * 1000,
+  });
+}
+
+async function endSession(req, res) {
+  const token = readCookie(req, SESSION_COOKIE);
+  if (token) {
+    await query('DELETE FROM uk_user_sessions WHERE token_hash = $1', [hashToken(token)]);
+  }
+  res.clearCookie(SESSION_COOKIE, cookieOptions());
+}
+
+/* ------------------------------ middleware ------------------------------- */
+// Attaches req.user when a valid session cookie is present. Never rejects.
+async function loadUser(req, _res, next) {
+  req.user = null;
+  const token = readCookie(req, SESSION_COOKIE);
+  if (!token) return next();
+
+  try {
+    const { rows } = await query(
+      `SELECT u.id, u.email, u.display_name, u.is_admin
+       FROM uk_user_sessions us
+       JOIN uk_users u ON u.id = us.user_id
+       WHERE us.token_hash = $1 AND us.expires_at > NOW()
+       LIMIT 1`,
+      [hashToken(token)]
+    );
+    req.user = rows[0] || null;
+  } catch (err) {
+    // A broken session lookup should not take anonymous pages down with it
+    console.error('Session lookup failed:', err.message);
+  }
+  next();
+}
+
+// Attaches req.apiKey ({ id, name }) when a valid X-API-Key header is sent. Never rejects;
+// endpoints that need a key check req.apiKey themselves.
+async function loadApiKey(req, _res, next) {
+  req.apiKey = null;
+  const key = req.get('x-api-key');
+  if (!key) return next();
+
+  try {
+    const { rows } = await query(
+      `UPDATE uk_api_keys SET last_used_at = NOW()
+       WHERE key_hash = $1 AND revoked_at IS NULL
+       RETURNING id, name`,
+      [hashToken(key.trim())]
+    );
+    req.apiKey = rows[0] || null;
+  } catch (err) {
+    console.error('API key lookup failed:', err.message);
+  }
+  next();
+}
+
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Please sign in to continue' });
+  }
+  next();
+}
+
+// Moderation endpoints: signed-in accounts with uk_users.is_admin set
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Please sign in to continue' });
+  }
+  if (!req.user.is_admin) {
+    return res.status(403).json({ error: 'Administrator access required' });
+  }
+  next();
+}
+
+module.exports = {
+  hashToken,
+  loadUser,
+  loadApiKey,
+  requireUser,
+  requireAdmin,
+  startSession,
+  endSession,
+};
@@ -0,0 +1,457 @@
+// src/routes/adminRoutes.js
+// Review moderation queue, partner API keys and rating recomputes for administrators
+// (mounted at /api/admin)
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { pool, query, withTransaction } = require('../config/database');
+const { requireAdmin, hashToken } = require('../middleware/auth');
+const {
+  AUTO_HIDE_REPORT_THRESHOLD,
+  REPORT_RESOLUTIONS,
+  setReviewStatus,
+  resolveOpenReports,
+  logModeration,
+} = require('../services/reviewModeration');
+const { refreshReviewStats } = require('../services/reviewStats');
+const { enqueueRatingJob, getRatingJobSummary } = require('../services/ratingJobs');
+
+router.use(requireAdmin);
+
+/* --------------------------------- utils --------------------------------- */
+const toInt = (v, def) => {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) ? n : def;
+};
+const clamp = (n, min, max) => Math.min(Math.max(n, min), max);
+const cleanReason = (reason) => String(reason || '').trim().slice(0, 1000);
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Which reviews each queue shows
+const QUEUES = {
+  reported: `EXISTS (SELECT 1 FROM uk_review_reports rr WHERE rr.review_id = r.id AND rr.status = 'open')`,
+  pending: `r.moderation_status = 'pending'`,
+  hidden: `r.moderation_status IN ('auto_hidden', 'unpublished', 'rejected')`,
+  all: 'TRUE',
+};
+
+/* ======================= GET: moderation queue =========================== */
+router.get('/reviews', async (req, res) => {
+  const queue = QUEUES[req.query.queue] ? req.query.queue : 'reported';
+  const page = Math.max(toInt(req.query.page ?? '1', 1), 1);
+  const limit = clamp(toInt(req.query.limit ?? '25', 25), 1, 100);
+  const offset = (page - 1) * limit;
+  const urn = toInt(req.query.urn, null);
+
+  const params = [];
+  let where = QUEUES[queue];
+  if (urn !== null) {
+    params.push(urn);
+    where += ` AND r.urn = $${params.length}`;
+  }
+
+  try {
+    const countQ = await query(`SELECT COUNT(*)::int AS total FROM uk_school_reviews r WHERE ${where}`, params);
+    const total = countQ.rows[0]?.total ?? 0;
+
+    const { rows } = await query(
+      `SELECT
+         r.id, r.urn, s.name AS school_name, r.overall_rating, r.review_title, r.review_text,
+         r.reviewer_type, r.reviewer_name, r.created_at, r.is_published,
+         r.moderation_status, r.moderation_reason, r.moderated_at, r.report_count, r.screening_flags,
+         rep.open_reports, rep.reasons AS open_report_reasons, rep.last_reported_at
+       FROM uk_school_reviews r
+       LEFT JOIN uk_schools s ON s.urn = r.urn
+       LEFT JOIN LATERAL (
+         SELECT COUNT(*)::int AS open_reports,
+                ARRAY_AGG(DISTINCT rr.report_reason) AS reasons,
+                MAX(rr.created_at) AS last_reported_at
+         FROM uk_review_reports rr
+         WHERE rr.review_id = r.id AND rr.status = 'open'
+       ) rep ON TRUE
+       WHERE ${where}
+       ORDER BY rep.open_reports DESC NULLS LAST, r.created_at ASC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      queue,
+      auto_hide_threshold: AUTO_HIDE_REPORT_THRESHOLD,
+      reviews: rows.map(r => ({ ...r, open_report_reasons: (r.open_report_reasons || []).filter(Boolean) })),
+      pagination: { page, limit, total, totalPages: Math.max(1, Math.ceil(total / limit)) },
+    });
+  } catch (err) {
+    console.error('Error fetching moderation queue:', err);
+    res.status(500).json({ error: 'Failed to fetch moderation queue' });
+  }
+});
+
+/* ============ GET: one review with its reports and audit trail =========== */
+router.get('/reviews/:id', async (req, res) => {
+  const id = toInt(req.params.id, null);
+  if (id === null) return res.status(400).json({ error: 'Invalid review ID' });
+
+  try {
+    const reviewQ = await query(
+      `SELECT r.*, s.name AS school_name
+       FROM uk_school_reviews r
+       LEFT JOIN uk_schools s ON s.urn = r.urn
+       WHERE r.id = $1`,
+      [id]
+    );
+    if (!reviewQ.rows.length) return res.status(404).json({ error: 'Review not found' });
+
+    const [reports, log] = await Promise.all([
+      query(
+        `SELECT id, report_reason, report_details, status, resolution_note, resolved_at, resolved_by, created_at
+         FROM uk_review_reports WHERE review_id = $1 ORDER BY created_at DESC`,
+        [id]
+      ),
+      query(
+        `SELECT l.id, l.action, l.reason, l.previous_status, l.new_status, l.details, l.created_at,
+                l.actor_user_id, u.email AS actor_email
+         FROM uk_review_moderation_log l
+         LEFT JOIN uk_users u ON u.id = l.actor_user_id
+         WHERE l.review_id = $1
+         ORDER BY l.created_at DESC`,
+        [id]
+      ),
+    ]);
+
+    // Identifying columns stay in the database; moderators don't need them
+    const { reviewer_ip, reviewer_email_hash, ...review } = reviewQ.rows[0];
+    res.json({ success: true, review, reports: reports.rows, audit: log.rows });
+  } catch (err) {
+    console.error('Error fetching review for moderation:', err);
+    res.status(500).json({ error: 'Failed to fetch review' });
+  }
+});
+
+/* ================ POST: approve / reject / unpublish a review ============= */
+// Approving dismisses open reports; rejecting or unpublishing upholds them.
+const ACTIONS = {
+  approve: { status: 'approved', resolution: 'dismissed', reasonRequired: false },
+  reject: { status: 'rejected', resolution: 'upheld', reasonRequired: true },
+  unpublish: { status: 'unpublished', resolution: 'upheld', reasonRequired: true },
+};
+
+router.post('/reviews/:id/:action(approve|reject|unpublish)', async (req, res) => {
+  const id = toInt(req.params.id, null);
+  if (id === null) return res.status(400).json({ error: 'Invalid review ID' });
+
+  const action = ACTIONS[req.params.action];
+  const reason = cleanReason(req.body && req.body.reason);
+  if (action.reasonRequired && !reason) {
+    return res.status(400).json({ error: 'A reason is required for this action' });
+  }
+
+  try {
+    const result = await withTransaction(async (client) => {
+      const review = await setReviewStatus(client, id, {
+        status: action.status,
+        action: req.params.action,
+        reason,
+        actorId: req.user.id,
+      });
+      if (!review) return null;
+
+      const resolved = await resolveOpenReports(client, id, {
+        resolution: action.resolution,
+        note: reason,
+        actorId: req.user.id,
+      });
+      return { review, resolved_reports: resolved };
+    });
+
+    if (!result) return res.status(404).json({ error: 'Review not found' });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error(`Error running moderation action ${req.params.action}:`, err);
+    res.status(500).json({ error: 'Failed to update review' });
+  }
+});
+
+/* ======================== DELETE: remove a review ======================== */
+// Reports, helpful votes, the school's reply and its reply codes go with it; the
+// audit entry keeps a copy of what was removed.
+router.delete('/reviews/:id', async (req, res) => {
+  const id = toInt(req.params.id, null);
+  if (id === null) return res.status(400).json({ error: 'Invalid review ID' });
+
+  const reason = cleanReason(req.body && req.body.reason);
+  if (!reason) return res.status(400).json({ error: 'A reason is required for this action' });
+
+  try {
+    const deleted = await withTransaction(async (client) => {
+      await client.query('DELETE FROM uk_review_reports WHERE review_id = $1', [id]);
+      await client.query('DELETE FROM uk_review_helpful_votes WHERE review_id = $1', [id]);
+      await client.query('DELETE FROM uk_school_response_codes WHERE review_id = $1', [id]);
+      const resp = await client.query(
+        `DELETE FROM uk_review_responses WHERE review_id = $1
+         RETURNING id, response_text, responder_name, created_at`,
+        [id]
+      );
+      const del = await client.query(
+        `DELETE FROM uk_school_reviews WHERE id = $1
+         RETURNING id, urn, overall_rating, review_title, review_text, reviewer_type, created_at, moderation_status`,
+        [id]
+      );
+      if (!del.rowCount) return null;
+      const review = del.rows[0];
+
+      await refreshReviewStats(client, review.urn);
+      await logModeration(client, {
+        reviewId: id,
+        action: 'delete',
+        reason,
+        previousStatus: review.moderation_status,
+        actorId: req.user.id,
+        details: { review, response: resp.rows[0] || null },
+      });
+      return review;
+    });
+
+    if (!deleted) return res.status(404).json({ error: 'Review not found' });
+    res.json({ success: true, id });
+  } catch (err) {
+    console.error('Error deleting review:', err);
+    res.status(500).json({ error: 'Failed to delete review' });
+  }
+});
+
+/* =============== DELETE: remove a school's reply to a review ============= */
+router.delete('/reviews/:id/response', async (req, res) => {
+  const id = toInt(req.params.id, null);
+  if (id === null) return res.status(400).json({ error: 'Invalid review ID' });
+
+  const reason = cleanReason(req.body && req.body.reason);
+  if (!reason) return res.status(400).json({ error: 'A reason is required for this action' });
+
+  try {
+    const removed = await withTransaction(async (client) => {
+      const del = await client.query(
+        `DELETE FROM uk_review_responses WHERE review_id = $1
+         RETURNING id, response_text, responder_name, created_at`,
+        [id]
+      );
+      if (!del.rowCount) return null;
+
+      await logModeration(client, {
+        reviewId: id,
+        action: 'delete_school_response',
+        reason,
+        actorId: req.user.id,
+        details: { response: del.rows[0] },
+      });
+      return del.rows[0];
+    });
+
+    if (!removed) return res.status(404).json({ error: 'This review has no school response' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting school response:', err);
+    res.status(500).json({ error: 'Failed to delete response' });
+  }
+});
+
+/* ========== PUT: contact address used to verify school replies =========== */
+router.put('/schools/:urn/contact', async (req, res) => {
+  const urn = toInt(req.params.urn, null);
+  const email = String((req.body && req.body.email) || '').trim().toLowerCase();
+  if (urn === null) return res.status(400).json({ error: 'Invalid URN provided' });
+  if (!emailRegex.test(email)) return res.status(400).json({ error: 'Please enter a valid email address' });
+
+  try {
+    const school = await query('SELECT 1 FROM uk_schools WHERE urn = $1', [urn]);
+    if (!school.rows.length) return res.status(404).json({ error: 'School not found' });
+
+    const { rows } = await query(
+      `INSERT INTO uk_school_contacts (urn, email, updated_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (urn) DO UPDATE
+         SET email = EXCLUDED.email, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+       RETURNING urn, email, updated_at`,
+      [urn, email, req.user.id]
+    );
+    res.json({ success: true, contact: rows[0] });
+  } catch (err) {
+    console.error('Error saving school contact:', err);
+    res.status(500).json({ error: 'Failed to save school contact' });
+  }
+});
+
+/* ==================== POST: resolve a single report ====================== */
+router.post('/reports/:id/resolve', async (req, res) => {
+  const id = toInt(req.params.id, null);
+  if (id === null) return res.status(400).json({ error: 'Invalid report ID' });
+
+  const { resolution } = req.body || {};
+  const note = cleanReason(req.body && req.body.reason);
+  if (!REPORT_RESOLUTIONS.has(resolution)) {
+    return res.status(400).json({ error: "Resolution must be 'upheld' or 'dismissed'" });
+  }
+
+  try {
+    const report = await withTransaction(async (client) => {
+      const upd = await client.query(
+        `UPDATE uk_review_reports
+         SET status = $2, resolution_note = $3, resolved_at = NOW(), resolved_by = $4
+         WHERE id = $1 AND status = 'open'
+         RETURNING id, review_id, status, resolution_note, resolved_at`,
+        [id, resolution, note || null, req.user.id]
+      );
+      if (!upd.rowCount) return null;
+
+      await logModeration(client, {
+        reviewId: upd.rows[0].review_id,
+        action: `report_${resolution}`,
+        reason: note,
+        actorId: req.user.id,
+        details: { report_id: id },
+      });
+      return upd.rows[0];
+    });
+
+    if (!report) return res.status(404).json({ error: 'Open report not found' });
+    res.json({ success: true, report });
+  } catch (err) {
+    console.error('Error resolving report:', err);
+    res.status(500).json({ error: 'Failed to resolve report' });
+  }
+});
+
+/* ========================= GET: audit trail ============================== */
+router.get('/audit', async (req, res) => {
+  const limit = clamp(toInt(req.query.limit ?? '50', 50), 1, 200);
+  const reviewId = toInt(req.query.review_id, null);
+
+  try {
+    const { rows } = await query(
+      `SELECT l.id, l.review_id, l.action, l.reason, l.previous_status, l.new_status,
+              l.details, l.created_at, l.actor_user_id, u.email AS actor_email
+       FROM uk_review_moderation_log l
+       LEFT JOIN uk_users u ON u.id = l.actor_user_id
+       WHERE ($1::int IS NULL OR l.review_id = $1)
+       ORDER BY l.created_at DESC
+       LIMIT $2`,
+      [reviewId, limit]
+    );
+    res.json({ success: true, entries: rows });
+  } catch (err) {
+    console.error('Error fetching moderation audit trail:', err);
+    res.status(500).json({ error: 'Failed to fetch audit trail' });
+  }
+});
+
+/* ============================ API keys =================================== */
+router.get('/api-keys', async (_req, res) => {
+  try {
+    const { rows } = await query(
+      `SELECT id, name, contact_email, key_prefix, created_at, last_used_at, revoked_at
+       FROM uk_api_keys
+       ORDER BY revoked_at IS NOT NULL, created_at DESC`
+    );
+    res.json({ success: true, api_keys: rows });
+  } catch (err) {
+    console.error('Error listing API keys:', err);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+// The raw key is only ever returned here
+router.post('/api-keys', async (req, res) => {
+  const name = String(req.body?.name || '').trim().slice(0, 200);
+  const contactEmail = String(req.body?.contact_email || '').trim() || null;
+  if (!name) return res.status(400).json({ error: 'name is required' });
+  if (contactEmail && !emailRegex.test(contactEmail)) {
+    return res.status(400).json({ error: 'contact_email is not a valid email address' });
+  }
+
+  try {
+    const key = `fsk_${crypto.randomBytes(24).toString('hex')}`;
+    const { rows } = await query(
+      `INSERT INTO uk_api_keys (name, contact_email, key_prefix, key_hash, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, name, contact_email, key_prefix, created_at`,
+      [name, contactEmail, key.slice(0, 12), hashToken(key), req.user.id]
+    );
+    res.status(201).json({ success: true, api_key: { ...rows[0], key } });
+  } catch (err) {
+    console.error('Error creating API key:', err);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+router.delete('/api-keys/:id', async (req, res) => {
+  const id = toInt(req.params.id, null);
+  if (!id) return res.status(400).json({ error: 'Invalid API key id' });
+
+  try {
+    const { rows } = await query(
+      `UPDATE uk_api_keys SET revoked_at = NOW()
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING id, name, key_prefix, revoked_at`,
+      [id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Active API key not found' });
+    res.json({ success: true, api_key: rows[0] });
+  } catch (err) {
+    console.error('Error revoking API key:', err);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+/* ======================== Rating recompute jobs ========================== */
+// Queues a recompute for { urn } (with its LA peers), { local_authority } or { all: true };
+// scripts/ratingWorker.js runs it
+router.post('/ratings/recompute', async (req, res) => {
+  const body = req.body || {};
+  let job;
+  if (body.all === true) {
+    job = { kind: 'all' };
+  } else if (body.urn !== undefined) {
+    const urn = toInt(body.urn, null);
+    if (!urn || urn < 1) return res.status(400).json({ error: 'Invalid URN provided' });
+    job = { kind: 'school', urn };
+  } else if (body.local_authority !== undefined) {
+    const localAuthority = String(body.local_authority || '').trim();
+    if (!localAuthority) return res.status(400).json({ error: 'local_authority must not be empty' });
+    job = { kind: 'local_authority', localAuthority };
+  } else {
+    return res.status(400).json({ error: 'Provide urn, local_authority or all: true' });
+  }
+
+  try {
+    if (job.kind === 'school') {
+      const school = await query('SELECT 1 FROM uk_schools WHERE urn = $1', [job.urn]);
+      if (!school.rows.length) return res.status(404).json({ error: 'School not found' });
+    } else if (job.kind === 'local_authority') {
+      const la = await query(
+        'SELECT local_authority FROM uk_schools WHERE LOWER(local_authority) = LOWER($1) LIMIT 1',
+        [job.localAuthority]
+      );
+      if (!la.rows.length) return res.status(404).json({ error: 'Local authority not found' });
+      job.localAuthority = la.rows[0].local_authority;
+    }
+
+    const { job: queued, created } = await enqueueRatingJob(pool, { ...job, reason: 'admin' });
+    res.status(created ? 202 : 200).json({ success: true, created, job: queued });
+  } catch (err) {
+    console.error('Error queueing rating recompute:', err);
+    res.status(500).json({ error: 'Failed to queue rating recompute' });
+  }
+});
+
+router.get('/ratings/jobs', async (_req, res) => {
+  try {
+    const summary = await getRatingJobSummary(pool);
+    res.json({ success: true, ...summary });
+  } catch (err) {
+    console.error('Error fetching rating jobs:', err);
+    res.status(500).json({ error: 'Failed to fetch rating jobs' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+// src/routes/authRoutes.js
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { query } = require('../config/database');
+const { requireUser, startSession, endSession } = require('../middleware/auth');
+
+const scrypt = promisify(crypto.scrypt);
+
+/* --------------------------------- utils --------------------------------- */
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Stored as "scrypt$<salt>$<hash>" so the scheme can change later
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const derived = await scrypt(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+}
+
+const publicUser = (u) => ({
+  id: u.id,
+  email: u.email,
+  display_name: u.display_name || null,
+  is_admin: !!u.is_admin,
+});
+
+/* ============================ POST: register ============================= */
+router.post('/auth/register', async (req, res) => {
+  const { email, password, display_name } = req.body || {};
+  const normalized = normalizeEmail(email);
+
+  if (!emailRegex.test(normalized)) {
+    return res.status(400).json({ error: 'Please enter a valid email address' });
+  }
+  if (typeof password !== 'string' || password.length < 8 || password.length > 200) {
+    return res.status(400).json({ error: 'Password must be at least 8 characters' });
+  }
+
+  try {
+    const existing = await query('SELECT 1 FROM uk_users WHERE LOWER(email) = $1', [normalized]);
+    if (existing.rows.length) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const insert = await query(
+      `INSERT INTO uk_users (email, password_hash, display_name, last_login_at)
+       VALUES ($1, $2, $3, NOW())
+       RETURNING id, email, display_name`,
+      [normalized, await hashPassword(password), (display_name || '').trim().slice(0, 80) || null]
+    );
+    const user = insert.rows[0];
+
+    await startSession(req, res, user.id);
+    res.status(201).json({ success: true, user: publicUser(user) });
+  } catch (err) {
+    console.error('Error registering account:', err);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+/* ============================== POST: login ============================== */
+router.post('/auth/login', async (req, res) => {
+  const { email, password } = req.body || {};
+  const normalized = normalizeEmail(email);
+
+  if (!normalized || typeof password !== 'string' || !password) {
+    return res.status(400).json({ error: 'Email and password are required' });
+  }
+
+  try {
+    const { rows } = await query(
+      'SELECT id, email, display_name, is_admin, password_hash FROM uk_users WHERE LOWER(email) = $1',
+      [normalized]
+    );
+    const user = rows[0];
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Incorrect email or password' });
+    }
+
+    await query('UPDATE uk_users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+    await startSession(req, res, user.id);
+    res.json({ success: true, user: publicUser(user) });
+  } catch (err) {
+    console.error('Error signing in:', err);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+/* ============================== POST: logout ============================= */
+router.post('/auth/logout', async (req, res) => {
+  try {
+    await endSession(req, res);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error signing out:', err);
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+/* ========================= GET: current account ========================== */
+router.get('/me', requireUser, (req, res) => {
+  res.json({ success: true, user: publicUser(req.user) });
+});
+
+module.exports = router;
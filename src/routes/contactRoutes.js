@@ -1,7 +1,7 @@
 // src/routes/contactRoutes.js
 const express = require('express');
 const router = express.Router();
-const nodemailer = require('nodemailer');
+const { sendMail } = require('../services/mailer');
 
 // Simple rate limiting
 const requestCounts = new Map();
@@ -81,15 +81,6 @@ router.post('/contact', async (req, res) => {
       });
     }
     
-    // Create transporter
-    const transporter = nodemailer.createTransporter({
-      service: 'gmail',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
-    });
-    
     // Email HTML content
     const htmlContent = `
       <h2>New Contact Form Submission</h2>
@@ -107,7 +98,6 @@ router.post('/contact', async (req, res) => {
     
     // Send email
     const mailOptions = {
-      from: process.env.EMAIL_USER,
       to: process.env.EMAIL_TO || process.env.EMAIL_USER,
       replyTo: email,
       subject: `[Contact Form] ${subject} - from ${name}`,
@@ -115,7 +105,7 @@ router.post('/contact', async (req, res) => {
       text: `Name: ${name}\nEmail: ${email}\nSubject: ${subject}\n\nMessage:\n${message}`
     };
     
-    await transporter.sendMail(mailOptions);
+    await sendMail(mailOptions);
     
     // Log for monitoring
     console.log(`Contact form: ${name} (${email}) - ${subject}`);
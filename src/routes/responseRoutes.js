@@ -0,0 +1,181 @@
+// src/routes/responseRoutes.js
+// Official school replies to reviews (mounted at /api).
+// A school asks for a one-time code for a review, which is emailed to the
+// contact address on file for its URN, then posts the reply with that code.
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { query, withTransaction } = require('../config/database');
+const { sendMail, escapeHtml } = require('../services/mailer');
+
+/* --------------------------------- utils --------------------------------- */
+const toInt = (v, def) => {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) ? n : def;
+};
+
+const CODE_TTL_MINUTES = 15;
+const MAX_CODE_ATTEMPTS = 5;
+const MAX_CODES_PER_HOUR = 5; // per school
+const RESPONSE_MIN = 20;
+const RESPONSE_MAX = 2000;
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code).trim()).digest('hex');
+
+// "headteacher@school.sch.uk" -> "he*********@school.sch.uk"
+const maskEmail = (email) => {
+  const [user, domain] = String(email).split('@');
+  return `${user.slice(0, 2)}${'*'.repeat(Math.max(user.length - 2, 1))}@${domain}`;
+};
+
+async function findReview(reviewId) {
+  const { rows } = await query(
+    `SELECT r.id, r.urn, s.name AS school_name
+     FROM uk_school_reviews r
+     JOIN uk_schools s ON s.urn = r.urn
+     WHERE r.id = $1 AND COALESCE(r.is_published, true) = true`,
+    [reviewId]
+  );
+  return rows[0] || null;
+}
+
+async function findResponse(reviewId) {
+  const { rows } = await query(
+    `SELECT id, review_id, response_text, responder_name, created_at
+     FROM uk_review_responses WHERE review_id = $1`,
+    [reviewId]
+  );
+  return rows[0] || null;
+}
+
+/* ================== GET: does this review have a reply? ================== */
+router.get('/reviews/:reviewId/response', async (req, res) => {
+  const reviewId = toInt(req.params.reviewId, null);
+  if (reviewId === null) return res.status(400).json({ error: 'Invalid review ID' });
+
+  try {
+    if (!(await findReview(reviewId))) return res.status(404).json({ error: 'Review not found' });
+    const response = await findResponse(reviewId);
+    res.json({ success: true, has_response: Boolean(response), response });
+  } catch (err) {
+    console.error('Error fetching school response:', err);
+    res.status(500).json({ error: 'Failed to fetch response' });
+  }
+});
+
+/* ============ POST: email the school a one-time code for a review ========= */
+router.post('/reviews/:reviewId/response/code', async (req, res) => {
+  const reviewId = toInt(req.params.reviewId, null);
+  if (reviewId === null) return res.status(400).json({ error: 'Invalid review ID' });
+
+  try {
+    const review = await findReview(reviewId);
+    if (!review) return res.status(404).json({ error: 'Review not found' });
+    if (await findResponse(reviewId)) {
+      return res.status(409).json({ error: 'This review already has a response from the school' });
+    }
+
+    const contact = await query('SELECT email FROM uk_school_contacts WHERE urn = $1', [review.urn]);
+    if (!contact.rows.length) {
+      return res.status(404).json({
+        error: 'We have no contact address for this school yet. Please get in touch via our contact page to set one up.'
+      });
+    }
+
+    const recent = await query(
+      `SELECT COUNT(*)::int AS cnt FROM uk_school_response_codes
+       WHERE urn = $1 AND created_at > NOW() - INTERVAL '1 hour'`,
+      [review.urn]
+    );
+    if ((recent.rows[0]?.cnt || 0) >= MAX_CODES_PER_HOUR) {
+      return res.status(429).json({ error: 'Too many codes requested. Please try again later.' });
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    await query(
+      `INSERT INTO uk_school_response_codes (urn, review_id, code_hash, expires_at)
+       VALUES ($1, $2, $3, NOW() + ($4 || ' minutes')::interval)`,
+      [review.urn, reviewId, hashCode(code), String(CODE_TTL_MINUTES)]
+    );
+
+    const email = contact.rows[0].email;
+    await sendMail({
+      to: email,
+      subject: `Your code to reply to a review of ${review.school_name}`,
+      html: `
+        <h2>Reply to a review on FindSchool.uk</h2>
+        <p>Someone asked to post an official reply from <strong>${escapeHtml(review.school_name)}</strong> to a parent review.</p>
+        <p>Your one-time code is: <strong style="font-size: 1.5em; letter-spacing: 0.1em;">${code}</strong></p>
+        <p>It expires in ${CODE_TTL_MINUTES} minutes. If this wasn't you, you can ignore this email.</p>
+      `,
+      text: `Your one-time code to reply to a review of ${review.school_name} is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`,
+    });
+
+    res.json({ success: true, sent_to: maskEmail(email), expires_in_minutes: CODE_TTL_MINUTES });
+  } catch (err) {
+    console.error('Error sending school response code:', err);
+    res.status(500).json({ error: 'Failed to send code' });
+  }
+});
+
+/* ================= POST: publish the school's reply ====================== */
+router.post('/reviews/:reviewId/response', async (req, res) => {
+  const reviewId = toInt(req.params.reviewId, null);
+  if (reviewId === null) return res.status(400).json({ error: 'Invalid review ID' });
+
+  const { code, response_text, responder_name } = req.body || {};
+  const text = String(response_text || '').trim();
+  if (!code) return res.status(400).json({ error: 'The code from your email is required' });
+  if (text.length < RESPONSE_MIN || text.length > RESPONSE_MAX) {
+    return res.status(400).json({ error: `Response must be between ${RESPONSE_MIN} and ${RESPONSE_MAX} characters` });
+  }
+
+  try {
+    const review = await findReview(reviewId);
+    if (!review) return res.status(404).json({ error: 'Review not found' });
+
+    const result = await withTransaction(async (client) => {
+      // Only the newest unused code for this review counts
+      const { rows } = await client.query(
+        `SELECT id, code_hash, attempts, expires_at < NOW() AS expired
+         FROM uk_school_response_codes
+         WHERE review_id = $1 AND used_at IS NULL
+         ORDER BY created_at DESC
+         LIMIT 1
+         FOR UPDATE`,
+        [reviewId]
+      );
+      const issued = rows[0];
+      if (!issued || issued.expired || issued.attempts >= MAX_CODE_ATTEMPTS) {
+        return { status: 400, error: 'This code has expired. Please request a new one.' };
+      }
+
+      const given = Buffer.from(hashCode(code), 'hex');
+      if (!crypto.timingSafeEqual(given, Buffer.from(issued.code_hash, 'hex'))) {
+        await client.query('UPDATE uk_school_response_codes SET attempts = attempts + 1 WHERE id = $1', [issued.id]);
+        return { status: 400, error: 'That code is not correct' };
+      }
+
+      await client.query('UPDATE uk_school_response_codes SET used_at = NOW() WHERE id = $1', [issued.id]);
+      const insert = await client.query(
+        `INSERT INTO uk_review_responses (review_id, urn, response_text, responder_name)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (review_id) DO NOTHING
+         RETURNING id, review_id, response_text, responder_name, created_at`,
+        [reviewId, review.urn, text, String(responder_name || '').trim().slice(0, 100) || null]
+      );
+      if (!insert.rowCount) {
+        return { status: 409, error: 'This review already has a response from the school' };
+      }
+      return { response: insert.rows[0] };
+    });
+
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(201).json({ success: true, response: result.response });
+  } catch (err) {
+    console.error('Error posting school response:', err);
+    res.status(500).json({ error: 'Failed to post response' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,11 @@
 // src/routes/reviewRoutes.js
 const express = require('express');
 const router = express.Router();
-const { pool } = require('../config/database');
+const { pool, withTransaction } = require('../config/database');
+const { autoHideIfReported, logModeration } = require('../services/reviewModeration');
+const { screenReview } = require('../services/screening');
+const { refreshReviewStats, formatReviewStats } = require('../services/reviewStats');
+const verification = require('../services/reviewVerification');
 
 /* --------------------------------- utils --------------------------------- */
 const toInt = (v, def) => {
@@ -11,6 +15,23 @@ const toInt = (v, def) => {
 const clamp = (n, min, max) => Math.min(Math.max(n, min), max);
 const clientIP = (req) => req.ip || req.connection?.remoteAddress || '';
 
+// When set, new reviews wait in the admin pending queue instead of publishing straight away
+const REQUIRE_APPROVAL = process.env.REVIEWS_REQUIRE_APPROVAL === 'true';
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// The only review fields the public site gets; anything else (reviewer IP, email hash,
+// user id, moderation notes) stays server-side, including columns added later
+const PUBLIC_REVIEW_FIELDS = [
+  'id', 'urn', 'school_name', 'town',
+  'overall_rating', 'learning_rating', 'teaching_rating', 'social_emotional_rating',
+  'special_education_rating', 'safety_rating', 'family_engagement_rating', 'would_recommend',
+  'review_title', 'review_text', 'reviewer_type', 'reviewer_name',
+  'verified', 'helpful_count', 'created_at', 'formatted_date', 'has_response', 'response',
+];
+const publicReview = review =>
+  Object.fromEntries(PUBLIC_REVIEW_FIELDS.filter(k => k in review).map(k => [k, review[k]]));
+
 /* ======================== GET: school reviews list ======================== */
 router.get('/schools/:urn/reviews', async (req, res) => {
   const { urn } = req.params;
@@ -22,37 +43,38 @@ router.get('/schools/:urn/reviews', async (req, res) => {
 
   const sort = (req.query.sort || 'recent').toString();
   let orderBy = 'r.created_at DESC';
-  if (sort === 'helpful') orderBy = 'r.helpful_count DESC, r.created_at DESC';
+  if (sort === 'helpful') orderBy = 'r.verified DESC, r.helpful_count DESC, r.created_at DESC';
   else if (sort === 'rating_high') orderBy = 'r.overall_rating DESC, r.created_at DESC';
   else if (sort === 'rating_low') orderBy = 'r.overall_rating ASC, r.created_at DESC';
 
   try {
-    // 1) Get precomputed stats if available
+    // 1) Stats are maintained on every review write, so they also give the pagination total
     const statsRow = await pool.query(
       'SELECT * FROM uk_school_review_stats WHERE urn = $1',
       [urn]
     );
-
-    // 2) Get total count for pagination
-    const countQ = await pool.query(
-      `SELECT COUNT(*)::int AS total
-       FROM uk_school_reviews
-       WHERE urn = $1 AND COALESCE(is_published, true) = true`,
-      [urn]
-    );
-    const total = countQ.rows[0]?.total ?? 0;
+    const stats = formatReviewStats(statsRow.rows[0], urn);
+    const total = stats.total_reviews;
     const totalPages = Math.max(1, Math.ceil(total / limit));
 
-    // 3) Get the actual reviews
+    // 2) Get the actual reviews
     const reviewsQ = await pool.query(
       `
       SELECT 
         r.*,
         s.name AS school_name,
         s.town AS town,
-        TRIM(TO_CHAR(r.created_at, 'Mon DD, YYYY')) AS formatted_date
+        TRIM(TO_CHAR(r.created_at, 'Mon DD, YYYY')) AS formatted_date,
+        (resp.id IS NOT NULL) AS has_response,
+        CASE WHEN resp.id IS NULL THEN NULL ELSE json_build_object(
+          'response_text', resp.response_text,
+          'responder_name', resp.responder_name,
+          'created_at', resp.created_at,
+          'formatted_date', TRIM(TO_CHAR(resp.created_at, 'Mon DD, YYYY'))
+        ) END AS response
       FROM uk_school_reviews r
       JOIN uk_schools s ON r.urn = s.urn
+      LEFT JOIN uk_review_responses resp ON resp.review_id = r.id
       WHERE r.urn = $1
         AND COALESCE(r.is_published, true) = true
       ORDER BY ${orderBy}
@@ -61,125 +83,10 @@ router.get('/schools/:urn/reviews', async (req, res) => {
       [urn, limit, offset]
     );
 
-    // 4) Process stats - transform existing or compute from scratch
-    let stats = null;
-    
-    if (statsRow.rows[0]) {
-      // We have precomputed stats - transform them to frontend format
-      const dbStats = statsRow.rows[0];
-      
-      // Calculate distribution from actual reviews on this page
-      const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
-      
-      // Get ALL reviews for accurate distribution (not just current page)
-      const allReviewsQ = await pool.query(
-        `SELECT overall_rating, learning_rating, teaching_rating, safety_rating,
-                social_emotional_rating, special_education_rating, family_engagement_rating
-         FROM uk_school_reviews 
-         WHERE urn = $1 AND COALESCE(is_published, true) = true`,
-        [urn]
-      );
-      
-      allReviewsQ.rows.forEach(review => {
-        if (review.overall_rating) {
-          distribution[review.overall_rating]++;
-        }
-      });
-
-      // Transform flat structure to nested structure
-      stats = {
-        urn: dbStats.urn,
-        total_reviews: dbStats.total_reviews,
-        avg_overall_rating: dbStats.avg_overall_rating,
-        recommendation_percentage: dbStats.recommendation_percentage,
-        distribution: distribution,
-        categories: {
-          family: {
-            average: dbStats.avg_family_engagement_rating,
-            count: allReviewsQ.rows.filter(r => r.family_engagement_rating !== null).length
-          },
-          learning: {
-            average: dbStats.avg_learning_rating,
-            count: allReviewsQ.rows.filter(r => r.learning_rating !== null).length
-          },
-          teaching: {
-            average: dbStats.avg_teaching_rating,
-            count: allReviewsQ.rows.filter(r => r.teaching_rating !== null).length
-          },
-          safety: {
-            average: dbStats.avg_safety_rating,
-            count: allReviewsQ.rows.filter(r => r.safety_rating !== null).length
-          },
-          social: {
-            average: dbStats.avg_social_emotional_rating,
-            count: allReviewsQ.rows.filter(r => r.social_emotional_rating !== null).length
-          },
-          special: {
-            average: dbStats.avg_special_education_rating,
-            count: allReviewsQ.rows.filter(r => r.special_education_rating !== null).length
-          }
-        }
-      };
-    } else {
-      // No precomputed stats - calculate everything from scratch
-      const distQ = await pool.query(
-        `
-        SELECT
-          COUNT(*)::int AS total_reviews,
-          ROUND(AVG(overall_rating)::numeric, 1) AS avg_overall_rating,
-          SUM(CASE WHEN overall_rating=5 THEN 1 ELSE 0 END)::int AS star5,
-          SUM(CASE WHEN overall_rating=4 THEN 1 ELSE 0 END)::int AS star4,
-          SUM(CASE WHEN overall_rating=3 THEN 1 ELSE 0 END)::int AS star3,
-          SUM(CASE WHEN overall_rating=2 THEN 1 ELSE 0 END)::int AS star2,
-          SUM(CASE WHEN overall_rating=1 THEN 1 ELSE 0 END)::int AS star1,
-          ROUND(AVG(NULLIF(family_engagement_rating,0))::numeric,1) AS family_avg,
-          COUNT(NULLIF(family_engagement_rating,0))::int AS family_count,
-          ROUND(AVG(NULLIF(learning_rating,0))::numeric,1) AS learning_avg,
-          COUNT(NULLIF(learning_rating,0))::int AS learning_count,
-          ROUND(AVG(NULLIF(teaching_rating,0))::numeric,1) AS teaching_avg,
-          COUNT(NULLIF(teaching_rating,0))::int AS teaching_count,
-          ROUND(AVG(NULLIF(safety_rating,0))::numeric,1) AS safety_avg,
-          COUNT(NULLIF(safety_rating,0))::int AS safety_count,
-          ROUND(AVG(NULLIF(social_emotional_rating,0))::numeric,1) AS social_avg,
-          COUNT(NULLIF(social_emotional_rating,0))::int AS social_count,
-          ROUND(AVG(NULLIF(special_education_rating,0))::numeric,1) AS special_avg,
-          COUNT(NULLIF(special_education_rating,0))::int AS special_count,
-          ROUND(100.0 * AVG(CASE WHEN would_recommend THEN 1 ELSE 0 END)::numeric, 0) AS recommendation_percentage
-        FROM uk_school_reviews
-        WHERE urn = $1 AND COALESCE(is_published, true) = true
-        `,
-        [urn]
-      );
-      
-      const d = distQ.rows[0] || {};
-      
-      stats = {
-        urn: Number(urn),
-        total_reviews: d.total_reviews || 0,
-        avg_overall_rating: d.avg_overall_rating ?? null,
-        recommendation_percentage: d.recommendation_percentage ?? 0,
-        distribution: {
-          5: d.star5 || 0,
-          4: d.star4 || 0,
-          3: d.star3 || 0,
-          2: d.star2 || 0,
-          1: d.star1 || 0
-        },
-        categories: {
-          family: { average: d.family_avg, count: d.family_count },
-          learning: { average: d.learning_avg, count: d.learning_count },
-          teaching: { average: d.teaching_avg, count: d.teaching_count },
-          safety: { average: d.safety_avg, count: d.safety_count },
-          social: { average: d.social_avg, count: d.social_count },
-          special: { average: d.special_avg, count: d.special_count }
-        }
-      };
-    }
-
     // Send the response
     res.json({
       stats,
-      reviews: reviewsQ.rows,
+      reviews: reviewsQ.rows.map(publicReview),
       pagination: { page, limit, total, totalPages }
     });
     
@@ -206,7 +113,8 @@ router.post('/schools/:urn/reviews', async (req, res) => {
     review_text,
     review_title,
     reviewer_type,
-    reviewer_name
+    reviewer_name,
+    reviewer_email
   } = req.body || {};
 
   try {
@@ -236,32 +144,143 @@ router.post('/schools/:urn/reviews', async (req, res) => {
       return res.status(429).json({ error: 'You can only submit one review per school per day' });
     }
 
-    const insert = await pool.query(
-      `
-      INSERT INTO uk_school_reviews (
-        urn, overall_rating, learning_rating, teaching_rating,
-        social_emotional_rating, special_education_rating, safety_rating,
-        family_engagement_rating, would_recommend, review_text, review_title,
-        reviewer_type, reviewer_name, reviewer_ip, is_published
-      )
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14, true)
-      RETURNING *
-      `,
-      [
-        urn, overall_rating, learning_rating, teaching_rating,
-        social_emotional_rating, special_education_rating, safety_rating,
-        family_engagement_rating, would_recommend, review_text, review_title,
-        reviewer_type, reviewer_name, ip
-      ]
-    );
+    // Optional email verification: one verified review per email per school per academic year
+    const wantsVerification = Boolean(reviewer_email) && verification.isEnabled();
+    const emailHash = wantsVerification ? verification.emailHash(reviewer_email) : null;
+    const academicYear = verification.academicYear();
+    if (wantsVerification) {
+      if (!emailRegex.test(verification.normalizeEmail(reviewer_email))) {
+        return res.status(400).json({ error: 'Please enter a valid email address' });
+      }
+      const dup = await pool.query(
+        `SELECT 1 FROM uk_school_reviews
+         WHERE urn = $1 AND reviewer_email_hash = $2 AND academic_year = $3 AND verified
+         LIMIT 1`,
+        [urn, emailHash, academicYear]
+      );
+      if (dup.rows.length) {
+        return res.status(429).json({ error: 'You have already reviewed this school this academic year' });
+      }
+    }
+
+    // Flagged reviews are held for a moderator; clean ones publish straight away
+    const screening = await screenReview({ review_title, review_text, reviewer_name }, { db: pool, urn });
+    const held = screening.held || REQUIRE_APPROVAL;
+
+    const review = await withTransaction(async (client) => {
+      const insert = await client.query(
+        `
+        INSERT INTO uk_school_reviews (
+          urn, overall_rating, learning_rating, teaching_rating,
+          social_emotional_rating, special_education_rating, safety_rating,
+          family_engagement_rating, would_recommend, review_text, review_title,
+          reviewer_type, reviewer_name, reviewer_ip, user_id, is_published, moderation_status,
+          moderation_reason, screening_flags, reviewer_email_hash, academic_year
+        )
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21)
+        RETURNING *
+        `,
+        [
+          urn, overall_rating, learning_rating, teaching_rating,
+          social_emotional_rating, special_education_rating, safety_rating,
+          family_engagement_rating, would_recommend, review_text, review_title,
+          reviewer_type, reviewer_name, ip,
+          req.user ? req.user.id : null, // optional: link to the signed-in parent account
+          !held,
+          held ? 'pending' : 'published',
+          screening.held ? screening.reasons.map(r => r.code).join(', ') : null,
+          JSON.stringify(screening.reasons),
+          emailHash,
+          academicYear
+        ]
+      );
+
+      if (!held) await refreshReviewStats(client, insert.rows[0].urn);
+
+      if (screening.held) {
+        await logModeration(client, {
+          reviewId: insert.rows[0].id,
+          action: 'screening_hold',
+          reason: 'Held by automatic screening',
+          newStatus: 'pending',
+          details: { reasons: screening.reasons },
+        });
+      }
+      return insert.rows[0];
+    });
+
+    // The review is saved either way; a failed email only means it stays unverified
+    let verificationSent = false;
+    if (wantsVerification) {
+      try {
+        const school = await pool.query('SELECT name FROM uk_schools WHERE urn = $1', [urn]);
+        await verification.sendVerificationEmail({
+          email: verification.normalizeEmail(reviewer_email),
+          review,
+          schoolName: school.rows[0]?.name,
+        });
+        verificationSent = true;
+      } catch (mailErr) {
+        console.error('Error sending review verification email:', mailErr.message);
+      }
+    }
 
-    res.status(201).json({ success: true, review: insert.rows[0] });
+    res.status(201).json({
+      success: true,
+      review: publicReview(review),
+      held,
+      verification_sent: verificationSent,
+      ...(held && { message: 'Thanks! Your review will appear once it has been checked by our moderators' })
+    });
   } catch (err) {
     console.error('Error submitting review:', err);
     res.status(500).json({ error: 'Failed to submit review' });
   }
 });
 
+/* =============== GET: confirm a reviewer's email (link in email) ========== */
+// Always ends on the school page; ?review_verified= tells it what happened.
+router.get('/reviews/:reviewId/verify', async (req, res) => {
+  const reviewId = toInt(req.params.reviewId, null);
+  if (reviewId === null) return res.status(400).json({ error: 'Invalid review ID' });
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT id, urn, reviewer_email_hash, academic_year, verified
+         FROM uk_school_reviews WHERE id = $1 FOR UPDATE`,
+        [reviewId]
+      );
+      const review = rows[0];
+      if (!review) return null;
+
+      const check = verification.checkSignature(review.id, review.reviewer_email_hash, req.query.expires, req.query.sig);
+      if (check !== 'ok') return { urn: review.urn, status: check };
+      if (review.verified) return { urn: review.urn, status: 'ok' };
+
+      const dup = await client.query(
+        `SELECT 1 FROM uk_school_reviews
+         WHERE urn = $1 AND reviewer_email_hash = $2 AND academic_year = $3 AND verified AND id <> $4
+         LIMIT 1`,
+        [review.urn, review.reviewer_email_hash, review.academic_year, review.id]
+      );
+      if (dup.rows.length) return { urn: review.urn, status: 'duplicate' };
+
+      await client.query(
+        'UPDATE uk_school_reviews SET verified = true, verified_at = NOW() WHERE id = $1',
+        [review.id]
+      );
+      return { urn: review.urn, status: 'ok' };
+    });
+
+    if (!outcome) return res.status(404).json({ error: 'Review not found' });
+    res.redirect(`/school/${outcome.urn}?review_verified=${outcome.status}#reviews`);
+  } catch (err) {
+    console.error('Error verifying review:', err);
+    res.status(500).json({ error: 'Failed to verify review' });
+  }
+});
+
 /* ==================== POST: mark a review as helpful ===================== */
 router.post('/reviews/:reviewId/helpful', async (req, res) => {
   const { reviewId } = req.params;
@@ -308,21 +327,27 @@ router.post('/reviews/:reviewId/report', async (req, res) => {
   if (!reason) return res.status(400).json({ error: 'Report reason is required' });
 
   try {
-    await pool.query(
-      `INSERT INTO uk_review_reports (review_id, report_reason, report_details, reporter_ip)
-       VALUES ($1, $2, $3, $4)`,
-      [reviewId, reason, details || null, ip]
-    );
+    // Insert, count and (maybe) auto-hide together so concurrent reports can't skip the threshold
+    const result = await withTransaction(async (client) => {
+      const upd = await client.query(
+        `UPDATE uk_school_reviews
+         SET report_count = COALESCE(report_count,0) + 1
+         WHERE id = $1
+         RETURNING id, report_count`,
+        [reviewId]
+      );
+      if (!upd.rowCount) return null;
 
-    const upd = await pool.query(
-      `UPDATE uk_school_reviews
-       SET report_count = COALESCE(report_count,0) + 1
-       WHERE id = $1
-       RETURNING id, report_count`,
-      [reviewId]
-    );
+      await client.query(
+        `INSERT INTO uk_review_reports (review_id, report_reason, report_details, reporter_ip)
+         VALUES ($1, $2, $3, $4)`,
+        [reviewId, reason, details || null, ip]
+      );
+      await autoHideIfReported(client, reviewId);
+      return upd.rows[0];
+    });
 
-    if (!upd.rowCount) return res.status(404).json({ error: 'Review not found' });
+    if (!result) return res.status(404).json({ error: 'Review not found' });
     res.json({ success: true, message: 'Review has been reported for moderation' });
   } catch (err) {
     console.error('Error reporting review:', err);
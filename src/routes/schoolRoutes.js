@@ -1,6 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { query } = require('../config/database');
+const { pool, query } = require('../config/database');
+const { LATEST_OFSTED_JOIN, LATEST_CENSUS_JOIN, createParams } = require('../services/searchFilters');
+const { parsePostcode, resolvePostcode } = require('../services/postcodes');
+const { HAS_COORDS, spatialBackend, spatialSql, formatDistance } = require('../services/geo');
+const { ratingInputs, calculateRating, loadLaAverages } = require('../services/ratings');
+const { getRatingHistory } = require('../services/ratingHistory');
+const { parseRatingWeights, calculatePersonalisedRating, loadPersonalInputs } = require('../services/personalRating');
 
 /* ---------------- helpers ---------------- */
 function getOfstedLabel(rating) {
@@ -14,305 +20,200 @@ const toNum = v => {
   return Number.isFinite(n) ? n : null;
 };
 
-function calculateRatingWithFallbacks(school, laAverages) {
-  let components = [];
-  let totalWeight = 0;
-  
-  // Check country (case-insensitive)
-  const country = (school.country || 'england').toLowerCase();
-  const isWales = country === 'wales';
-  const isScotland = country === 'scotland';
-  
-  if (isWales) {
-    // Wales rating: No Ofsted, Academic (80%) and Attendance (20%)
-    
-    // Academic component (80% weight for Wales)
-    let academicScores = [];
-    let academicDetails = {};
-    
-    if (school.english_score !== null && laAverages.avg_english !== null) {
-      const engScore = calculateAcademicScore(school.english_score, laAverages.avg_english);
-      academicScores.push(engScore);
-      academicDetails.english = {
-        school: school.english_score,
-        la_avg: laAverages.avg_english,
-        score: engScore
-      };
-    }
-    
-    if (school.math_score !== null && laAverages.avg_math !== null) {
-      const mathScore = calculateAcademicScore(school.math_score, laAverages.avg_math);
-      academicScores.push(mathScore);
-      academicDetails.math = {
-        school: school.math_score,
-        la_avg: laAverages.avg_math,
-        score: mathScore
-      };
-    }
-    
-    if (school.science_score !== null && laAverages.avg_science !== null) {
-      const sciScore = calculateAcademicScore(school.science_score, laAverages.avg_science);
-      academicScores.push(sciScore);
-      academicDetails.science = {
-        school: school.science_score,
-        la_avg: laAverages.avg_science,
-        score: sciScore
-      };
-    }
-    
-    if (academicScores.length > 0) {
-      const avgAcademicScore = academicScores.reduce((a, b) => a + b, 0) / academicScores.length;
-      components.push({
-        name: 'academic',
-        score: avgAcademicScore,
-        weight: 80,
-        details: academicDetails,
-        subjects_available: academicScores.length
-      });
-      totalWeight += 80;
-    }
-    
-    // Attendance component (20% weight for Wales)
-    if (school.attendance_rate !== null) {
-      const attendanceScore = calculateAttendanceScore(school.attendance_rate);
-      components.push({
-        name: 'attendance',
-        score: attendanceScore,
-        weight: 20,
-        school_rate: school.attendance_rate,
-        la_avg: laAverages.avg_attendance
-      });
-      totalWeight += 20;
-    }
-    
-  } else if (isScotland) {
-    // Scotland rating: No Ofsted, Academic (60%) and Attendance (40%)
-    
-    // Academic component (60% weight for Scotland)
-    let academicScores = [];
-    let academicDetails = {};
-    
-    // Only English and Math for Scotland
-    if (school.english_score !== null && laAverages.avg_english !== null) {
-      const engScore = calculateAcademicScore(school.english_score, laAverages.avg_english);
-      academicScores.push(engScore);
-      academicDetails.english = {
-        school: school.english_score,
-        la_avg: laAverages.avg_english,
-        score: engScore
-      };
-    }
-    
-    if (school.math_score !== null && laAverages.avg_math !== null) {
-      const mathScore = calculateAcademicScore(school.math_score, laAverages.avg_math);
-      academicScores.push(mathScore);
-      academicDetails.math = {
-        school: school.math_score,
-        la_avg: laAverages.avg_math,
-        score: mathScore
-      };
-    }
-    
-    if (academicScores.length > 0) {
-      const avgAcademicScore = academicScores.reduce((a, b) => a + b, 0) / academicScores.length;
-      components.push({
-        name: 'academic',
-        score: avgAcademicScore,
-        weight: 60,
-        details: academicDetails,
-        subjects_available: academicScores.length
-      });
-      totalWeight += 60;
-    }
-    
-    // Attendance component (40% weight for Scotland)
-    if (school.attendance_rate !== null) {
-      const attendanceScore = calculateAttendanceScore(school.attendance_rate);
-      components.push({
-        name: 'attendance',
-        score: attendanceScore,
-        weight: 40,
-        school_rate: school.attendance_rate,
-        la_avg: laAverages.avg_attendance
-      });
-      totalWeight += 40;
-    }
-    
-  } else {
-    // England/Wales/NI rating: Original system with Ofsted
-    
-    // 1. Ofsted component (40% weight)
-    if (school.ofsted_overall_effectiveness) {
-      const ofstedMap = { 
-        1: 9.5,  // Outstanding
-        2: 7.5,  // Good
-        3: 4.5,  // Requires Improvement
-        4: 2.5   // Inadequate
-      };
-      const ofstedScore = ofstedMap[school.ofsted_overall_effectiveness] || 5;
-      components.push({
-        name: 'ofsted',
-        score: ofstedScore,
-        weight: 40,
-        label: getOfstedLabel(school.ofsted_overall_effectiveness)
-      });
-      totalWeight += 40;
-    }
-    
-    // 2. Academic component (40% weight)
-    let academicScores = [];
-    let academicDetails = {};
-    
-    if (school.english_score !== null && laAverages.avg_english !== null) {
-      const engScore = calculateAcademicScore(school.english_score, laAverages.avg_english);
-      academicScores.push(engScore);
-      academicDetails.english = {
-        school: school.english_score,
-        la_avg: laAverages.avg_english,
-        score: engScore
-      };
-    }
-    
-    if (school.math_score !== null && laAverages.avg_math !== null) {
-      const mathScore = calculateAcademicScore(school.math_score, laAverages.avg_math);
-      academicScores.push(mathScore);
-      academicDetails.math = {
-        school: school.math_score,
-        la_avg: laAverages.avg_math,
-        score: mathScore
-      };
-    }
-    
-    // Include Science for non-Scotland schools
-    if (school.science_score !== null && laAverages.avg_science !== null) {
-      const sciScore = calculateAcademicScore(school.science_score, laAverages.avg_science);
-      academicScores.push(sciScore);
-      academicDetails.science = {
-        school: school.science_score,
-        la_avg: laAverages.avg_science,
-        score: sciScore
-      };
-    }
-    
-    if (academicScores.length > 0) {
-      const avgAcademicScore = academicScores.reduce((a, b) => a + b, 0) / academicScores.length;
-      components.push({
-        name: 'academic',
-        score: avgAcademicScore,
-        weight: 40,
-        details: academicDetails,
-        subjects_available: academicScores.length
-      });
-      totalWeight += 40;
+// Strip bookkeeping columns from a latest-row performance record
+function pickPerformanceRow(row) {
+  if (!row) return null;
+  const { id, urn, created_at, updated_at, ...rest } = row;
+  return rest;
+}
+
+/* =======================================================================
+ * GET /api/schools/compare?urns=100000,100001
+ * Side-by-side data for 2-5 schools (order preserved from the query)
+ * NOTE: registered before /:urn so "compare" is not treated as a URN
+ * ======================================================================= */
+router.get('/compare', async (req, res) => {
+  try {
+    const urns = [...new Set(
+      String(req.query.urns || '')
+        .split(',')
+        .map(u => u.trim())
+        .filter(Boolean)
+    )];
+
+    // Up to 9 digits keeps every URN inside the int4 range of the urn column
+    if (urns.some(u => !/^\d{1,9}$/.test(u))) {
+      return res.status(400).json({ error: 'URNs must be numbers of up to 9 digits' });
     }
-    
-    // 3. Attendance component (20% weight)
-    if (school.attendance_rate !== null) {
-      const attendanceScore = calculateAttendanceScore(school.attendance_rate);
-      components.push({
-        name: 'attendance',
-        score: attendanceScore,
-        weight: 20,
-        school_rate: school.attendance_rate,
-        la_avg: laAverages.avg_attendance
-      });
-      totalWeight += 20;
+    if (urns.length < 2 || urns.length > 5) {
+      return res.status(400).json({ error: 'Provide between 2 and 5 school URNs to compare' });
     }
-  }
-  
-  // Check minimum data threshold
-  const minThreshold = isWales ? 20 : (isScotland ? 50 : 40);
-  if (totalWeight < minThreshold) {
-    return {
-      rating: null,
-      message: "Insufficient data for rating",
-      available_components: components,
-      data_completeness: totalWeight,
-      is_wales: isWales,
-      is_scotland: isScotland
-    };
-  }
-  
-  // Calculate normalized score
-  const normalizedScore = components.reduce((sum, c) => 
-    sum + (c.score * (c.weight / totalWeight)), 0
-  );
-  
-  // Calculate percentile
-  const percentile = calculatePercentile(normalizedScore, laAverages.all_ratings || []);
-  
-  // Standard rounding
-  const roundedRating = Math.round(normalizedScore);
-  
-  return {
-    rating: roundedRating,
-    components: components,
-    data_completeness: totalWeight,
-    percentile: percentile,
-    la_comparison: totalWeight === 100 ? 'Complete data' : 'Partial data',
-    is_wales: isWales,
-    is_scotland: isScotland
-  };
-}
 
-function calculateAcademicScore(schoolValue, laAverage) {
-  if (schoolValue === null || schoolValue === undefined) return 5;
-  if (laAverage === null || laAverage === undefined) return 5;
-  
-  // Calculate percentage point difference
-  const difference = schoolValue - laAverage;
-  
-  // Scale: Each 4 percentage points difference = 1 rating point
-  // +20 points above LA = 10/10, -20 below = 0/10
-  let score = 5 + (difference / 4);
-  
-  // Cap between 1 and 10
-  return Math.max(1, Math.min(10, score));
-}
+    const compareSql = `
+      SELECT
+        s.urn, s.name, s.country, s.phase_of_education, s.type_of_establishment,
+        s.street, s.town, s.postcode, s.local_authority, s.region,
+        s.latitude, s.longitude,
+        s.gender, s.age_range_lower, s.age_range_upper, s.religious_character,
+        s.has_nursery, s.has_sixth_form, s.is_boarding_school, s.has_sen_provision,
+        s.school_capacity, s.total_pupils, s.boys_count, s.girls_count, s.percentage_fsm,
+        s.english_score, s.math_score, s.science_score,
+        s.english_avg_la, s.math_avg_la, s.science_avg_la,
+        s.overall_rating, s.rating_components, s.rating_percentile, s.rating_updated_at,
 
-function calculateAttendanceScore(attendanceRate) {
-  if (!attendanceRate) return 5;
-  
-  // Linear progression from 80% to 100%
-  // 80% or below = 1
-  // 100% = 10
-  // Linear scale in between
-  
-  if (attendanceRate <= 80) {
-    return 1;
-  }
-  
-  if (attendanceRate >= 100) {
-    return 10;
-  }
-  
-  // Linear calculation:
-  // For every 1% increase from 80%, add 0.45 points
-  // Formula: score = 1 + ((attendanceRate - 80) * 9 / 20)
-  // This gives us: 80%=1, 85%=3.25, 90%=5.5, 95%=7.75, 100%=10
-  
-  const score = 1 + ((attendanceRate - 80) * 9 / 20);
-  
-  // Round to 1 decimal place for consistency
-  return Math.round(score * 10) / 10;
-}
+        o.overall_effectiveness, o.inspection_date, o.publication_date,
+        o.quality_of_education, o.behaviour_and_attitudes, o.personal_development,
+        o.leadership_and_management, o.safeguarding_effective,
+        o.sixth_form_provision, o.early_years_provision, o.web_link,
 
-function calculatePercentile(score, allScores) {
-  if (!allScores || allScores.length === 0) return null;
-  if (allScores.length === 1) return 50; // Default to 50th percentile if only one school
-  
-  // Filter out null values and count how many schools have lower scores
-  const validScores = allScores.filter(s => s !== null);
-  const below = validScores.filter(s => s < score).length;
-  const percentile = Math.round((below / validScores.length) * 100);
-  
-  // Return null if percentile is 0 (might indicate data issue)
-  return percentile || null;
-}
+        c.number_on_roll, c.number_girls, c.number_boys,
+        c.percentage_fsm_ever6, c.percentage_eal, c.percentage_sen_support, c.percentage_sen_ehcp,
+
+        a.overall_absence_rate, a.persistent_absence_rate,
+
+        ks2.data AS ks2, ks4.data AS ks4, ks5.data AS ks5
+      FROM uk_schools s
+      /* latest ofsted */
+      LEFT JOIN LATERAL (
+        SELECT *
+        FROM uk_ofsted_inspections oi
+        WHERE oi.urn = s.urn
+        ORDER BY COALESCE(inspection_date, publication_date) DESC NULLS LAST
+        LIMIT 1
+      ) o ON TRUE
+      /* latest census */
+      LEFT JOIN LATERAL (
+        SELECT number_on_roll, number_girls, number_boys,
+               percentage_fsm_ever6, percentage_eal, percentage_sen_support, percentage_sen_ehcp
+        FROM uk_census_data uc
+        WHERE uc.urn = s.urn
+        ORDER BY academic_year DESC NULLS LAST
+        LIMIT 1
+      ) c ON TRUE
+      /* latest attendance */
+      LEFT JOIN LATERAL (
+        SELECT overall_absence_rate, persistent_absence_rate
+        FROM uk_absence_data ua
+        WHERE ua.urn = s.urn
+        ORDER BY academic_year DESC NULLS LAST
+        LIMIT 1
+      ) a ON TRUE
+      /* latest key stage results */
+      LEFT JOIN LATERAL (
+        SELECT to_jsonb(k) AS data FROM uk_ks2_performance k
+        WHERE k.urn = s.urn ORDER BY academic_year DESC NULLS LAST LIMIT 1
+      ) ks2 ON TRUE
+      LEFT JOIN LATERAL (
+        SELECT to_jsonb(k) AS data FROM uk_ks4_performance k
+        WHERE k.urn = s.urn ORDER BY academic_year DESC NULLS LAST LIMIT 1
+      ) ks4 ON TRUE
+      LEFT JOIN LATERAL (
+        SELECT to_jsonb(k) AS data FROM uk_ks5_performance k
+        WHERE k.urn = s.urn ORDER BY academic_year DESC NULLS LAST LIMIT 1
+      ) ks5 ON TRUE
+      WHERE s.urn = ANY($1::int[])
+    `;
+    const { rows } = await query(compareSql, [urns.map(Number)]);
+    const byUrn = new Map(rows.map(r => [String(r.urn), r]));
+
+    const schools = urns.filter(u => byUrn.has(u)).map(u => {
+      const r = byUrn.get(u);
+      const isWales = (r.country || '').toLowerCase() === 'wales';
+      const absence = toNum(r.overall_absence_rate);
+
+      return {
+        urn: r.urn,
+        name: r.name,
+        country: r.country || 'England',
+        phase: r.phase_of_education,
+        type: r.type_of_establishment,
+        latitude: toNum(r.latitude),
+        longitude: toNum(r.longitude),
+        address: {
+          street: r.street,
+          town: r.town,
+          postcode: r.postcode,
+          local_authority: r.local_authority,
+          region: r.region || null,
+        },
+        characteristics: {
+          gender: r.gender,
+          age_range: `${r.age_range_lower ?? 'N/A'} - ${r.age_range_upper ?? 'N/A'}`,
+          religious_character: r.religious_character,
+          has_nursery: !!r.has_nursery,
+          has_sixth_form: !!r.has_sixth_form,
+          is_boarding_school: !!r.is_boarding_school,
+          has_sen_provision: !!r.has_sen_provision,
+          capacity: toNum(r.school_capacity),
+        },
+
+        overall_rating: toNum(r.overall_rating),
+        rating_components: r.rating_components || null,
+        rating_percentile: toNum(r.rating_percentile),
+        rating_updated_at: r.rating_updated_at,
+
+        // Ofsted does not inspect Welsh schools
+        ofsted: isWales ? null : {
+          overall_effectiveness: r.overall_effectiveness ?? null,
+          overall_label: getOfstedLabel(r.overall_effectiveness),
+          inspection_date: r.inspection_date ?? null,
+          publication_date: r.publication_date ?? null,
+          quality_of_education: r.quality_of_education ?? null,
+          behaviour_and_attitudes: r.behaviour_and_attitudes ?? null,
+          personal_development: r.personal_development ?? null,
+          leadership_and_management: r.leadership_and_management ?? null,
+          safeguarding_effective: r.safeguarding_effective ?? null,
+          sixth_form_provision: r.sixth_form_provision ?? null,
+          early_years_provision: r.early_years_provision ?? null,
+          web_link: r.web_link || null,
+        },
+
+        demographics: {
+          total_students: r.total_pupils ?? r.number_on_roll ?? null,
+          boys: r.boys_count ?? r.number_boys ?? null,
+          girls: r.girls_count ?? r.number_girls ?? null,
+          fsm_percentage: toNum(r.percentage_fsm ?? r.percentage_fsm_ever6),
+          eal_percentage: toNum(r.percentage_eal),
+          sen_support_percentage: toNum(r.percentage_sen_support),
+          sen_ehcp_percentage: toNum(r.percentage_sen_ehcp),
+        },
+
+        attendance: {
+          overall_absence_rate: absence,
+          persistent_absence_rate: toNum(r.persistent_absence_rate),
+          attendance_rate: absence !== null ? 100 - absence : null,
+        },
+
+        test_scores: {
+          english: { score: toNum(r.english_score), la_average: toNum(r.english_avg_la) },
+          math: { score: toNum(r.math_score), la_average: toNum(r.math_avg_la) },
+          science: { score: toNum(r.science_score), la_average: toNum(r.science_avg_la) },
+        },
+
+        performance: {
+          ks2: pickPerformanceRow(r.ks2),
+          ks4: pickPerformanceRow(r.ks4),
+          ks5: pickPerformanceRow(r.ks5),
+        },
+      };
+    });
+
+    return res.json({
+      success: true,
+      count: schools.length,
+      schools,
+      not_found: urns.filter(u => !byUrn.has(u)),
+    });
+  } catch (err) {
+    console.error('Compare fetch error:', err);
+    return res.status(500).json({ error: 'Failed to fetch comparison data', message: err.message });
+  }
+});
 
 /* =======================================================================
- * GET /api/schools/:urn
- * Returns a robust object with calculated rating
+ * GET /api/schools/:urn?weights=ofsted:40,reviews:60
+ * Returns a robust object with calculated rating, plus a personalised
+ * rating when weights are given (see src/services/personalRating.js)
  * ======================================================================= */
 router.get('/:urn', async (req, res) => {
   try {
@@ -322,6 +223,10 @@ router.get('/:urn', async (req, res) => {
     if (!urn || isNaN(urn)) {
       return res.status(400).json({ error: 'Invalid URN provided' });
     }
+    const weights = parseRatingWeights(req.query);
+    if (weights && weights.error) {
+      return res.status(400).json({ error: weights.error });
+    }
 
     // 1) Base row from uk_schools - includes new rating columns
     const baseSql = `
@@ -443,7 +348,7 @@ router.get('/:urn', async (req, res) => {
         web_link
       FROM uk_ofsted_inspections
       WHERE urn = $1
-      ORDER BY COALESCE(inspection_date, publication_date) DESC
+      ORDER BY COALESCE(inspection_date, publication_date) DESC NULLS LAST
       LIMIT 1
     `;
     const censusSql = `
@@ -472,84 +377,29 @@ router.get('/:urn', async (req, res) => {
     const c = cR.rows[0] || {};
     const a = aR.rows[0] || {};
 
-    // 3) Calculate LA averages for comparison
-    const laAvgSql = `
-      SELECT
-        AVG(s2.english_score) AS avg_english,
-        AVG(s2.math_score)    AS avg_math,
-        AVG(s2.science_score) AS avg_science,
-        AVG(CASE WHEN a2.overall_absence_rate IS NOT NULL
-                THEN 100 - a2.overall_absence_rate END) AS avg_attendance,
-        ARRAY_AGG(s2.overall_rating) FILTER (WHERE s2.overall_rating IS NOT NULL) AS all_ratings
-      FROM uk_schools s2
-      LEFT JOIN LATERAL (
-        SELECT overall_absence_rate
-        FROM uk_absence_data ua2
-        WHERE ua2.urn = s2.urn
-        ORDER BY academic_year DESC NULLS LAST
-        LIMIT 1
-      ) a2 ON TRUE
-      WHERE s2.local_authority = $1
-        AND s2.phase_of_education = $2
-        AND s2.urn <> $3
-    `;
-    const laAvgR = await query(laAvgSql, [s.local_authority, s.phase_of_education, urn]);
-    const laAverages = laAvgR.rows[0] || {};
-
-    // 4) Always calculate an up-to-date rating for response payload.
-    //    We still only persist to DB when stale or forced.
-    const forceRecalculate = req.query.recalculate === '1';
-    const needsRatingUpdate = forceRecalculate || !s.rating_updated_at ||
-      !s.rating_components ||
-      (Date.now() - new Date(s.rating_updated_at) > 30 * 24 * 60 * 60 * 1000);
-
-    // Prepare data for rating calculation
-    const isWales = s.country && s.country.toLowerCase() === 'wales';
-    
-    // If overall_effectiveness is null but other Ofsted scores exist, try to infer it
-    let ofstedRating = o.overall_effectiveness;
-    if (!ofstedRating && o.quality_of_education && !isWales) {
-      // Use quality_of_education as a proxy if overall is missing (but not for Wales)
-      ofstedRating = o.quality_of_education;
-    }
-    
-    // For Wales schools, explicitly set Ofsted to null
-    if (isWales) {
-      ofstedRating = null;
-    }
-    
-    const schoolForRating = {
-      country: s.country || 'england',
-      ofsted_overall_effectiveness: ofstedRating,
-      english_score: toNum(s.english_score),
-      math_score: toNum(s.math_score),
-      science_score: toNum(s.science_score),
-      attendance_rate: a.overall_absence_rate ? (100 - a.overall_absence_rate) : null
-    };
-    
-    // Compute latest rating (for response)
-    const calculatedRating = calculateRatingWithFallbacks(schoolForRating, laAverages);
-
-    // Persist to DB only if stale/forced and we have a rating
-    if ((needsRatingUpdate || debug) && calculatedRating.rating !== null && !debug) {
-      await query(`
-        UPDATE uk_schools 
-        SET overall_rating = $1,
-            rating_components = $2,
-            rating_percentile = $3,
-            rating_updated_at = NOW()
-        WHERE urn = $4
-      `, [
-        calculatedRating.rating, 
-        JSON.stringify(calculatedRating.components),
-        calculatedRating.percentile,
-        urn
-      ]);
-      
-      // Update local object
-      s.overall_rating = calculatedRating.rating;
-      s.rating_components = calculatedRating.components;
-      s.rating_percentile = calculatedRating.percentile;
+    // 3) LA averages (same LA and phase, excluding this school) for the rating and comparison
+    const laAverages = await loadLaAverages(pool, s);
+
+    // 4) Calculate the current rating for the response (components, completeness) with the
+    //    same engine as the rating worker. Nothing is written here: the stored rating is
+    //    kept up to date by the job queue (src/services/ratingJobs.js).
+    const isWales = (s.country || '').toLowerCase() === 'wales';
+    const calculatedRating = calculateRating(ratingInputs({
+      ...s,
+      ofsted_overall_effectiveness: o.overall_effectiveness,
+      ofsted_quality_of_education: o.quality_of_education,
+      overall_absence_rate: a.overall_absence_rate
+    }), laAverages);
+
+    // Personalised rating from the same components, plus reviews and progress
+    let personalisedRating = null;
+    if (weights) {
+      const personalInputs = (await loadPersonalInputs(pool, [s.urn])).get(String(s.urn)) || { country: s.country };
+      personalisedRating = calculatePersonalisedRating(
+        personalInputs,
+        calculatedRating.components || calculatedRating.available_components,
+        weights.weights
+      );
     }
 
     // Normalize leader name and contact
@@ -689,6 +539,8 @@ router.get('/:urn', async (req, res) => {
         rating_components: (calculatedRating && calculatedRating.components) || s.rating_components || null,
         rating_percentile: s.rating_percentile || (calculatedRating && calculatedRating.percentile) || null,
         rating_data_completeness: calculatedRating ? calculatedRating.data_completeness : null,
+        rating_methodology: calculatedRating ? calculatedRating.methodology : null,
+        personalised_rating: personalisedRating,
         
         // LA comparison data
         la_comparison: {
@@ -726,6 +578,45 @@ router.get('/:urn', async (req, res) => {
   }
 });
 
+/* =======================================================================
+ * GET /api/schools/:urn/rating-history?limit=50
+ * Every stored rating computation, newest first, each with the reasons it
+ * differs from the one before (see src/services/ratingHistory.js)
+ * ======================================================================= */
+router.get('/:urn/rating-history', async (req, res) => {
+  try {
+    const { urn } = req.params;
+    if (!/^\d+$/.test(urn)) {
+      return res.status(400).json({ error: 'Invalid URN provided' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const schoolR = await query(
+      'SELECT urn, name, overall_rating, rating_updated_at FROM uk_schools WHERE urn = $1',
+      [urn]
+    );
+    if (schoolR.rows.length === 0) {
+      return res.status(404).json({ error: 'School not found' });
+    }
+    const school = schoolR.rows[0];
+
+    const { total, history } = await getRatingHistory(pool, urn, { limit });
+
+    res.json({
+      success: true,
+      urn: school.urn,
+      name: school.name,
+      current_rating: school.overall_rating === null ? null : Number(school.overall_rating),
+      rating_updated_at: school.rating_updated_at,
+      total,
+      history
+    });
+  } catch (err) {
+    console.error('Rating history error:', err);
+    return res.status(500).json({ error: 'Failed to fetch rating history', message: err.message });
+  }
+});
+
 /* =======================================================================
  * GET /api/schools/:urn/performance
  * ======================================================================= */
@@ -841,15 +732,50 @@ router.get('/:urn/performance/detailed', async (req, res) => {
 
 /* =======================================================================
  * GET /api/schools/:urn/nearby
- * (same LA + same phase for now)
+ * Closest schools by great-circle distance from this school.
+ * ?limit (default 10, max 50), ?radius (km, max 50),
+ * ?same_phase (default true), ?same_type (default false)
+ * Schools without coordinates are located by their postcode, then their
+ * postcode district; failing that we fall back to the same LA, A-Z.
  * ======================================================================= */
+const flag = (v, dflt) => (v === undefined ? dflt : ['1', 'true', 'yes'].includes(String(v).toLowerCase()));
+
+// Where to measure from: the school's own coordinates, else its postcode
+async function nearbyOrigin(school) {
+  if (school.latitude !== null && school.longitude !== null) {
+    return { lat: Number(school.latitude), lng: Number(school.longitude), source: 'school' };
+  }
+  const parsed = parsePostcode(school.postcode);
+  if (!parsed) return null;
+
+  for (const code of [parsed.postcode, parsed.outcode].filter(Boolean)) {
+    const loc = await resolvePostcode(pool, code);
+    if (loc.status === 'ok') {
+      return {
+        lat: loc.latitude,
+        lng: loc.longitude,
+        source: loc.precision === 'postcode' ? 'postcode' : 'postcode_district',
+      };
+    }
+  }
+  return null;
+}
+
 router.get('/:urn/nearby', async (req, res) => {
   try {
     const { urn } = req.params;
-    const { limit = 10 } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const radius = req.query.radius ? Math.min(parseFloat(req.query.radius) || 0, 50) : null;
+    const samePhase = flag(req.query.same_phase, true);
+    const sameType = flag(req.query.same_type, false);
+
+    if (radius !== null && radius <= 0) {
+      return res.status(400).json({ error: 'radius must be a positive number of km' });
+    }
 
     const currentSql = `
-      SELECT local_authority, phase_of_education
+      SELECT local_authority, phase_of_education, type_of_establishment,
+             postcode, latitude, longitude
       FROM uk_schools
       WHERE urn = $1
       LIMIT 1
@@ -859,14 +785,41 @@ router.get('/:urn/nearby', async (req, res) => {
       return res.status(404).json({ error: 'School not found' });
     }
     const cur = curR.rows[0];
+    const origin = await nearbyOrigin(cur);
+
+    // $1 is this school; filters and the origin point follow
+    const params = createParams([urn]);
+    const conditions = ['s.urn <> $1'];
+    if (samePhase && cur.phase_of_education) {
+      conditions.push(`s.phase_of_education = ${params.add(cur.phase_of_education)}`);
+    }
+    if (sameType && cur.type_of_establishment) {
+      conditions.push(`s.type_of_establishment = ${params.add(cur.type_of_establishment)}`);
+    }
+
+    let distanceSql = 'NULL::float8';
+    let orderBy = 's.name';
+    if (origin) {
+      const geo = spatialSql(await spatialBackend(pool), params.add(origin.lat), params.add(origin.lng));
+      distanceSql = geo.distanceKm;
+      orderBy = `${geo.nearestOrder}, s.urn`;
+      conditions.push(...(radius !== null ? geo.within(params.add(radius)) : HAS_COORDS));
+    } else {
+      // Nowhere to measure from: same LA is the best proxy for "nearby"
+      conditions.push(`s.local_authority = ${params.add(cur.local_authority)}`);
+    }
 
     const nearbySql = `
       SELECT
         s.urn,
         s.name,
         s.type_of_establishment,
+        s.phase_of_education,
         s.postcode,
         s.town,
+        s.local_authority,
+        s.latitude,
+        s.longitude,
         o.overall_effectiveness AS ofsted_rating,
         COALESCE(c.number_on_roll, s.total_pupils) AS number_on_roll,
         COALESCE(
@@ -878,22 +831,17 @@ router.get('/:urn/nearby', async (req, res) => {
             WHEN o.overall_effectiveness = 4 THEN 3
             ELSE NULL
           END
-        ) AS overall_rating
+        ) AS overall_rating,
+        d.distance_km
       FROM uk_schools s
-      LEFT JOIN uk_ofsted_inspections o ON s.urn = o.urn
-      LEFT JOIN uk_census_data c ON s.urn = c.urn
-      WHERE s.local_authority = $1
-        AND s.urn <> $2
-        AND s.phase_of_education = $3
-      ORDER BY s.name
-      LIMIT $4
+      CROSS JOIN LATERAL (SELECT ${distanceSql} AS distance_km) d
+      ${LATEST_OFSTED_JOIN}
+      ${LATEST_CENSUS_JOIN}
+      WHERE ${conditions.join('\n        AND ')}
+      ORDER BY ${orderBy}
+      LIMIT ${params.add(limit)}
     `;
-    const nearR = await query(nearbySql, [
-      cur.local_authority,
-      urn,
-      cur.phase_of_education,
-      parseInt(limit, 10),
-    ]);
+    const nearR = await query(nearbySql, params.values);
 
     return res.json({
       success: true,
@@ -901,9 +849,14 @@ router.get('/:urn/nearby', async (req, res) => {
         urn,
         local_authority: cur.local_authority,
         phase: cur.phase_of_education,
+        type: cur.type_of_establishment,
       },
-      nearby_schools: nearR.rows.map(row => ({
+      origin,
+      strategy: origin ? 'distance' : 'local_authority',
+      filters: { same_phase: samePhase, same_type: sameType, radius_km: origin ? radius : null },
+      nearby_schools: nearR.rows.map(({ distance_km, ...row }) => ({
         ...row,
+        ...formatDistance(distance_km),
         ofsted_label: getOfstedLabel(row.ofsted_rating),
       })),
     });
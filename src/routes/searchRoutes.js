@@ -1,109 +1,87 @@
 const express = require('express');
 const router = express.Router();
-const { query } = require('../config/database');
+const { pool, query } = require('../config/database');
+const {
+  LATEST_OFSTED_JOIN,
+  LATEST_CENSUS_JOIN,
+  createParams,
+  validateSearchFilters,
+  parseSearchFilters,
+  buildFilterConditions,
+  whereSql,
+  facetCountsSql,
+  formatFacets,
+} = require('../services/searchFilters');
+const {
+  parseSort,
+  orderBySql,
+  sortValueSql,
+  cursorConditionSql,
+  paginate,
+} = require('../services/searchSort');
+const { didYouMean } = require('../services/fuzzySearch');
+const { SUGGESTION_TYPES, suggest } = require('../services/suggester');
+const { resolvePostcode } = require('../services/postcodes');
+const { HAS_COORDS, spatialBackend, spatialSql, formatDistance } = require('../services/geo');
+const { parseViewport, viewportSearch } = require('../services/mapSearch');
+const { MAX_ROUTE_KM, parseRoute, prepareRoute, corridorSearch } = require('../services/corridor');
+const { parseAnchors, resolveAnchors, multiAnchorSearch } = require('../services/multiAnchor');
+const { exportFormat, exportSelectSql, streamExport } = require('../services/searchExport');
+const { parseRatingWeights, addPersonalisedRatings } = require('../services/personalRating');
+
+// Every search endpoint takes the same filters and rating weights; reject malformed ones up front
+router.use((req, res, next) => {
+  const error = validateSearchFilters(req.query);
+  if (error) return res.status(400).json({ error });
+  const weights = parseRatingWeights(req.query);
+  if (weights && weights.error) return res.status(400).json({ error: weights.error });
+  req.ratingWeights = weights ? weights.weights : null;
+  next();
+});
+
+// ?weights=ofsted:40,reviews:60 adds a personalised_rating to each school (services/personalRating.js)
+const personalise = (req, schools) => addPersonalisedRatings(pool, schools, req.ratingWeights);
 
 /**
- * @route   GET /api/search
- * @desc    Search schools by name, postcode, or location
- * @query   q (search term), type (name|postcode|location), limit, offset
- * @example /api/search?q=Westminster&type=name&limit=10
+ * @route   GET /api/search/suggest
+ * @desc    Autocomplete for every search box: schools, towns, local authorities,
+ *          parliamentary constituencies, postcode districts and trusts in one ranked list
+ * @query   q (at least 2 characters), limit (max 20), types (comma list, default all)
+ * @example /api/search/suggest?q=St%20Marys&types=school,town
  */
-// --- /api/search/suggest ---
 router.get('/suggest', async (req, res) => {
   const q = String(req.query.q || '').trim();
-  const limit = Math.min(parseInt(req.query.limit || '8', 10), 20);
-  if (q.length < 2) return res.json({ schools: [], cities: [], authorities: [], postcodes: [] });
-
-  const likePrefix = q.replace(/[%_]/g, '') + '%';
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '10', 10) || 10, 1), 20);
+  const types = req.query.types
+    ? String(req.query.types).split(',').map(t => t.trim()).filter(t => SUGGESTION_TYPES.includes(t))
+    : SUGGESTION_TYPES;
 
   try {
-    const schoolsSql = `
-      SELECT s.urn, s.name, s.town, s.postcode,
-             COALESCE(s.overall_rating,
-                      CASE o.overall_effectiveness
-                        WHEN 1 THEN 9 WHEN 2 THEN 7 WHEN 3 THEN 5 WHEN 4 THEN 3 ELSE NULL END
-             ) AS overall_rating
-      FROM uk_schools s
-      LEFT JOIN uk_ofsted_inspections o ON o.urn = s.urn
-      WHERE s.name ILIKE $1 OR s.postcode ILIKE $1 OR s.town ILIKE $1
-      ORDER BY s.overall_rating DESC NULLS LAST, s.name ASC
-      LIMIT $2;`;
-
-    const citiesSql = `
-      SELECT s.town, MAX(s.country) AS country
-      FROM uk_schools s
-      WHERE s.town ILIKE $1
-      GROUP BY s.town
-      ORDER BY COUNT(*) DESC, s.town ASC
-      LIMIT $2;`;
-
-    const laSql = `
-      SELECT s.local_authority, MAX(s.region) AS region
-      FROM uk_schools s
-      WHERE s.local_authority ILIKE $1
-      GROUP BY s.local_authority
-      ORDER BY COUNT(*) DESC, s.local_authority ASC
-      LIMIT $2;`;
-
-    const pcSql = `
-      SELECT DISTINCT s.postcode
-      FROM uk_schools s
-      WHERE s.postcode ILIKE $1
-      ORDER BY s.postcode
-      LIMIT $2;`;
-
-    const [schools, cities, authorities, postcodes] = await Promise.all([
-      query(schoolsSql, [likePrefix, limit]),
-      query(citiesSql,   [likePrefix, Math.max(5, Math.floor(limit/2))]),
-      query(laSql,       [likePrefix, Math.max(5, Math.floor(limit/2))]),
-      query(pcSql,       [likePrefix, 6]),
-    ]).then(rs => rs.map(r => r.rows));
-
-    res.json({
-      schools: schools.map(r => ({ type:'school', urn:r.urn, name:r.name, town:r.town, postcode:r.postcode, overall_rating:r.overall_rating })),
-      cities:  cities.map(r => ({ type:'city', town:r.town, country:r.country })),
-      authorities: authorities.map(r => ({ type:'la', local_authority:r.local_authority, region:r.region })),
-      postcodes: postcodes.map(r => ({ type:'pc', postcode:r.postcode })),
+    const suggestions = await suggest(pool, q, { types, limit });
+    res.json({ success: true, query: q, suggestions });
+  } catch (error) {
+    console.error('Suggest error:', error);
+    res.status(500).json({
+      error: 'Failed to get suggestions',
+      message: error.message
     });
-  } catch (e) {
-    console.error('suggest error', e);
-    res.json({ schools: [], cities: [], authorities: [], postcodes: [] });
   }
 });
 
-// --- /api/search/school-autocomplete ---
-router.get('/school-autocomplete', async (req, res) => {
-  const qRaw = String(req.query.q || '').trim();
-  const limit = Math.min(parseInt(req.query.limit || '8', 10), 20);
-  if (qRaw.length < 2) return res.json({ schools: [] });
-
-  const q = qRaw.replace(/[%_]/g, '');
-  const like = q + '%';
-  const tokens = q.split(/\s+/).filter(Boolean);
-  const tokenConds = tokens.map((_, i) => `LOWER(name) LIKE LOWER($${i + 3})`).join(' AND ');
-  const tokenParams = tokens.map(t => `%${t}%`);
-
-  const sql = `
-    SELECT urn, name, town, postcode, overall_rating
-    FROM uk_schools
-    WHERE name ILIKE $1
-       OR postcode ILIKE $1
-       OR town ILIKE $1
-       OR (${tokens.length ? tokenConds : 'FALSE'})
-    ORDER BY overall_rating DESC NULLS LAST, name ASC
-    LIMIT $2`;
-
-  try {
-    const { rows } = await query(sql, [like, limit, ...tokenParams]);
-    res.json({ schools: rows });
-  } catch (e) {
-    console.error('school-autocomplete error', e);
-    res.json({ schools: [] });
-  }
-});
-
-
-
+/**
+ * @route   GET /api/search
+ * @desc    Search schools by name, postcode, or location
+ * @query   q (search term), type (name|postcode|location|trust), limit (default 20, max 500), offset,
+ *          filters (see src/services/searchFilters.js), facets=false to skip facet counts,
+ *          sort (relevance|rating|ofsted|inspection|pupils|fsm|attendance|reviews|name), order (asc|desc),
+ *          cursor (next_cursor from the previous page, instead of offset),
+ *          format (csv|geojson: download every match; see src/services/searchExport.js),
+ *          weights (ofsted|academic|attendance|reviews|progress:0-100 pairs, adds personalised_rating
+ *          to each school here and on every other search endpoint; see src/services/personalRating.js)
+ * @example /api/search?q=Westminster&type=name&limit=10&ofsted=1,2
+ * @example /api/search?q=Leeds&type=location&age=11&faith=none&open=true&minAttendance=94
+ * @example /api/search?q=York&type=location&weights=ofsted:20,academic:30,reviews:30,progress:20
+ */
 router.get('/', async (req, res) => {
   try {
     const { 
@@ -111,11 +89,7 @@ router.get('/', async (req, res) => {
       type = 'all',
       limit = 20, 
       offset = 0,
-      phase,
-      ofsted,
-      la,
-      phases: phasesStr,
-      minRating
+      facets: wantFacets
     } = req.query;
 
     // Validate search query
@@ -125,8 +99,36 @@ router.get('/', async (req, res) => {
       });
     }
 
-    // Build the SQL query - now using stored overall_rating
-    let sqlQuery = `
+    if (!(parseInt(limit) > 0)) {
+      return res.status(400).json({ error: 'limit must be a positive number' });
+    }
+
+    // One set of conditions (and params) for the results, the count and the facets
+    const spec = parseSearchFilters(req.query);
+    const params = createParams();
+    const conditions = buildFilterConditions(spec, params);
+    const where = whereSql(conditions);
+    const filterValues = [...params.values];
+
+    // Name searches default to best match first
+    const sort = parseSort(req.query, { relevance: conditions.rank });
+    if (sort.error) return res.status(400).json({ error: sort.error });
+
+    // format=csv|geojson: every match, no paging
+    const format = exportFormat(req.query);
+    if (format) {
+      return streamExport(req, res, {
+        format,
+        sql: exportSelectSql({ joins: sort.join, where, orderBy: orderBySql(sort) }),
+        values: filterValues,
+        filename: `schools-${q.trim()}`
+      });
+    }
+
+    // A cursor replaces the offset; one extra row tells us whether there is a next page
+    const pageSize = Math.min(parseInt(limit), 500); // Max 500 results
+    const after = cursorConditionSql(sort, params);
+    const sqlQuery = `
       SELECT 
         s.urn,
         s.name,
@@ -145,308 +147,58 @@ router.get('/', async (req, res) => {
         o.overall_effectiveness as ofsted_rating,
         o.inspection_date,
         COALESCE(c.number_on_roll, s.total_pupils) AS number_on_roll,
-        c.percentage_fsm_ever6 as fsm_percentage
+        c.percentage_fsm_ever6 as fsm_percentage,
+        ${sortValueSql(sort)}
       FROM uk_schools s
-      LEFT JOIN LATERAL (
-        SELECT overall_effectiveness, inspection_date
-        FROM uk_ofsted_inspections o
-        WHERE o.urn = s.urn
-        ORDER BY COALESCE(inspection_date, publication_date) DESC NULLS LAST
-        LIMIT 1
-      ) o ON TRUE
-      LEFT JOIN LATERAL (
-        SELECT number_on_roll, percentage_fsm_ever6
-        FROM uk_census_data c2
-        WHERE c2.urn = s.urn
-        ORDER BY academic_year DESC NULLS LAST
-        LIMIT 1
-      ) c ON TRUE
-      WHERE 1=1
+      ${LATEST_OFSTED_JOIN}
+      ${LATEST_CENSUS_JOIN}
+      ${sort.join}
+      WHERE ${where}${after ? `\n        AND ${after}` : ''}
+      ORDER BY ${orderBySql(sort)}
+      LIMIT ${params.add(pageSize + 1)} OFFSET ${params.add(sort.cursor ? 0 : parseInt(offset))}
     `;
 
-    const params = [];
-    let paramCount = 0;
-
-    // Add search conditions based on type
-    const searchTerm = `%${q.trim()}%`;
-    const qExact = q.trim();
-    
-    if (type === 'name') {
-      paramCount++;
-      sqlQuery += ` AND LOWER(s.name) LIKE LOWER($${paramCount})`;
-      params.push(searchTerm);
-    } else if (type === 'postcode') {
-      paramCount++;
-      sqlQuery += ` AND LOWER(s.postcode) LIKE LOWER($${paramCount})`;
-      params.push(searchTerm);
-    } else if (type === 'location') {
-      // Prefer exact city/LA matches to avoid false positives like 'Londonderry'
-      const laPrefix = `${qExact}%`;
-      paramCount += 3;
-      sqlQuery += ` AND (
-        LOWER(s.town) = LOWER($${paramCount-2}) OR
-        LOWER(s.local_authority) = LOWER($${paramCount-1}) OR
-        LOWER(s.local_authority) LIKE LOWER($${paramCount})
-      )`;
-      params.push(qExact, qExact, laPrefix);
-    } else {
-      // Search all fields
-      paramCount++;
-      paramCount++;
-      paramCount++;
-      paramCount++;
-      sqlQuery += ` AND (
-        LOWER(s.name) LIKE LOWER($${paramCount-3}) OR 
-        LOWER(s.postcode) LIKE LOWER($${paramCount-2}) OR 
-        LOWER(s.town) LIKE LOWER($${paramCount-1}) OR 
-        LOWER(s.local_authority) LIKE LOWER($${paramCount})
-      )`;
-      params.push(searchTerm);
-      params.push(searchTerm);
-      params.push(searchTerm);
-      params.push(searchTerm);
-    }
-
-    // Add filters if provided
-    if (phase) {
-      paramCount++;
-      sqlQuery += ` AND s.phase_of_education = $${paramCount}`;
-      params.push(phase);
-    }
-
-    // Multi-ofsted support (comma-separated)
-    if (ofsted) {
-      const ratings = String(ofsted)
-        .split(',')
-        .map(v => parseInt(v.trim(), 10))
-        .filter(v => [1,2,3,4].includes(v));
-      if (ratings.length > 0) {
-        const placeholders = ratings.map(() => `$${++paramCount}`).join(',');
-        sqlQuery += ` AND o.overall_effectiveness IN (${placeholders})`;
-        params.push(...ratings);
-      }
-    }
-
-    if (la) {
-      paramCount++;
-      sqlQuery += ` AND LOWER(s.local_authority) = LOWER($${paramCount})`;
-      params.push(la);
-    }
-
-    // School type filters (from checkboxes): phases=Primary,Secondary,Sixth Form,Special,Independent,Academy
-    if (phasesStr) {
-      const selected = String(phasesStr)
-        .split(',')
-        .map(s => s.trim().toLowerCase())
-        .filter(Boolean);
-      if (selected.length > 0) {
-        const orClauses = [];
-        // Primary
-        if (selected.includes('primary')) {
-          paramCount++;
-          orClauses.push(`LOWER(s.phase_of_education) LIKE LOWER($${paramCount})`);
-          params.push('%primary%');
-        }
-        // Secondary
-        if (selected.includes('secondary')) {
-          paramCount += 2;
-          orClauses.push(`(LOWER(s.phase_of_education) LIKE LOWER($${paramCount-1}) OR LOWER(s.type_of_establishment) LIKE LOWER($${paramCount}))`);
-          params.push('%secondary%','%secondary%');
-        }
-        // Sixth Form
-        if (selected.includes('sixth form') || selected.includes('sixth-form')) {
-          paramCount += 2;
-          orClauses.push(`(LOWER(s.phase_of_education) LIKE LOWER($${paramCount-1}) OR LOWER(s.type_of_establishment) LIKE LOWER($${paramCount}) OR s.has_sixth_form = TRUE)`);
-          params.push('%sixth%','%sixth%');
-        }
-        // Special
-        if (selected.includes('special')) {
-          paramCount += 2;
-          orClauses.push(`(LOWER(s.phase_of_education) LIKE LOWER($${paramCount-1}) OR LOWER(s.type_of_establishment) LIKE LOWER($${paramCount}))`);
-          params.push('%special%','%special%');
-        }
-        // Independent
-        if (selected.includes('independent')) {
-          paramCount += 2;
-          orClauses.push(`(LOWER(s.establishment_group) LIKE LOWER($${paramCount-1}) OR LOWER(s.type_of_establishment) LIKE LOWER($${paramCount}))`);
-          params.push('%independent%','%independent%');
-        }
-        // Academy
-        if (selected.includes('academy')) {
-          paramCount += 2;
-          orClauses.push(`(LOWER(s.establishment_group) LIKE LOWER($${paramCount-1}) OR LOWER(s.type_of_establishment) LIKE LOWER($${paramCount}))`);
-          params.push('%academy%','%academy%');
-        }
-        if (orClauses.length > 0) {
-          sqlQuery += ` AND (${orClauses.join(' OR ')})`;
-        }
-      }
-    }
-
-    // Minimum overall rating filter
-    if (minRating) {
-      const mr = parseFloat(minRating);
-      if (!isNaN(mr)) {
-        paramCount++;
-        sqlQuery += ` AND s.overall_rating >= $${paramCount}`;
-        params.push(mr);
-      }
-    }
-
-    // Order by overall_rating if available, otherwise by name
-    sqlQuery += ` ORDER BY s.overall_rating DESC NULLS LAST, s.name ASC`;
-    
-    paramCount++;
-    sqlQuery += ` LIMIT $${paramCount}`;
-    params.push(parseInt(limit));
-    
-    paramCount++;
-    sqlQuery += ` OFFSET $${paramCount}`;
-    params.push(parseInt(offset));
-
-    // Execute search query
-    console.log('Executing search for:', q, 'Type:', type);
-    
-    const result = await query(sqlQuery, params);
-
-    // Get total count for pagination
-    let countQuery = `
+    const countQuery = `
       SELECT COUNT(*) as total
       FROM uk_schools s
-      LEFT JOIN LATERAL (
-        SELECT overall_effectiveness, inspection_date
-        FROM uk_ofsted_inspections o
-        WHERE o.urn = s.urn
-        ORDER BY COALESCE(inspection_date, publication_date) DESC NULLS LAST
-        LIMIT 1
-      ) o ON TRUE
-      WHERE 1=1
+      ${LATEST_OFSTED_JOIN}
+      WHERE ${where}
     `;
-    
-    // Add the same WHERE conditions for count (without LIMIT/OFFSET)
-    // Rebuild count params to mirror filters (without LIMIT/OFFSET)
-    const countParams = [];
-    let countParamCount = 0;
-
-    // replicate search conditions (reuse existing searchTerm)
-    if (type === 'name') {
-      countParamCount++;
-      countQuery += ` AND LOWER(s.name) LIKE LOWER($${countParamCount})`;
-      countParams.push(searchTerm);
-    } else if (type === 'postcode') {
-      countParamCount++;
-      countQuery += ` AND LOWER(s.postcode) LIKE LOWER($${countParamCount})`;
-      countParams.push(searchTerm);
-    } else if (type === 'location') {
-      const laPrefix = `${qExact}%`;
-      countParamCount += 3;
-      countQuery += ` AND (
-        LOWER(s.town) = LOWER($${countParamCount-2}) OR
-        LOWER(s.local_authority) = LOWER($${countParamCount-1}) OR
-        LOWER(s.local_authority) LIKE LOWER($${countParamCount})
-      )`;
-      countParams.push(qExact, qExact, laPrefix);
-    } else {
-      countParamCount += 4;
-      countQuery += ` AND (
-        LOWER(s.name) LIKE LOWER($${countParamCount-3}) OR 
-        LOWER(s.postcode) LIKE LOWER($${countParamCount-2}) OR 
-        LOWER(s.town) LIKE LOWER($${countParamCount-1}) OR 
-        LOWER(s.local_authority) LIKE LOWER($${countParamCount})
-      )`;
-      countParams.push(searchTerm, searchTerm, searchTerm, searchTerm);
-    }
 
-    // Same filters for count
-    if (phase) {
-      countParamCount++;
-      countQuery += ` AND s.phase_of_education = $${countParamCount}`;
-      countParams.push(phase);
-    }
-    if (ofsted) {
-      const ratings = String(ofsted)
-        .split(',')
-        .map(v => parseInt(v.trim(), 10))
-        .filter(v => [1,2,3,4].includes(v));
-      if (ratings.length > 0) {
-        const placeholders = ratings.map(() => `$${++countParamCount}`).join(',');
-        countQuery += ` AND o.overall_effectiveness IN (${placeholders})`;
-        countParams.push(...ratings);
-      }
-    }
-    if (la) {
-      countParamCount++;
-      countQuery += ` AND LOWER(s.local_authority) = LOWER($${countParamCount})`;
-      countParams.push(la);
-    }
-    if (phasesStr) {
-      const selected = String(phasesStr)
-        .split(',')
-        .map(s => s.trim().toLowerCase())
-        .filter(Boolean);
-      if (selected.length > 0) {
-        const orClauses = [];
-        if (selected.includes('primary')) {
-          countParamCount++;
-          orClauses.push(`LOWER(s.phase_of_education) LIKE LOWER($${countParamCount})`);
-          countParams.push('%primary%');
-        }
-        if (selected.includes('secondary')) {
-          countParamCount += 2;
-          orClauses.push(`(LOWER(s.phase_of_education) LIKE LOWER($${countParamCount-1}) OR LOWER(s.type_of_establishment) LIKE LOWER($${countParamCount}))`);
-          countParams.push('%secondary%','%secondary%');
-        }
-        if (selected.includes('sixth form') || selected.includes('sixth-form')) {
-          countParamCount += 2;
-          orClauses.push(`(LOWER(s.phase_of_education) LIKE LOWER($${countParamCount-1}) OR LOWER(s.type_of_establishment) LIKE LOWER($${countParamCount}) OR s.has_sixth_form = TRUE)`);
-          countParams.push('%sixth%','%sixth%');
-        }
-        if (selected.includes('special')) {
-          countParamCount += 2;
-          orClauses.push(`(LOWER(s.phase_of_education) LIKE LOWER($${countParamCount-1}) OR LOWER(s.type_of_establishment) LIKE LOWER($${countParamCount}))`);
-          countParams.push('%special%','%special%');
-        }
-        if (selected.includes('independent')) {
-          countParamCount += 2;
-          orClauses.push(`(LOWER(s.establishment_group) LIKE LOWER($${countParamCount-1}) OR LOWER(s.type_of_establishment) LIKE LOWER($${countParamCount}))`);
-          countParams.push('%independent%','%independent%');
-        }
-        if (selected.includes('academy')) {
-          countParamCount += 2;
-          orClauses.push(`(LOWER(s.establishment_group) LIKE LOWER($${countParamCount-1}) OR LOWER(s.type_of_establishment) LIKE LOWER($${countParamCount}))`);
-          countParams.push('%academy%','%academy%');
-        }
-        if (orClauses.length > 0) {
-          countQuery += ` AND (${orClauses.join(' OR ')})`;
-        }
-      }
-    }
-    if (minRating) {
-      const mr = parseFloat(minRating);
-      if (!isNaN(mr)) {
-        countParamCount++;
-        countQuery += ` AND s.overall_rating >= $${countParamCount}`;
-        countParams.push(mr);
-      }
-    }
+    console.log('Executing search for:', q, 'Type:', type, 'Sort:', sort.key);
+
+    const [result, countResult, facetResult] = await Promise.all([
+      query(sqlQuery, params.values),
+      query(countQuery, filterValues),
+      // facets=false skips the counts for callers that only want results
+      wantFacets === 'false' ? null : query(facetCountsSql(conditions), filterValues),
+    ]);
+    const page = paginate(sort, result.rows, pageSize);
+    const total = parseInt(countResult.rows[0]?.total || 0);
 
-    const countResult = await query(countQuery, countParams);
+    // Nothing matched: offer close school, town and LA names instead
+    const suggestions = total === 0 && spec.type !== 'postcode' ? await didYouMean(pool, q.trim()) : [];
 
     // Format response
     res.json({
       success: true,
       query: q,
       type: type,
-      total: parseInt(countResult.rows[0]?.total || 0),
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      schools: result.rows.map(school => ({
+      total,
+      did_you_mean: suggestions,
+      limit: pageSize,
+      offset: sort.cursor ? null : parseInt(offset),
+      sort: sort.key,
+      order: sort.dir,
+      next_cursor: page.nextCursor,
+      facets: facetResult ? formatFacets(facetResult.rows) : null,
+      schools: await personalise(req, page.rows.map(school => ({
         ...school,
         ofsted_label: getOfstedLabel(school.ofsted_rating),
         overall_rating: school.overall_rating ? parseFloat(school.overall_rating) : null,
         rating_display: school.overall_rating ? `${parseFloat(school.overall_rating).toFixed(1)}/10` : 'N/A',
         percentile_text: school.rating_percentile ? `Top ${100 - school.rating_percentile}%` : null
-      }))
+      })))
     });
 
   } catch (error) {
@@ -458,15 +210,98 @@ router.get('/', async (req, res) => {
   }
 });
 
+// WHERE, ORDER BY and joins for schools within `radius` km of a point (or any
+// distance when radius is null), with the /api/search filters from `qs`.
+// Nearest-first orderings walk the spatial index (geo.js).
+async function nearbyQueryParts({ latitude, longitude, radius, sort, qs }) {
+  const geo = spatialSql(await spatialBackend(pool), '$1', '$2');
+
+  // Same filters as /api/search (minus q); $1-$2 are the point
+  const params = createParams([latitude, longitude]);
+  const where = whereSql(
+    buildFilterConditions(parseSearchFilters({ ...qs, q: '' }), params),
+    radius === null ? HAS_COORDS : geo.within(params.add(radius))
+  );
+  const orderBy = sort.key === 'distance' && sort.dir === 'asc'
+    ? `${geo.nearestOrder}, s.urn ASC`
+    : orderBySql(sort);
+
+  // Distance is computed once per school in a lateral subquery so the sort and cursor can use it
+  const joins = `CROSS JOIN LATERAL (SELECT ${geo.distanceKm} AS distance_km) d
+    ${sort.join}`;
+
+  return { params, where, orderBy, joins };
+}
+
+// One page of nearby schools plus the cursor for the next
+async function findNearby({ latitude, longitude, radius, limit, sort, qs }) {
+  const { params, where, orderBy, joins } = await nearbyQueryParts({ latitude, longitude, radius, sort, qs });
+  const after = cursorConditionSql(sort, params);
+
+  const sqlQuery = `
+    SELECT 
+      s.urn,
+      s.name,
+      s.postcode,
+      s.town,
+      s.local_authority,
+      s.phase_of_education,
+      s.type_of_establishment,
+      s.street,
+      s.religious_character,
+      s.gender,
+      s.overall_rating,
+      s.rating_percentile,
+      s.latitude,
+      s.longitude,
+      o.overall_effectiveness as ofsted_rating,
+      o.inspection_date,
+      COALESCE(c.number_on_roll, s.total_pupils) AS number_on_roll,
+      c.percentage_fsm_ever6 as fsm_percentage,
+      d.distance_km,
+      ${sortValueSql(sort)}
+    FROM uk_schools s
+    ${LATEST_OFSTED_JOIN}
+    ${LATEST_CENSUS_JOIN}
+    ${joins}
+    WHERE ${where}${after ? `\n      AND ${after}` : ''}
+    ORDER BY ${orderBy}
+    LIMIT ${params.add(limit + 1)}
+  `;
+
+  const result = await query(sqlQuery, params.values);
+  return paginate(sort, result.rows, limit);
+}
+
+function formatNearbySchool(school) {
+  return {
+    ...school,
+    distance: school.distance_km ? `${school.distance_km.toFixed(1)}km` : null,
+    ofsted_label: getOfstedLabel(school.ofsted_rating),
+    overall_rating: school.overall_rating ? parseFloat(school.overall_rating) : null,
+    rating_display: school.overall_rating ? 
+      (parseFloat(school.overall_rating) >= 10 ? '10' : `${parseFloat(school.overall_rating).toFixed(1)}`) + '/10' 
+      : 'N/A'
+  };
+}
+
+// Big enough to cover the UK from anywhere in it
+const MAX_RADIUS_KM = 1500;
+
 /**
  * @route   GET /api/search/nearby
- * @desc    Search schools near specific coordinates
- * @query   lat, lng, radius (in km)
- * @example /api/search/nearby?lat=51.5074&lng=-0.1278&radius=5
+ * @desc    Search schools near specific coordinates: everything within a radius,
+ *          or the k nearest (optionally also within a radius)
+ * @query   lat, lng, radius (in km, default 5, max 1500), limit, or k (nearest k,
+ *          max 500; no default radius), filters as for /api/search,
+ *          sort (distance or any /api/search sort; default rating, or distance with k), order, cursor,
+ *          format (csv|geojson)
+ * @example /api/search/nearby?lat=51.5074&lng=-0.1278&radius=5&phases=Primary
+ * @example /api/search/nearby?lat=51.5074&lng=-0.1278&k=10
  */
 router.get('/nearby', async (req, res) => {
   try {
-    const { lat, lng, radius = 5, limit = 100 } = req.query;
+    const { lat, lng, radius, limit = 100, k } = req.query;
     
     if (!lat || !lng) {
       return res.status(400).json({ 
@@ -476,8 +311,12 @@ router.get('/nearby', async (req, res) => {
     
     const latitude = parseFloat(lat);
     const longitude = parseFloat(lng);
-    const searchRadius = Math.min(parseFloat(radius) || 5, 50); // Max 50km
-    const resultLimit = Math.min(parseInt(limit) || 100, 500); // Max 500 results
+    const nearest = k !== undefined;
+    const resultLimit = Math.min(parseInt(nearest ? k : limit) || 100, 500); // Max 500 results
+    // k-nearest searches only take a radius when one is asked for
+    const searchRadius = nearest && radius === undefined
+      ? null
+      : Math.min(parseFloat(radius) || 5, MAX_RADIUS_KM);
     
     if (isNaN(latitude) || isNaN(longitude)) {
       return res.status(400).json({ 
@@ -485,76 +324,40 @@ router.get('/nearby', async (req, res) => {
       });
     }
     
-    // PostgreSQL version with proper distance calculation
-    // Using a subquery to calculate distance, then filtering in WHERE clause
-    const sqlQuery = `
-      WITH school_distances AS (
-        SELECT 
-          s.urn,
-          s.name,
-          s.postcode,
-          s.town,
-          s.local_authority,
-          s.phase_of_education,
-          s.type_of_establishment,
-          s.street,
-          s.religious_character,
-          s.gender,
-          s.overall_rating,
-          s.rating_percentile,
-          s.latitude,
-          s.longitude,
-          o.overall_effectiveness as ofsted_rating,
-          o.inspection_date,
-          COALESCE(c.number_on_roll, s.total_pupils) AS number_on_roll,
-          c.percentage_fsm_ever6 as fsm_percentage,
-          (
-            6371 * acos(
-              LEAST(1.0, 
-                cos(radians($1)) * cos(radians(s.latitude)) * 
-                cos(radians(s.longitude) - radians($2)) + 
-                sin(radians($1)) * sin(radians(s.latitude))
-              )
-            )
-          ) AS distance_km
-        FROM uk_schools s
-        LEFT JOIN uk_ofsted_inspections o ON s.urn = o.urn
-        LEFT JOIN uk_census_data c ON s.urn = c.urn
-        WHERE 
-          s.latitude IS NOT NULL 
-          AND s.longitude IS NOT NULL
-          AND s.latitude BETWEEN $1 - ($3 / 111.0) AND $1 + ($3 / 111.0)
-          AND s.longitude BETWEEN $2 - ($3 / (111.0 * cos(radians($1)))) AND $2 + ($3 / (111.0 * cos(radians($1))))
-      )
-      SELECT * FROM school_distances
-      WHERE distance_km <= $3
-      ORDER BY overall_rating DESC NULLS LAST, distance_km ASC
-      LIMIT $4
-    `;
-    
-    console.log('Searching for schools near:', { latitude, longitude, searchRadius, resultLimit });
+    const sort = parseSort(req.query, { defaultSort: nearest ? 'distance' : undefined, hasPoint: true });
+    if (sort.error) return res.status(400).json({ error: sort.error });
+
+    const format = exportFormat(req.query);
+    if (format) {
+      const parts = await nearbyQueryParts({ latitude, longitude, radius: searchRadius, sort, qs: req.query });
+      return streamExport(req, res, {
+        format,
+        // k is part of the question ("the 10 nearest"), so it still applies; limit doesn't
+        sql: exportSelectSql({ ...parts, distanceKm: 'd.distance_km', limit: nearest ? resultLimit : null }),
+        values: parts.params.values,
+        filename: 'schools-nearby'
+      });
+    }
+
+    console.log('Searching for schools near:', { latitude, longitude, searchRadius, resultLimit, sort: sort.key });
     
-    const result = await query(sqlQuery, [latitude, longitude, searchRadius, resultLimit]);
+    const page = await findNearby({
+      latitude, longitude, radius: searchRadius, limit: resultLimit, sort, qs: req.query
+    });
     
-    console.log(`Found ${result.rows.length} schools within ${searchRadius}km`);
+    console.log(`Found ${page.rows.length} schools ${searchRadius === null ? 'nearest' : `within ${searchRadius}km`}`);
     
     // Format response
     res.json({
       success: true,
       center: { lat: latitude, lng: longitude },
       radius: searchRadius,
-      total: result.rows.length,
-      schools: result.rows.map(school => ({
-        ...school,
-        latitude: school.latitude,
-        longitude: school.longitude,
-        distance: school.distance_km ? `${school.distance_km.toFixed(1)}km` : null,
-        ofsted_label: getOfstedLabel(school.ofsted_rating),
-        overall_rating: school.overall_rating ? parseFloat(school.overall_rating) : null,
-        rating_display: school.overall_rating ? 
-          (parseFloat(school.overall_rating) >= 10 ? '10' : `${parseFloat(school.overall_rating).toFixed(1)}`) + '/10' 
-          : 'N/A'
-      }))
+      k: nearest ? resultLimit : null,
+      total: page.rows.length,
+      sort: sort.key,
+      order: sort.dir,
+      next_cursor: page.nextCursor,
+      schools: await personalise(req, page.rows.map(formatNearbySchool))
     });
     
   } catch (error) {
@@ -566,45 +369,228 @@ router.get('/nearby', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/search/bbox
+ * @desc    Schools inside a map viewport, or server-side clusters of them when
+ *          zoomed out or when more than 500 match
+ * @query   west, south, east, north (degrees), zoom (map zoom, default 10),
+ *          filters as for /api/search (q optional)
+ * @example /api/search/bbox?west=-0.2&south=51.45&east=0&north=51.55&zoom=13&phases=Primary
+ */
+router.get('/bbox', async (req, res) => {
+  try {
+    const viewport = parseViewport(req.query);
+    if (viewport.error) return res.status(400).json({ error: viewport.error });
+
+    const result = await viewportSearch(pool, viewport, req.query);
+    if (result.schools) {
+      result.schools = await personalise(req, result.schools.map(school => ({
+        ...school,
+        ofsted_label: getOfstedLabel(school.ofsted_rating),
+        rating_display: school.overall_rating ? `${school.overall_rating.toFixed(1)}/10` : 'N/A'
+      })));
+    }
 
+    res.json({
+      success: true,
+      bbox: { west: viewport.west, south: viewport.south, east: viewport.east, north: viewport.north },
+      zoom: viewport.zoom,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Viewport search error:', error);
+    res.status(500).json({ 
+      error: 'Failed to search map area',
+      message: error.message 
+    });
+  }
+});
+
+// Corridor buffer either side of the route, in km
+const DEFAULT_CORRIDOR_KM = 1;
+const MAX_CORRIDOR_KM = 10;
+
+/**
+ * @route   GET|POST /api/search/corridor
+ * @desc    Schools along a route (home -> station, say): everything within a buffer
+ *          of the line, ordered by how far along the route each school is
+ * @query   polyline (encoded polyline; precision=6 for polyline6) or route (GeoJSON LineString),
+ *          buffer (km either side, default 1, max 10), limit (default 100, max 500),
+ *          filters as for /api/search
+ * @body    POST only: { route: GeoJSON LineString or Feature, or encoded polyline, buffer,
+ *          and any of the query parameters above, e.g. phases or weights }
+ * @example /api/search/corridor?polyline=_p~iF~ps|U_ulLnnqC&buffer=0.5&phases=Primary
+ */
+async function corridorHandler(req, res) {
+  try {
+    const body = req.body || {};
+    const input = body.route ?? req.query.route ?? req.query.polyline;
+    const precision = parseInt(body.precision ?? req.query.precision, 10) === 6 ? 6 : 5;
+    const parsed = parseRoute(input, { precision });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const lengthKm = prepareRoute(parsed.points).lengthKm;
+    if (lengthKm > MAX_ROUTE_KM) {
+      return res.status(400).json({ error: `Route is ${Math.round(lengthKm)}km; the longest supported is ${MAX_ROUTE_KM}km` });
+    }
+
+    const rawBuffer = body.buffer ?? req.query.buffer;
+    const bufferKm = rawBuffer === undefined || rawBuffer === '' ? DEFAULT_CORRIDOR_KM : parseFloat(rawBuffer);
+    if (!(bufferKm > 0)) return res.status(400).json({ error: 'buffer must be a positive number of km' });
+    const corridorKm = Math.min(bufferKm, MAX_CORRIDOR_KM);
+
+    // Filters and weights may come in the POST body as well (the body wins), so check them here too
+    const { route, ...bodyFilters } = body;
+    const qs = { ...req.query, ...bodyFilters };
+    const filterError = validateSearchFilters(qs);
+    if (filterError) return res.status(400).json({ error: filterError });
+    const weights = parseRatingWeights(qs);
+    if (weights && weights.error) return res.status(400).json({ error: weights.error });
+
+    const resultLimit = Math.min(parseInt(body.limit ?? req.query.limit) || 100, 500);
+    const result = await corridorSearch(pool, parsed.points, {
+      bufferKm: corridorKm,
+      limit: resultLimit,
+      qs
+    });
+
+    res.json({
+      success: true,
+      route: {
+        points: parsed.points.length,
+        length_km: Math.round(result.lengthKm * 1000) / 1000,
+        start: { lat: parsed.points[0][0], lng: parsed.points[0][1] },
+        end: { lat: parsed.points[parsed.points.length - 1][0], lng: parsed.points[parsed.points.length - 1][1] }
+      },
+      buffer: corridorKm,
+      total: result.total,
+      schools: await addPersonalisedRatings(pool, result.schools.map(school => ({
+        // distance is from the route, not from a point
+        ...formatNearbySchool({ ...school, distance_km: school.offset_km }),
+        ...formatDistance(school.offset_km)
+      })), weights && weights.weights)
+    });
+
+  } catch (error) {
+    console.error('Corridor search error:', error);
+    res.status(500).json({ 
+      error: 'Failed to search along route',
+      message: error.message 
+    });
+  }
+}
+
+router.get('/corridor', corridorHandler);
+router.post('/corridor', corridorHandler);
+
+/**
+ * @route   GET /api/search/anchors
+ * @desc    Schools within reach of every one of 2-4 locations (e.g. two parents' homes),
+ *          with each school's distance from each anchor
+ * @query   anchor (repeat 2-4 times; a postcode or "lat,lng") or anchors (";"-separated),
+ *          max_distance (km; one value or one per anchor, default 5, max 50),
+ *          limit (default 50, max 500), filters as for /api/search,
+ *          sort (distance = combined distance, or any /api/search sort; default distance), order, cursor
+ * @example /api/search/anchors?anchor=SW1A%201AA&anchor=51.52,-0.08&max_distance=4,6&sort=rating
+ */
+router.get('/anchors', async (req, res) => {
+  try {
+    const parsed = parseAnchors(req.query);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const located = await resolveAnchors(pool, parsed.anchors);
+    if (located.error) return res.status(POSTCODE_ERROR_STATUS[located.status]).json({ error: located.error });
+
+    const sort = parseSort(req.query, { defaultSort: 'distance', hasPoint: true });
+    if (sort.error) return res.status(400).json({ error: sort.error });
+
+    const resultLimit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const page = await multiAnchorSearch(pool, located.anchors, { sort, limit: resultLimit, qs: req.query });
+
+    res.json({
+      success: true,
+      anchors: located.anchors.map((a, i) => ({
+        index: i,
+        input: a.input,
+        postcode: a.postcode || null,
+        lat: a.lat,
+        lng: a.lng,
+        precision: a.precision,
+        max_distance_km: a.maxKm
+      })),
+      total: page.rows.length,
+      sort: sort.key,
+      order: sort.dir,
+      next_cursor: page.nextCursor,
+      schools: await personalise(req, page.rows.map(row => {
+        const { distance_km: combinedKm, ...school } = row;
+        const anchorDistances = located.anchors.map((_, i) => {
+          const km = school[`anchor_km_${i}`];
+          delete school[`anchor_km_${i}`];
+          return { anchor: i, ...formatDistance(km) };
+        });
+        return {
+          ...formatNearbySchool(school),
+          combined_distance_km: formatDistance(combinedKm).distance_km,
+          combined_distance_miles: formatDistance(combinedKm).distance_miles,
+          anchor_distances: anchorDistances
+        };
+      }))
+    });
+
+  } catch (error) {
+    console.error('Multi-anchor search error:', error);
+    res.status(500).json({ 
+      error: 'Failed to search around several locations',
+      message: error.message 
+    });
+  }
+});
+
+// resolvePostcode() statuses -> HTTP status
+const POSTCODE_ERROR_STATUS = { invalid: 400, not_found: 404, terminated: 410 };
 
 /**
  * @route   GET /api/search/postcode/:postcode
- * @desc    Search schools by specific postcode
- * @example /api/search/postcode/SW1A%201AA
+ * @desc    Schools within a radius of a postcode (or postcode district), nearest first.
+ *          Coordinates come from the local postcode directory (uk_postcodes).
+ * @query   radius (km, default 3, max 50), limit (default 50, max 500),
+ *          filters as for /api/search, sort (default distance), order, cursor
+ * @example /api/search/postcode/SW1A%201AA?radius=2
  */
 router.get('/postcode/:postcode', async (req, res) => {
   try {
-    const { postcode } = req.params;
-    const { radius = 3 } = req.query;
+    const location = await resolvePostcode(pool, req.params.postcode);
+    if (location.status !== 'ok') {
+      return res.status(POSTCODE_ERROR_STATUS[location.status]).json({ error: location.error });
+    }
+
+    const searchRadius = Math.min(parseFloat(req.query.radius) || 3, 50);
+    const resultLimit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const sort = parseSort(req.query, { defaultSort: 'distance', hasPoint: true });
+    if (sort.error) return res.status(400).json({ error: sort.error });
+
+    const page = await findNearby({
+      latitude: location.latitude,
+      longitude: location.longitude,
+      radius: searchRadius,
+      limit: resultLimit,
+      sort,
+      qs: req.query
+    });
 
-    // Now using stored overall_rating
-    const sqlQuery = `
-      SELECT 
-        s.*,
-        o.overall_effectiveness as ofsted_rating,
-        COALESCE(c.number_on_roll, s.total_pupils) AS number_on_roll
-      FROM uk_schools s
-      LEFT JOIN uk_ofsted_inspections o ON s.urn = o.urn
-      LEFT JOIN uk_census_data c ON s.urn = c.urn
-      WHERE UPPER(SUBSTRING(s.postcode, 1, 4)) = UPPER(SUBSTRING($1, 1, 4))
-      ORDER BY s.overall_rating DESC NULLS LAST, s.name
-      LIMIT 50
-    `;
-    
-    const result = await query(sqlQuery, [postcode]);
-    
     res.json({
       success: true,
-      postcode: postcode,
-      radius: radius,
-      total: result.rows.length,
-      schools: result.rows.map(school => ({
-        ...school,
-        ofsted_label: getOfstedLabel(school.ofsted_rating),
-        overall_rating: school.overall_rating ? parseFloat(school.overall_rating) : null,
-        rating_display: school.overall_rating ? `${parseFloat(school.overall_rating).toFixed(1)}/10` : 'N/A'
-      }))
+      postcode: location.postcode || location.outcode,
+      precision: location.precision,
+      center: { lat: location.latitude, lng: location.longitude },
+      radius: searchRadius,
+      total: page.rows.length,
+      sort: sort.key,
+      order: sort.dir,
+      next_cursor: page.nextCursor,
+      schools: await personalise(req, page.rows.map(formatNearbySchool))
     });
 
   } catch (error) {
@@ -619,14 +605,38 @@ router.get('/postcode/:postcode', async (req, res) => {
 /**
  * @route   GET /api/search/city/:city
  * @desc    Get top schools for a city/town
+ * @query   limit (default 10, max 500), filters as for /api/search,
+ *          format (csv|geojson: every school, not just the top)
  * @example /api/search/city/london?limit=10
  */
 router.get('/city/:city', async (req, res) => {
   try {
     const { city } = req.params;
-    const { limit = 10, phase } = req.query;
+    const { limit = 10 } = req.query;
+    if (!(parseInt(limit) > 0)) {
+      return res.status(400).json({ error: 'limit must be a positive number' });
+    }
+
+    // $1 is the city; the shared filters (phase, ofsted, phases, ...) follow
+    const params = createParams([city]);
+    const where = whereSql(buildFilterConditions(parseSearchFilters({ ...req.query, q: '' }), params), [
+      '(LOWER(s.town) = LOWER($1) OR LOWER(s.local_authority) = LOWER($1))',
+    ]);
+
+    const format = exportFormat(req.query);
+    if (format) {
+      return streamExport(req, res, {
+        format,
+        sql: exportSelectSql({
+          where,
+          orderBy: 's.overall_rating DESC NULLS LAST, o.overall_effectiveness ASC NULLS LAST, s.urn'
+        }),
+        values: params.values,
+        filename: `schools-${city}`
+      });
+    }
 
-    let sqlQuery = `
+    const sqlQuery = `
       SELECT 
         s.urn,
         s.name,
@@ -639,26 +649,16 @@ router.get('/city/:city', async (req, res) => {
         o.overall_effectiveness as ofsted_rating,
         COALESCE(c.number_on_roll, s.total_pupils) AS number_on_roll
       FROM uk_schools s
-      LEFT JOIN uk_ofsted_inspections o ON s.urn = o.urn
-      LEFT JOIN uk_census_data c ON s.urn = c.urn
-      WHERE LOWER(s.town) = LOWER($1) OR LOWER(s.local_authority) = LOWER($1)
+      ${LATEST_OFSTED_JOIN}
+      ${LATEST_CENSUS_JOIN}
+      WHERE ${where}
+      ORDER BY s.overall_rating DESC NULLS LAST, o.overall_effectiveness ASC NULLS LAST
+      LIMIT $${params.values.length + 1}
     `;
 
-    
-    const params = [city];
-    
-    if (phase) {
-      sqlQuery += ` AND s.phase_of_education = $2`;
-      params.push(phase);
-    }
-
-    sqlQuery += ` ORDER BY s.overall_rating DESC NULLS LAST, o.overall_effectiveness ASC NULLS LAST`;
-    sqlQuery += ` LIMIT $${params.length + 1}`;
-    params.push(parseInt(limit));
+    const result = await query(sqlQuery, [...params.values, Math.min(parseInt(limit), 500)]);
 
-    const result = await query(sqlQuery, params);
-
-    // Get city statistics
+    // City statistics, over the same filtered schools as top_schools
     const statsSql = `
       SELECT 
         COUNT(DISTINCT s.urn) as total_schools,
@@ -668,11 +668,11 @@ router.get('/city/:city', async (req, res) => {
         COUNT(DISTINCT CASE WHEN o.overall_effectiveness = 2 THEN s.urn END) as good_count,
         AVG(s.overall_rating) as avg_rating
       FROM uk_schools s
-      LEFT JOIN uk_ofsted_inspections o ON s.urn = o.urn
-      WHERE LOWER(s.town) = LOWER($1) OR LOWER(s.local_authority) = LOWER($1)
+      ${LATEST_OFSTED_JOIN}
+      WHERE ${where}
     `;
 
-    const statsResult = await query(statsSql, [city]);
+    const statsResult = await query(statsSql, params.values);
     const stats = statsResult.rows[0];
 
     res.json({
@@ -686,12 +686,12 @@ router.get('/city/:city', async (req, res) => {
         good_schools: parseInt(stats.good_count) || 0,
         average_rating: stats.avg_rating ? parseFloat(stats.avg_rating).toFixed(1) : null
       },
-      top_schools: result.rows.map(school => ({
+      top_schools: await personalise(req, result.rows.map(school => ({
         ...school,
         ofsted_label: getOfstedLabel(school.ofsted_rating),
         overall_rating: school.overall_rating ? parseFloat(school.overall_rating) : null,
         rating_display: school.overall_rating ? `${parseFloat(school.overall_rating).toFixed(1)}/10` : 'N/A'
-      }))
+      })))
     });
 
   } catch (error) {
@@ -703,78 +703,6 @@ router.get('/city/:city', async (req, res) => {
   }
 });
 
-/**
- * @route   GET /api/search/suggestions
- * @desc    Get autocomplete suggestions
- * @query   q (search term)
- * @example /api/search/suggestions?q=West
- */
-router.get('/suggestions', async (req, res) => {
-  try {
-    const { q } = req.query;
-    
-    if (!q || q.length < 2) {
-      return res.json({ suggestions: [] });
-    }
-
-    const sqlQuery = `
-      (
-        SELECT DISTINCT 
-          name as suggestion,
-          'school' as type,
-          urn as id,
-          overall_rating
-        FROM uk_schools
-        WHERE LOWER(name) LIKE LOWER($1)
-        ORDER BY overall_rating DESC NULLS LAST
-        LIMIT 5
-      )
-      UNION ALL
-      (
-        SELECT DISTINCT 
-          town as suggestion,
-          'town' as type,
-          NULL as id,
-          NULL as overall_rating
-        FROM uk_schools
-        WHERE LOWER(town) LIKE LOWER($1)
-        AND town IS NOT NULL
-        LIMIT 3
-      )
-      UNION ALL
-      (
-        SELECT DISTINCT 
-          local_authority as suggestion,
-          'la' as type,
-          NULL as id,
-          NULL as overall_rating
-        FROM uk_schools
-        WHERE LOWER(local_authority) LIKE LOWER($1)
-        AND local_authority IS NOT NULL
-        LIMIT 2
-      )
-      LIMIT 10
-    `;
-    
-    const result = await query(sqlQuery, [`${q}%`]);
-    
-    res.json({
-      success: true,
-      suggestions: result.rows.map(row => ({
-        ...row,
-        rating_display: row.overall_rating ? `${parseFloat(row.overall_rating).toFixed(1)}/10` : null
-      }))
-    });
-
-  } catch (error) {
-    console.error('Suggestions error:', error);
-    res.status(500).json({ 
-      error: 'Failed to get suggestions',
-      message: error.message 
-    });
-  }
-});
-
 /**
  * @route   GET /api/search/filters
  * @desc    Get available filter options
@@ -0,0 +1,245 @@
+// src/routes/shortlistRoutes.js
+// Saved-school shortlists for signed-in parents (mounted at /api/me/shortlists)
+const express = require('express');
+const router = express.Router();
+const { query } = require('../config/database');
+const { requireUser } = require('../middleware/auth');
+
+router.use(requireUser);
+
+/* --------------------------------- utils --------------------------------- */
+const MAX_SHORTLISTS = 20;
+const MAX_NOTES_LENGTH = 2000;
+
+const toInt = (v) => {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && String(n) === String(v).trim() ? n : null;
+};
+
+const cleanName = (name) => String(name || '').trim().slice(0, 100);
+
+// Loads a shortlist owned by the current user, or null
+async function findOwnShortlist(req) {
+  const id = toInt(req.params.id);
+  if (id === null) return null;
+  const { rows } = await query(
+    'SELECT id, name, created_at, updated_at FROM uk_shortlists WHERE id = $1 AND user_id = $2',
+    [id, req.user.id]
+  );
+  return rows[0] || null;
+}
+
+// Schools (with the details the saved-schools page shows) for a set of shortlists
+async function schoolsFor(shortlistIds) {
+  if (!shortlistIds.length) return new Map();
+  const { rows } = await query(
+    `SELECT
+       ss.shortlist_id, ss.urn, ss.notes, ss.added_at, ss.updated_at,
+       s.name, s.town, s.postcode, s.phase_of_education, s.type_of_establishment,
+       s.overall_rating, o.overall_effectiveness AS ofsted_rating
+     FROM uk_shortlist_schools ss
+     LEFT JOIN uk_schools s ON s.urn = ss.urn
+     LEFT JOIN LATERAL (
+       SELECT overall_effectiveness
+       FROM uk_ofsted_inspections oi
+       WHERE oi.urn = ss.urn
+       ORDER BY COALESCE(inspection_date, publication_date) DESC NULLS LAST
+       LIMIT 1
+     ) o ON TRUE
+     WHERE ss.shortlist_id = ANY($1::int[])
+     ORDER BY ss.added_at ASC`,
+    [shortlistIds]
+  );
+
+  const byList = new Map(shortlistIds.map(id => [id, []]));
+  rows.forEach(({ shortlist_id, ...school }) => {
+    byList.get(shortlist_id).push({
+      ...school,
+      overall_rating: school.overall_rating !== null ? parseFloat(school.overall_rating) : null,
+    });
+  });
+  return byList;
+}
+
+/* ========================= GET: all my shortlists ======================== */
+router.get('/', async (req, res) => {
+  try {
+    const { rows } = await query(
+      `SELECT id, name, created_at, updated_at
+       FROM uk_shortlists
+       WHERE user_id = $1
+       ORDER BY created_at ASC`,
+      [req.user.id]
+    );
+    const schools = await schoolsFor(rows.map(r => r.id));
+
+    res.json({
+      success: true,
+      shortlists: rows.map(r => ({ ...r, schools: schools.get(r.id) || [] })),
+    });
+  } catch (err) {
+    console.error('Error fetching shortlists:', err);
+    res.status(500).json({ error: 'Failed to fetch shortlists' });
+  }
+});
+
+/* ========================== POST: new shortlist ========================== */
+router.post('/', async (req, res) => {
+  const name = cleanName(req.body && req.body.name);
+  if (!name) return res.status(400).json({ error: 'Shortlist name is required' });
+
+  try {
+    const count = await query('SELECT COUNT(*)::int AS cnt FROM uk_shortlists WHERE user_id = $1', [req.user.id]);
+    if ((count.rows[0]?.cnt || 0) >= MAX_SHORTLISTS) {
+      return res.status(400).json({ error: `You can have up to ${MAX_SHORTLISTS} shortlists` });
+    }
+
+    const insert = await query(
+      `INSERT INTO uk_shortlists (user_id, name)
+       VALUES ($1, $2)
+       RETURNING id, name, created_at, updated_at`,
+      [req.user.id, name]
+    );
+    res.status(201).json({ success: true, shortlist: { ...insert.rows[0], schools: [] } });
+  } catch (err) {
+    console.error('Error creating shortlist:', err);
+    res.status(500).json({ error: 'Failed to create shortlist' });
+  }
+});
+
+/* ========================== GET: one shortlist =========================== */
+router.get('/:id', async (req, res) => {
+  try {
+    const shortlist = await findOwnShortlist(req);
+    if (!shortlist) return res.status(404).json({ error: 'Shortlist not found' });
+
+    const schools = await schoolsFor([shortlist.id]);
+    res.json({ success: true, shortlist: { ...shortlist, schools: schools.get(shortlist.id) || [] } });
+  } catch (err) {
+    console.error('Error fetching shortlist:', err);
+    res.status(500).json({ error: 'Failed to fetch shortlist' });
+  }
+});
+
+/* ========================= PATCH: rename shortlist ======================= */
+router.patch('/:id', async (req, res) => {
+  const name = cleanName(req.body && req.body.name);
+  if (!name) return res.status(400).json({ error: 'Shortlist name is required' });
+
+  try {
+    const shortlist = await findOwnShortlist(req);
+    if (!shortlist) return res.status(404).json({ error: 'Shortlist not found' });
+
+    const upd = await query(
+      `UPDATE uk_shortlists SET name = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING id, name, created_at, updated_at`,
+      [name, shortlist.id]
+    );
+    res.json({ success: true, shortlist: upd.rows[0] });
+  } catch (err) {
+    console.error('Error renaming shortlist:', err);
+    res.status(500).json({ error: 'Failed to update shortlist' });
+  }
+});
+
+/* ========================= DELETE: shortlist ============================= */
+router.delete('/:id', async (req, res) => {
+  try {
+    const shortlist = await findOwnShortlist(req);
+    if (!shortlist) return res.status(404).json({ error: 'Shortlist not found' });
+
+    await query('DELETE FROM uk_shortlists WHERE id = $1', [shortlist.id]);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting shortlist:', err);
+    res.status(500).json({ error: 'Failed to delete shortlist' });
+  }
+});
+
+/* ==================== POST: add a school to a shortlist ================== */
+router.post('/:id/schools', async (req, res) => {
+  const { urn, notes } = req.body || {};
+  const schoolUrn = toInt(urn);
+  if (schoolUrn === null) return res.status(400).json({ error: 'A valid school URN is required' });
+  if (notes && String(notes).length > MAX_NOTES_LENGTH) {
+    return res.status(400).json({ error: `Notes must be ${MAX_NOTES_LENGTH} characters or fewer` });
+  }
+
+  try {
+    const shortlist = await findOwnShortlist(req);
+    if (!shortlist) return res.status(404).json({ error: 'Shortlist not found' });
+
+    const school = await query('SELECT 1 FROM uk_schools WHERE urn = $1', [schoolUrn]);
+    if (!school.rows.length) return res.status(404).json({ error: 'School not found' });
+
+    // Saving the same school twice just keeps the existing entry (and updates notes if given)
+    const upsert = await query(
+      `INSERT INTO uk_shortlist_schools (shortlist_id, urn, notes)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (shortlist_id, urn) DO UPDATE
+         SET notes = COALESCE(EXCLUDED.notes, uk_shortlist_schools.notes),
+             updated_at = NOW()
+       RETURNING urn, notes, added_at, updated_at`,
+      [shortlist.id, schoolUrn, notes ? String(notes) : null]
+    );
+    await query('UPDATE uk_shortlists SET updated_at = NOW() WHERE id = $1', [shortlist.id]);
+
+    res.status(201).json({ success: true, school: upsert.rows[0] });
+  } catch (err) {
+    console.error('Error adding school to shortlist:', err);
+    res.status(500).json({ error: 'Failed to save school' });
+  }
+});
+
+/* ================= PATCH: update private notes for a school ============== */
+router.patch('/:id/schools/:urn', async (req, res) => {
+  const schoolUrn = toInt(req.params.urn);
+  const notes = req.body && req.body.notes != null ? String(req.body.notes) : null;
+  if (schoolUrn === null) return res.status(400).json({ error: 'Invalid URN provided' });
+  if (notes && notes.length > MAX_NOTES_LENGTH) {
+    return res.status(400).json({ error: `Notes must be ${MAX_NOTES_LENGTH} characters or fewer` });
+  }
+
+  try {
+    const shortlist = await findOwnShortlist(req);
+    if (!shortlist) return res.status(404).json({ error: 'Shortlist not found' });
+
+    const upd = await query(
+      `UPDATE uk_shortlist_schools SET notes = $1, updated_at = NOW()
+       WHERE shortlist_id = $2 AND urn = $3
+       RETURNING urn, notes, added_at, updated_at`,
+      [notes || null, shortlist.id, schoolUrn]
+    );
+    if (!upd.rowCount) return res.status(404).json({ error: 'School is not on this shortlist' });
+
+    res.json({ success: true, school: upd.rows[0] });
+  } catch (err) {
+    console.error('Error updating shortlist notes:', err);
+    res.status(500).json({ error: 'Failed to update notes' });
+  }
+});
+
+/* ================= DELETE: remove a school from a shortlist ============== */
+router.delete('/:id/schools/:urn', async (req, res) => {
+  const schoolUrn = toInt(req.params.urn);
+  if (schoolUrn === null) return res.status(400).json({ error: 'Invalid URN provided' });
+
+  try {
+    const shortlist = await findOwnShortlist(req);
+    if (!shortlist) return res.status(404).json({ error: 'Shortlist not found' });
+
+    const del = await query(
+      'DELETE FROM uk_shortlist_schools WHERE shortlist_id = $1 AND urn = $2',
+      [shortlist.id, schoolUrn]
+    );
+    if (!del.rowCount) return res.status(404).json({ error: 'School is not on this shortlist' });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error removing school from shortlist:', err);
+    res.status(500).json({ error: 'Failed to remove school' });
+  }
+});
+
+module.exports = router;
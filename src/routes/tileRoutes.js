@@ -0,0 +1,35 @@
+// src/routes/tileRoutes.js
+// Map tiles (mounted at /tiles). Outside /api so map panning isn't rate limited.
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { parseTile, getSchoolTile } = require('../services/schoolTiles');
+
+/**
+ * @route   GET /tiles/schools/:z/:x/:y.mvt
+ * @desc    Mapbox Vector Tile of school points (layer "schools"); each point has
+ *          urn, name, rating, phase and ofsted (1-4) properties
+ * @example /tiles/schools/12/2046/1361.mvt
+ */
+router.get('/schools/:z/:x/:y.mvt', async (req, res) => {
+  const tile = parseTile(req.params.z, req.params.x, req.params.y);
+  if (!tile) return res.status(400).json({ error: 'Invalid tile coordinates' });
+
+  try {
+    const result = await getSchoolTile(pool, tile);
+    res.set({
+      'Content-Type': 'application/vnd.mapbox-vector-tile',
+      'Cache-Control': 'public, max-age=3600',
+      'X-Tile-Cache': result.cached ? 'HIT' : 'MISS',
+    });
+    res.send(result.tile);
+  } catch (error) {
+    console.error('School tile error:', error);
+    res.status(500).json({
+      error: 'Failed to build tile',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+// src/services/corridor.js
+// Route-corridor search geometry: schools within a buffer of a route (home -> station,
+// say), ordered by how far along the route they are.
+//
+// The database narrows candidates with one lat/lng box per stretch of the route (the
+// lat/lng index from 010_spatial_index.sql handles those); the exact point-to-route
+// distance and position are measured here on a local flat projection, which is well
+// under 1% out at commute scale.
+const {
+  LATEST_OFSTED_JOIN,
+  LATEST_CENSUS_JOIN,
+  createParams,
+  parseSearchFilters,
+  buildFilterConditions,
+  whereSql,
+} = require('./searchFilters');
+const { HAS_COORDS } = require('./geo');
+
+// 2000 points of GeoJSON stays under express.json()'s default 100kb body limit
+const MAX_POINTS = 2000;
+const MAX_ROUTE_KM = 300;
+const MAX_BOXES = 50;
+const KM_PER_DEG_LAT = 110.574;
+const KM_PER_DEG_LNG_EQUATOR = 111.32;
+
+// Google encoded polyline (precision 5 by default, 6 for OSRM/Valhalla "polyline6") -> [[lat, lng], ...]
+function decodePolyline(str, precision = 5) {
+  const factor = Math.pow(10, precision);
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const next = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= str.length) throw new Error('truncated polyline');
+      byte = str.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < str.length) {
+    lat += next();
+    lng += next();
+    points.push([lat / factor, lng / factor]);
+  }
+  return points;
+}
+
+/**
+ * A GeoJSON LineString (bare or as a Feature, [lng, lat] order) or an encoded
+ * polyline string -> { points: [[lat, lng], ...] } or { error }.
+ */
+function parseRoute(route, { precision = 5 } = {}) {
+  let points;
+  try {
+    if (typeof route === 'string' && route.trim().startsWith('{')) route = JSON.parse(route);
+
+    if (typeof route === 'string') {
+      points = decodePolyline(route.trim(), precision);
+    } else if (route && typeof route === 'object') {
+      const geometry = route.type === 'Feature' ? route.geometry : route;
+      if (!geometry || geometry.type !== 'LineString' || !Array.isArray(geometry.coordinates)) {
+        return { error: 'route must be a GeoJSON LineString or an encoded polyline' };
+      }
+      points = geometry.coordinates.map(c => [Number(c[1]), Number(c[0])]);
+    } else {
+      return { error: 'route is required (GeoJSON LineString or encoded polyline)' };
+    }
+  } catch (err) {
+    return { error: `Could not read route: ${err.message}` };
+  }
+
+  if (points.length < 2) return { error: 'route needs at least two points' };
+  if (points.length > MAX_POINTS) return { error: `route has more than ${MAX_POINTS} points` };
+  if (points.some(([lat, lng]) => !Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180)) {
+    return { error: 'route has invalid coordinates' };
+  }
+  return { points };
+}
+
+// Flat km projection centred on the route
+function projector(points) {
+  const midLat = points.reduce((sum, p) => sum + p[0], 0) / points.length;
+  const kx = KM_PER_DEG_LNG_EQUATOR * Math.cos((midLat * Math.PI) / 180);
+  return ([lat, lng]) => [lng * kx, lat * KM_PER_DEG_LAT];
+}
+
+/**
+ * Precomputes the route for measuring: segment lengths, cumulative distance and
+ * total length in km.
+ */
+function prepareRoute(points) {
+  const project = projector(points);
+  const xy = points.map(project);
+  const segments = [];
+  let total = 0;
+  for (let i = 0; i < xy.length - 1; i++) {
+    const [ax, ay] = xy[i];
+    const [bx, by] = xy[i + 1];
+    const length = Math.hypot(bx - ax, by - ay);
+    segments.push({ ax, ay, dx: bx - ax, dy: by - ay, length, start: total });
+    total += length;
+  }
+  return { points, project, segments, lengthKm: total };
+}
+
+// { offsetKm, alongKm }: distance from the route, and how far along it the nearest point is
+function measure(route, lat, lng) {
+  const [px, py] = route.project([lat, lng]);
+  let best = { offsetKm: Infinity, alongKm: 0 };
+  for (const seg of route.segments) {
+    const t = seg.length
+      ? Math.max(0, Math.min(1, ((px - seg.ax) * seg.dx + (py - seg.ay) * seg.dy) / (seg.length * seg.length)))
+      : 0;
+    const offset = Math.hypot(px - (seg.ax + t * seg.dx), py - (seg.ay + t * seg.dy));
+    if (offset < best.offsetKm) best = { offsetKm: offset, alongKm: seg.start + t * seg.length };
+  }
+  return best;
+}
+
+// Up to MAX_BOXES lat/lng boxes, each covering a run of consecutive points plus the buffer
+function routeBoxes(points, bufferKm) {
+  const perBox = Math.ceil((points.length - 1) / MAX_BOXES);
+  const boxes = [];
+  for (let i = 0; i < points.length - 1; i += perBox) {
+    const run = points.slice(i, Math.min(i + perBox, points.length - 1) + 1);
+    const lats = run.map(p => p[0]);
+    const lngs = run.map(p => p[1]);
+    const south = Math.min(...lats);
+    const north = Math.max(...lats);
+    const dLat = bufferKm / KM_PER_DEG_LAT;
+    // Widest at the pole-most edge of the box
+    const cosLat = Math.cos((Math.min(Math.max(Math.abs(south), Math.abs(north)) + dLat, 89) * Math.PI) / 180);
+    const dLng = bufferKm / (KM_PER_DEG_LNG_EQUATOR * cosLat);
+    boxes.push({
+      south: south - dLat,
+      north: north + dLat,
+      west: Math.min(...lngs) - dLng,
+      east: Math.max(...lngs) + dLng,
+    });
+  }
+  return boxes;
+}
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+/**
+ * Schools within `bufferKm` of the route (from parseRoute), filtered like
+ * /api/search and ordered by position along it. Returns
+ * { lengthKm, total, schools } with offset_km / along_km / route_fraction on each school.
+ */
+async function corridorSearch(db, points, { bufferKm, limit, qs = {} }) {
+  const route = prepareRoute(points);
+  const params = createParams();
+  const boxes = routeBoxes(points, bufferKm).map(box =>
+    `(s.latitude BETWEEN ${params.add(box.south)} AND ${params.add(box.north)}
+      AND s.longitude BETWEEN ${params.add(box.west)} AND ${params.add(box.east)})`
+  );
+  const where = whereSql(
+    buildFilterConditions(parseSearchFilters({ ...qs, q: '' }), params),
+    [...HAS_COORDS, `(${boxes.join('\n      OR ')})`]
+  );
+
+  const { rows } = await db.query(
+    `SELECT
+       s.urn, s.name, s.postcode, s.town, s.local_authority, s.phase_of_education,
+       s.type_of_establishment, s.street, s.religious_character, s.gender,
+       s.overall_rating, s.rating_percentile, s.latitude, s.longitude,
+       o.overall_effectiveness AS ofsted_rating,
+       o.inspection_date,
+       COALESCE(c.number_on_roll, s.total_pupils) AS number_on_roll,
+       c.percentage_fsm_ever6 AS fsm_percentage
+     FROM uk_schools s
+     ${LATEST_OFSTED_JOIN}
+     ${LATEST_CENSUS_JOIN}
+     WHERE ${where}`,
+    params.values
+  );
+
+  const inCorridor = [];
+  for (const row of rows) {
+    const { offsetKm, alongKm } = measure(route, parseFloat(row.latitude), parseFloat(row.longitude));
+    if (offsetKm <= bufferKm) inCorridor.push({ row, offsetKm, alongKm });
+  }
+  // Along the route, then nearest the route where two schools sit level
+  inCorridor.sort((a, b) => a.alongKm - b.alongKm || a.offsetKm - b.offsetKm || a.row.urn - b.row.urn);
+
+  return {
+    lengthKm: route.lengthKm,
+    total: inCorridor.length,
+    schools: inCorridor.slice(0, limit).map(({ row, offsetKm, alongKm }) => ({
+      ...row,
+      offset_km: round3(offsetKm),
+      along_km: round3(alongKm),
+      route_fraction: route.lengthKm ? round3(alongKm / route.lengthKm) : 0,
+    })),
+  };
+}
+
+module.exports = {
+  MAX_ROUTE_KM,
+  decodePolyline,
+  parseRoute,
+  prepareRoute,
+  measure,
+  routeBoxes,
+  corridorSearch,
+};
@@ -0,0 +1,62 @@
+// src/services/fuzzySearch.js
+// Typo-tolerant matching over school_search_norm() (scripts/migrations/007_fuzzy_search.sql).
+// Both the column and the query are folded the same way, so punctuation and the synonym
+// list (St/Saint, RC, CE, JMI, Acad) never matter; pg_trgm word similarity catches misspellings.
+
+// Folded columns; each has a trigram index
+const FIELDS = {
+  name: 'school_search_norm(s.name)',
+  town: 'school_search_norm(s.town)',
+  la: 'school_search_norm(s.local_authority)',
+  trust: 'school_search_norm(s.trust_name)',
+  constituency: 'school_search_norm(s.parliamentary_constituency)',
+};
+
+/**
+ * Adds `q` to `params` and returns { condition, rank } SQL for the given fields.
+ * A row matches if the folded query appears in a field or is a close word match
+ * (pg_trgm.word_similarity_threshold, 0.6 by default). Rank prefers prefix, then
+ * substring, then fuzzy matches, taking the best field.
+ */
+function fuzzyMatch(q, params, fields = ['name', 'town', 'la']) {
+  const nq = `school_search_norm(${params.add(q)})`;
+  const cols = fields.map(f => FIELDS[f]);
+
+  const condition = `(${nq} <> '' AND (${cols
+    .map(c => `${c} LIKE '%' || ${nq} || '%' OR ${nq} <% ${c}`)
+    .join(' OR ')}))`;
+
+  const rank = `GREATEST(${cols
+    .map(c => `word_similarity(${nq}, ${c})
+      + CASE WHEN ${c} LIKE ${nq} || '%' THEN 1 WHEN ${c} LIKE '%' || ${nq} || '%' THEN 0.5 ELSE 0 END`)
+    .join(', ')})`;
+
+  return { condition, rank };
+}
+
+// "Did you mean" candidates for a query that found nothing: the closest school names,
+// towns and local authorities by trigram similarity. Returns [{ text, type }].
+async function didYouMean(db, q, limit = 3) {
+  const nq = 'school_search_norm($1)';
+  const { rows } = await db.query(
+    `SELECT text, type FROM (
+       SELECT s.name AS text, 'school' AS type, similarity(${FIELDS.name}, ${nq}) AS score
+       FROM uk_schools s WHERE ${FIELDS.name} % ${nq}
+       UNION
+       SELECT s.town, 'town', similarity(${FIELDS.town}, ${nq})
+       FROM uk_schools s WHERE ${FIELDS.town} % ${nq}
+       UNION
+       SELECT s.local_authority, 'la', similarity(${FIELDS.la}, ${nq})
+       FROM uk_schools s WHERE ${FIELDS.la} % ${nq}
+     ) candidates
+     ORDER BY score DESC, text ASC
+     LIMIT $2`,
+    [q, limit]
+  );
+  return rows;
+}
+
+module.exports = {
+  fuzzyMatch,
+  didYouMean,
+};
@@ -0,0 +1,119 @@
+// src/services/geo.js
+// Distance, radius and nearest-first SQL shared by the location searches.
+// Schools carry WGS84 s.latitude / s.longitude; distances are in km.
+//
+// Three interchangeable backends (scripts/migrations/010_spatial_index.sql):
+//   postgis       - s.geog geography column, GiST index; ST_DWithin and <-> KNN
+//   earthdistance - GiST index on ll_to_earth(lat, lng); earth_box and cube <-> KNN
+//   none          - spherical law of cosines over a lat/lng bounding box
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_MILE = 1.609344;
+
+// Detected once per process; the schema doesn't change under a running server
+let backendPromise = null;
+
+async function spatialBackend(db) {
+  if (!backendPromise) {
+    backendPromise = db.query(`
+      SELECT
+        EXISTS (SELECT 1 FROM information_schema.columns
+                WHERE table_name = 'uk_schools' AND column_name = 'geog') AS postgis,
+        EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'earthdistance') AS earthdistance
+    `).then(({ rows }) => {
+      if (rows[0].postgis) return 'postgis';
+      if (rows[0].earthdistance) return 'earthdistance';
+      return 'none';
+    });
+    backendPromise.catch(() => { backendPromise = null; });
+  }
+  return backendPromise;
+}
+
+const HAS_COORDS = ['s.latitude IS NOT NULL', 's.longitude IS NOT NULL'];
+
+// Spherical law of cosines from (lat, lng) to school s; LEAST() guards acos against rounding above 1
+function cosineDistanceKm(lat, lng) {
+  return `(
+    ${EARTH_RADIUS_KM} * acos(
+      LEAST(1.0,
+        cos(radians(${lat})) * cos(radians(s.latitude)) *
+        cos(radians(s.longitude) - radians(${lng})) +
+        sin(radians(${lat})) * sin(radians(s.latitude))
+      )
+    )
+  )`;
+}
+
+/**
+ * SQL pieces for measuring from the point (`lat`, `lng`), given as parameter
+ * placeholders, to school s:
+ *   distanceKm   - distance expression
+ *   within(r)    - WHERE conditions for "within r km" (r is also a placeholder)
+ *   nearestOrder - ORDER BY expression for nearest-first that can use the index
+ * Every piece also requires the school to have coordinates.
+ */
+function spatialSql(backend, lat, lng) {
+  if (backend === 'postgis') {
+    const point = `ST_SetSRID(ST_MakePoint(${lng}, ${lat}), 4326)::geography`;
+    return {
+      // <-> on geography is the sphere distance, so ordering and the reported distance agree
+      distanceKm: `((s.geog <-> ${point}) / 1000.0)`,
+      within: (r) => [...HAS_COORDS, `ST_DWithin(s.geog, ${point}, ${r} * 1000.0, false)`],
+      nearestOrder: `s.geog <-> ${point}`,
+    };
+  }
+
+  if (backend === 'earthdistance') {
+    const earth = 'll_to_earth(s.latitude, s.longitude)';
+    const point = `ll_to_earth(${lat}, ${lng})`;
+    const distanceKm = `(earth_distance(${earth}, ${point}) / 1000.0)`;
+    return {
+      distanceKm,
+      // earth_box is a cube around the circle, so it needs the exact check as well
+      within: (r) => [...HAS_COORDS, `earth_box(${point}, ${r} * 1000.0) @> ${earth}`, `${distanceKm} <= ${r}`],
+      // Straight-line (chord) distance: same order as the great-circle distance
+      nearestOrder: `${earth} <-> ${point}`,
+    };
+  }
+
+  const distanceKm = cosineDistanceKm(lat, lng);
+  return {
+    distanceKm,
+    within: (r) => [
+      ...HAS_COORDS,
+      `s.latitude BETWEEN ${lat} - (${r} / 111.0) AND ${lat} + (${r} / 111.0)`,
+      `s.longitude BETWEEN ${lng} - (${r} / (111.0 * cos(radians(${lat})))) AND ${lng} + (${r} / (111.0 * cos(radians(${lat}))))`,
+      `${distanceKm} <= ${r}`,
+    ],
+    nearestOrder: distanceKm,
+  };
+}
+
+// Map viewport: schools inside the west/south/east/north box (placeholders); uses the lat/lng index
+function viewportConditions({ west, south, east, north }) {
+  return [
+    ...HAS_COORDS,
+    `s.latitude BETWEEN ${south} AND ${north}`,
+    `s.longitude BETWEEN ${west} AND ${east}`,
+  ];
+}
+
+// km -> { distance_km, distance_miles }, rounded for display
+function formatDistance(km) {
+  if (km === null || km === undefined) return { distance_km: null, distance_miles: null };
+  const value = parseFloat(km);
+  return {
+    distance_km: Number(value.toFixed(2)),
+    distance_miles: Number((value / KM_PER_MILE).toFixed(2)),
+  };
+}
+
+module.exports = {
+  KM_PER_MILE,
+  HAS_COORDS,
+  spatialBackend,
+  spatialSql,
+  viewportConditions,
+  formatDistance,
+};
@@ -0,0 +1,42 @@
+// src/services/mailer.js
+// Shared nodemailer transport (Gmail, using EMAIL_USER / EMAIL_PASS)
+const nodemailer = require('nodemailer');
+
+// Absolute base for links in emails
+const SITE_URL = (process.env.SITE_URL || 'https://www.findschool.uk').replace(/\/+$/, '');
+
+let transporter = null;
+
+const isConfigured = () => Boolean(process.env.EMAIL_USER && process.env.EMAIL_PASS);
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      service: 'gmail',
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      }
+    });
+  }
+  return transporter;
+}
+
+// Same options as transporter.sendMail; `from` defaults to the site mailbox
+async function sendMail(options) {
+  return getTransporter().sendMail({ from: process.env.EMAIL_USER, ...options });
+}
+
+// Text -> HTML-safe text, for values (school names, user input) placed in an `html` body
+function escapeHtml(str) {
+  return String(str ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+module.exports = {
+  SITE_URL,
+  isConfigured,
+  sendMail,
+  escapeHtml,
+};
@@ -0,0 +1,133 @@
+// src/services/mapSearch.js
+// Map viewport search (GET /api/search/bbox): the schools inside a west/south/east/north
+// box, filtered like /api/search. Zoomed out, or when too many match, schools are
+// grouped server-side into grid clusters roughly CLUSTER_CELL_PX square on screen.
+const {
+  LATEST_OFSTED_JOIN,
+  createParams,
+  parseSearchFilters,
+  buildFilterConditions,
+  whereSql,
+} = require('./searchFilters');
+const { viewportConditions } = require('./geo');
+
+const MAX_POINTS = 500;          // individual schools returned at most
+const POINTS_FROM_ZOOM = 14;     // at street level always show individual schools
+const CLUSTER_CELL_PX = 64;
+const TILE_PX = 256;
+
+const toFloat = (v) => (v === null || v === undefined ? null : parseFloat(v));
+
+/**
+ * req.query -> { west, south, east, north, zoom }, or { error } when the box is
+ * missing or malformed. zoom defaults to 10.
+ */
+function parseViewport(qs = {}) {
+  const box = {};
+  for (const key of ['west', 'south', 'east', 'north']) {
+    box[key] = parseFloat(qs[key]);
+    if (!Number.isFinite(box[key])) return { error: 'west, south, east and north are required numbers' };
+  }
+  if (Math.abs(box.south) > 90 || Math.abs(box.north) > 90 || Math.abs(box.west) > 180 || Math.abs(box.east) > 180) {
+    return { error: 'Bounding box is outside valid latitude/longitude ranges' };
+  }
+  if (box.west >= box.east || box.south >= box.north) {
+    return { error: 'Bounding box must have west < east and south < north' };
+  }
+
+  const zoom = qs.zoom === undefined || qs.zoom === '' ? 10 : parseInt(qs.zoom, 10);
+  if (!Number.isInteger(zoom) || zoom < 0 || zoom > 22) return { error: 'zoom must be an integer from 0 to 22' };
+
+  return { ...box, zoom };
+}
+
+// Grid cell size at `zoom`: degrees of longitude, and Web Mercator y units for latitude,
+// so cells come out square on screen
+function cellSize(zoom) {
+  const cellsPerWorld = Math.pow(2, zoom) * (TILE_PX / CLUSTER_CELL_PX);
+  return { lng: 360 / cellsPerWorld, y: (2 * Math.PI) / cellsPerWorld };
+}
+
+/**
+ * Returns { mode: 'schools', total, schools } or { mode: 'clusters', total, clusters }.
+ * `qs` carries the /api/search filters (q is optional here).
+ */
+async function viewportSearch(db, viewport, qs = {}) {
+  const params = createParams();
+  const conditions = buildFilterConditions(parseSearchFilters({ ...qs, q: qs.q || '' }), params);
+  const where = whereSql(conditions, viewportConditions({
+    west: params.add(viewport.west),
+    south: params.add(viewport.south),
+    east: params.add(viewport.east),
+    north: params.add(viewport.north),
+  }));
+  const filterValues = [...params.values];
+
+  const countResult = await db.query(
+    `SELECT COUNT(*)::int AS total FROM uk_schools s ${LATEST_OFSTED_JOIN} WHERE ${where}`,
+    filterValues
+  );
+  const total = countResult.rows[0].total;
+
+  if (viewport.zoom >= POINTS_FROM_ZOOM || total <= MAX_POINTS) {
+    const { rows } = await db.query(
+      `SELECT s.urn, s.name, s.town, s.postcode, s.phase_of_education, s.type_of_establishment,
+              s.latitude, s.longitude, s.overall_rating,
+              o.overall_effectiveness AS ofsted_rating
+       FROM uk_schools s
+       ${LATEST_OFSTED_JOIN}
+       WHERE ${where}
+       ORDER BY s.overall_rating DESC NULLS LAST, s.urn
+       LIMIT ${params.add(MAX_POINTS)}`,
+      params.values
+    );
+    return {
+      mode: 'schools',
+      total,
+      schools: rows.map(r => ({
+        ...r,
+        latitude: toFloat(r.latitude),
+        longitude: toFloat(r.longitude),
+        overall_rating: toFloat(r.overall_rating),
+      })),
+    };
+  }
+
+  const cell = cellSize(viewport.zoom);
+  const lngCell = params.add(cell.lng);
+  const yCell = params.add(cell.y);
+  const { rows } = await db.query(
+    `SELECT COUNT(*)::int AS count,
+            AVG(s.latitude) AS lat,
+            AVG(s.longitude) AS lng,
+            MAX(s.overall_rating) AS best_rating,
+            (array_agg(s.urn ORDER BY s.overall_rating DESC NULLS LAST))[1] AS best_urn,
+            MIN(s.longitude) AS west, MIN(s.latitude) AS south,
+            MAX(s.longitude) AS east, MAX(s.latitude) AS north
+     FROM uk_schools s
+     ${LATEST_OFSTED_JOIN}
+     WHERE ${where}
+     GROUP BY floor(s.longitude / ${lngCell}),
+              floor(ln(tan(radians(45 + s.latitude / 2))) / ${yCell})`,
+    params.values
+  );
+
+  return {
+    mode: 'clusters',
+    total,
+    clusters: rows.map(r => ({
+      count: r.count,
+      lat: toFloat(r.lat),
+      lng: toFloat(r.lng),
+      best_rating: toFloat(r.best_rating),
+      best_urn: r.best_urn,
+      bounds: { west: toFloat(r.west), south: toFloat(r.south), east: toFloat(r.east), north: toFloat(r.north) },
+    })),
+  };
+}
+
+module.exports = {
+  MAX_POINTS,
+  parseViewport,
+  viewportSearch,
+};
@@ -0,0 +1,142 @@
+// src/services/multiAnchor.js
+// Multi-anchor search (GET /api/search/anchors): schools within a maximum distance of
+// every one of 2-4 points (two homes, home and work...). Each anchor is measured with
+// the same spatialSql() as /api/search/nearby; the combined distance is the sum across
+// anchors and stands in for d.distance_km, so sort=distance and cursors work unchanged.
+const {
+  LATEST_OFSTED_JOIN,
+  LATEST_CENSUS_JOIN,
+  createParams,
+  parseSearchFilters,
+  buildFilterConditions,
+  whereSql,
+} = require('./searchFilters');
+const { orderBySql, sortValueSql, cursorConditionSql, paginate } = require('./searchSort');
+const { spatialBackend, spatialSql } = require('./geo');
+const { resolvePostcode } = require('./postcodes');
+
+const MIN_ANCHORS = 2;
+const MAX_ANCHORS = 4;
+const DEFAULT_MAX_KM = 5;
+const MAX_KM = 50;
+
+const LAT_LNG = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+const asList = (v) => (v === undefined ? [] : (Array.isArray(v) ? v : [v]));
+
+/**
+ * req.query -> [{ input, lat?, lng?, postcode?, maxKm }], or { error }.
+ * Anchors come from repeated anchor= params ("lat,lng" or a postcode) or one
+ * anchors= param separated by ";". max_distance is one km value for every anchor
+ * or a comma list, one per anchor.
+ */
+function parseAnchors(qs = {}) {
+  const inputs = [
+    ...asList(qs.anchor),
+    ...asList(qs.anchors).flatMap(v => String(v).split(';')),
+  ].map(v => String(v).trim()).filter(Boolean);
+
+  if (inputs.length < MIN_ANCHORS || inputs.length > MAX_ANCHORS) {
+    return { error: `Give between ${MIN_ANCHORS} and ${MAX_ANCHORS} anchors (postcodes or "lat,lng")` };
+  }
+
+  const distances = qs.max_distance === undefined || qs.max_distance === ''
+    ? []
+    : String(qs.max_distance).split(',').map(v => parseFloat(v));
+  if (distances.length > 1 && distances.length !== inputs.length) {
+    return { error: 'max_distance must be a single value or one value per anchor' };
+  }
+  if (distances.some(d => !(d > 0))) return { error: 'max_distance must be a positive number of km' };
+
+  const anchors = [];
+  for (const [i, input] of inputs.entries()) {
+    const maxKm = Math.min(distances.length > 1 ? distances[i] : (distances[0] || DEFAULT_MAX_KM), MAX_KM);
+    const m = input.match(LAT_LNG);
+    if (m) {
+      const lat = parseFloat(m[1]);
+      const lng = parseFloat(m[2]);
+      if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return { error: `Anchor ${i + 1} has invalid coordinates` };
+      anchors.push({ input, lat, lng, maxKm });
+    } else {
+      anchors.push({ input, postcode: input, maxKm });
+    }
+  }
+  return { anchors };
+}
+
+/**
+ * Looks up postcode anchors. Returns { anchors } with lat/lng on every anchor,
+ * or the first failing resolvePostcode() result ({ status, error }) with the
+ * anchor number added to the message.
+ */
+async function resolveAnchors(db, anchors) {
+  const resolved = [];
+  for (const [i, anchor] of anchors.entries()) {
+    if (!anchor.postcode) {
+      resolved.push({ ...anchor, precision: 'coordinates' });
+      continue;
+    }
+    const location = await resolvePostcode(db, anchor.postcode);
+    if (location.status !== 'ok') return { status: location.status, error: `Anchor ${i + 1}: ${location.error}` };
+    resolved.push({
+      ...anchor,
+      postcode: location.postcode || location.outcode,
+      lat: location.latitude,
+      lng: location.longitude,
+      precision: location.precision,
+    });
+  }
+  return { anchors: resolved };
+}
+
+/**
+ * One page of schools within reach of every anchor, with the /api/search filters
+ * from `qs`. `sort` comes from parseSort(..., { hasPoint: true }); distance means
+ * combined distance. Rows carry anchor_km_0..n and distance_km (the sum).
+ */
+async function multiAnchorSearch(db, anchors, { sort, limit, qs = {} }) {
+  const backend = await spatialBackend(db);
+  const params = createParams();
+  const within = new Set();
+  const distances = anchors.map((anchor, i) => {
+    const geo = spatialSql(backend, params.add(anchor.lat), params.add(anchor.lng));
+    geo.within(params.add(anchor.maxKm)).forEach(cond => within.add(cond));
+    return `${geo.distanceKm} AS anchor_km_${i}`;
+  });
+
+  const where = whereSql(buildFilterConditions(parseSearchFilters({ ...qs, q: '' }), params), [...within]);
+  const after = cursorConditionSql(sort, params);
+
+  const { rows } = await db.query(
+    `SELECT
+       s.urn, s.name, s.postcode, s.town, s.local_authority, s.phase_of_education,
+       s.type_of_establishment, s.street, s.religious_character, s.gender,
+       s.overall_rating, s.rating_percentile, s.latitude, s.longitude,
+       o.overall_effectiveness AS ofsted_rating,
+       o.inspection_date,
+       COALESCE(c.number_on_roll, s.total_pupils) AS number_on_roll,
+       c.percentage_fsm_ever6 AS fsm_percentage,
+       ${anchors.map((_, i) => `da.anchor_km_${i}`).join(', ')},
+       d.distance_km,
+       ${sortValueSql(sort)}
+     FROM uk_schools s
+     ${LATEST_OFSTED_JOIN}
+     ${LATEST_CENSUS_JOIN}
+     CROSS JOIN LATERAL (SELECT ${distances.join(', ')}) da
+     CROSS JOIN LATERAL (SELECT ${anchors.map((_, i) => `da.anchor_km_${i}`).join(' + ')} AS distance_km) d
+     ${sort.join}
+     WHERE ${where}${after ? `\n       AND ${after}` : ''}
+     ORDER BY ${orderBySql(sort)}
+     LIMIT ${params.add(limit + 1)}`,
+    params.values
+  );
+
+  return paginate(sort, rows, limit);
+}
+
+module.exports = {
+  MAX_ANCHORS,
+  parseAnchors,
+  resolveAnchors,
+  multiAnchorSearch,
+};
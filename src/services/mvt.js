@@ -0,0 +1,117 @@
+// src/services/mvt.js
+// Minimal Mapbox Vector Tile (v2) encoder for point layers.
+// Hand-rolled protobuf: a tile is a list of layers, each with features, a shared
+// key table and a shared value table (https://github.com/mapbox/vector-tile-spec).
+
+const DEFAULT_EXTENT = 4096;
+
+// Protobuf wire types
+const VARINT = 0;
+const FIXED64 = 1;
+const BYTES = 2;
+
+function writeVarint(out, n) {
+  while (n > 127) {
+    out.push((n % 128) | 128);
+    n = Math.floor(n / 128);
+  }
+  out.push(n);
+}
+
+const writeKey = (out, field, wireType) => writeVarint(out, (field << 3) | wireType);
+const zigzag = (n) => (n < 0 ? -2 * n - 1 : 2 * n);
+
+function writeBytes(out, field, bytes) {
+  writeKey(out, field, BYTES);
+  writeVarint(out, bytes.length);
+  for (const b of bytes) out.push(b);
+}
+
+const writeString = (out, field, str) => writeBytes(out, field, Buffer.from(String(str), 'utf8'));
+
+function writePacked(out, field, values) {
+  const packed = [];
+  values.forEach(v => writeVarint(packed, v));
+  writeBytes(out, field, packed);
+}
+
+// Value message: strings, booleans, whole numbers (uint/sint) or doubles
+function encodeValue(value) {
+  const out = [];
+  if (typeof value === 'string') {
+    writeString(out, 1, value);
+  } else if (typeof value === 'boolean') {
+    writeKey(out, 7, VARINT);
+    writeVarint(out, value ? 1 : 0);
+  } else if (Number.isInteger(value)) {
+    writeKey(out, value < 0 ? 6 : 5, VARINT);
+    writeVarint(out, value < 0 ? zigzag(value) : value);
+  } else {
+    const buf = Buffer.alloc(8);
+    buf.writeDoubleLE(value);
+    writeKey(out, 3, FIXED64);
+    for (const b of buf) out.push(b);
+  }
+  return out;
+}
+
+/**
+ * Encodes one layer of point features. `features` are { id, x, y, properties }
+ * with x/y already in tile coordinates (0..extent); null/undefined properties are left out.
+ */
+function encodePointLayer({ name, features, extent = DEFAULT_EXTENT }) {
+  const keys = new Map();
+  const values = new Map();
+  const valueList = [];
+  const index = (map, key, onNew) => {
+    if (!map.has(key)) {
+      map.set(key, map.size);
+      if (onNew) onNew();
+    }
+    return map.get(key);
+  };
+
+  const encodedFeatures = features.map(f => {
+    const tags = [];
+    for (const [k, v] of Object.entries(f.properties || {})) {
+      if (v === null || v === undefined || (typeof v === 'number' && !Number.isFinite(v))) continue;
+      tags.push(index(keys, k));
+      tags.push(index(values, `${typeof v}:${v}`, () => valueList.push(v)));
+    }
+
+    const out = [];
+    if (f.id !== undefined && f.id !== null) {
+      writeKey(out, 1, VARINT);
+      writeVarint(out, f.id);
+    }
+    if (tags.length) writePacked(out, 2, tags);
+    writeKey(out, 3, VARINT);
+    writeVarint(out, 1); // POINT
+    // MoveTo(1) then the zigzagged position relative to (0, 0)
+    writePacked(out, 4, [(1 << 3) | 1, zigzag(Math.round(f.x)), zigzag(Math.round(f.y))]);
+    return out;
+  });
+
+  const layer = [];
+  writeKey(layer, 15, VARINT);
+  writeVarint(layer, 2); // spec version
+  writeString(layer, 1, name);
+  encodedFeatures.forEach(f => writeBytes(layer, 2, f));
+  for (const k of keys.keys()) writeString(layer, 3, k);
+  valueList.forEach(v => writeBytes(layer, 4, encodeValue(v)));
+  writeKey(layer, 5, VARINT);
+  writeVarint(layer, extent);
+  return layer;
+}
+
+// Tile message: one or more encoded layers
+function encodeTile(layers) {
+  const out = [];
+  layers.forEach(layer => writeBytes(out, 3, encodePointLayer(layer)));
+  return Buffer.from(out);
+}
+
+module.exports = {
+  DEFAULT_EXTENT,
+  encodeTile,
+};
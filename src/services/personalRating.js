@@ -0,0 +1,229 @@
+// src/services/personalRating.js
+// Personalised ratings: the caller picks how much each component counts, and gets a score
+// alongside the standard rating (ratings.js), which is left unchanged. Components are the
+// standard ofsted, academic and attendance scores plus two more:
+//   reviews  - average published parent review (1-5 stars), once a school has MIN_REVIEWS
+//   progress - value added: latest KS4 Progress 8, or KS2 reading/maths progress (England only)
+// Missing data is handled as in the standard rating: absent components drop out, the rest
+// are renormalised, and the components present must carry the country's minimum share of
+// the weight (PROFILES minWeight). Components a country never has (Ofsted outside England
+// and NI, progress outside England) don't count against it.
+//
+// Weights travel in the URL as ?weights=ofsted:30,academic:30,attendance:10,reviews:20,progress:10
+// so a personalised search or school page can be bookmarked and shared.
+const { PROFILES } = require('./ratings');
+
+const WEIGHT_KEYS = ['ofsted', 'academic', 'attendance', 'reviews', 'progress'];
+// Fewer reviews than this say more about the reviewers than the school
+const MIN_REVIEWS = 3;
+// Progress scores mapped to 1 and 10, either side of the national average (0 = 5.5)
+const PROGRESS_RANGE = { progress_8: 1, ks2_progress: 5 };
+
+const toNum = v => {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+const clampScore = v => Math.max(1, Math.min(10, v));
+const round1 = v => Math.round(v * 10) / 10;
+
+/**
+ * Reads `weights` from a query string. Returns null when absent, { weights } with every
+ * key present (unnamed ones 0), or { error }.
+ */
+function parseRatingWeights(qs) {
+  const raw = qs.weights;
+  if (raw === undefined || raw === '') return null;
+  if (typeof raw !== 'string') return { error: 'weights must be given once, e.g. weights=ofsted:40,reviews:60' };
+
+  const weights = {};
+  for (const part of raw.split(',')) {
+    const [name, value, extra] = part.split(':').map(p => p.trim());
+    if (!WEIGHT_KEYS.includes(name)) {
+      return { error: `Unknown weight "${name}"; use ${WEIGHT_KEYS.join(', ')}` };
+    }
+    if (name in weights) return { error: `Weight for ${name} is given twice` };
+    const n = value === undefined || value === '' ? NaN : Number(value);
+    if (extra !== undefined || !Number.isFinite(n) || n < 0 || n > 100) {
+      return { error: `Weight for ${name} must be a number from 0 to 100` };
+    }
+    weights[name] = n;
+  }
+  if (!Object.values(weights).some(w => w > 0)) return { error: 'At least one weight must be above 0' };
+
+  WEIGHT_KEYS.forEach(key => { weights[key] = weights[key] ?? 0; });
+  return { weights };
+}
+
+// The canonical `weights` string, as echoed back in responses
+function formatRatingWeights(weights) {
+  return WEIGHT_KEYS.filter(key => weights[key] > 0).map(key => `${key}:${weights[key]}`).join(',');
+}
+
+// 1 star = 1, 5 stars = 10
+function calculateReviewScore(average) {
+  return round1(1 + ((average - 1) * 9) / 4);
+}
+
+function calculateProgressScore(value, measure) {
+  return round1(clampScore(5.5 + (value / PROGRESS_RANGE[measure]) * 4.5));
+}
+
+// Progress 8 for schools with KS4 results, otherwise KS2 reading/maths progress
+function progressInput(school) {
+  const p8 = toNum(school.progress_8_score);
+  if (p8 !== null) return { measure: 'progress_8', value: p8 };
+  const ks2 = [toNum(school.ks2_reading_progress), toNum(school.ks2_maths_progress)].filter(v => v !== null);
+  if (ks2.length) return { measure: 'ks2_progress', value: ks2.reduce((a, b) => a + b, 0) / ks2.length };
+  return null;
+}
+
+/**
+ * Personalised score for one school. `school` carries country, review_average,
+ * review_count and the progress columns (loadPersonalInputs); `components` are the
+ * standard rating's components (calculateRating(), or the stored rating_components).
+ * Returns { rating, score, components, data_completeness, weights } or, without enough
+ * data, { rating: null, message, available_components, data_completeness, weights }.
+ */
+function calculatePersonalisedRating(school, components, weights) {
+  const country = (school.country || 'england').toLowerCase();
+  const profile = PROFILES[country] || PROFILES.england;
+  const applies = {
+    ofsted: profile.ofsted > 0,
+    academic: true,
+    attendance: true,
+    reviews: true,
+    progress: country === 'england',
+  };
+
+  const standard = new Map((Array.isArray(components) ? components : []).map(c => [c.name, c]));
+  const available = [];
+  for (const name of ['ofsted', 'academic', 'attendance']) {
+    const c = standard.get(name);
+    const score = c ? toNum(c.score) : null;
+    if (score === null) continue;
+    available.push({
+      name,
+      score: round1(score),
+      weight: weights[name],
+      ...(name === 'ofsted' && c.label ? { label: c.label } : {}),
+    });
+  }
+
+  const reviewAverage = toNum(school.review_average);
+  const reviewCount = toNum(school.review_count) || 0;
+  if (reviewAverage !== null && reviewCount >= MIN_REVIEWS) {
+    available.push({
+      name: 'reviews',
+      score: calculateReviewScore(reviewAverage),
+      weight: weights.reviews,
+      review_average: round1(reviewAverage),
+      review_count: reviewCount,
+    });
+  }
+
+  const progress = applies.progress ? progressInput(school) : null;
+  if (progress) {
+    available.push({
+      name: 'progress',
+      score: calculateProgressScore(progress.value, progress.measure),
+      weight: weights.progress,
+      measure: progress.measure,
+      value: Math.round(progress.value * 100) / 100,
+    });
+  }
+
+  const wanted = WEIGHT_KEYS.reduce((sum, key) => sum + (applies[key] ? weights[key] : 0), 0);
+  const used = available.filter(c => c.weight > 0);
+  const usedWeight = used.reduce((sum, c) => sum + c.weight, 0);
+  const completeness = wanted > 0 ? Math.round((usedWeight / wanted) * 100) : 0;
+
+  if (!usedWeight || completeness < profile.minWeight) {
+    return {
+      rating: null,
+      message: wanted > 0 ? 'Insufficient data for rating' : `None of the chosen weights apply to schools in ${country}`,
+      available_components: available,
+      data_completeness: completeness,
+      weights: formatRatingWeights(weights),
+    };
+  }
+
+  const score = used.reduce((sum, c) => sum + c.score * (c.weight / usedWeight), 0);
+  return {
+    rating: Math.round(score),
+    score: round1(score),
+    components: used,
+    data_completeness: completeness,
+    weights: formatRatingWeights(weights),
+  };
+}
+
+// Inputs the standard rating doesn't store: review stats and the latest year with progress scores
+const PERSONAL_INPUT_JOINS = `
+  LEFT JOIN uk_school_review_stats prs ON prs.urn = s.urn
+  LEFT JOIN LATERAL (
+    SELECT progress_8_score
+    FROM uk_ks4_performance k
+    WHERE k.urn = s.urn AND k.progress_8_score IS NOT NULL
+    ORDER BY academic_year DESC NULLS LAST
+    LIMIT 1
+  ) pk4 ON TRUE
+  LEFT JOIN LATERAL (
+    SELECT reading_progress, maths_progress
+    FROM uk_ks2_performance k
+    WHERE k.urn = s.urn AND (k.reading_progress IS NOT NULL OR k.maths_progress IS NOT NULL)
+    ORDER BY academic_year DESC NULLS LAST
+    LIMIT 1
+  ) pk2 ON TRUE`;
+
+const PERSONAL_INPUT_COLUMNS = `
+  s.urn, s.country, s.rating_components,
+  prs.avg_overall_rating AS review_average,
+  prs.total_reviews AS review_count,
+  pk4.progress_8_score,
+  pk2.reading_progress AS ks2_reading_progress,
+  pk2.maths_progress AS ks2_maths_progress`;
+
+// urn -> personalisation inputs (with the stored rating components) for a page of schools
+async function loadPersonalInputs(db, urns) {
+  if (!urns.length) return new Map();
+  const { rows } = await db.query(
+    `SELECT ${PERSONAL_INPUT_COLUMNS}
+     FROM uk_schools s
+     ${PERSONAL_INPUT_JOINS}
+     WHERE s.urn = ANY($1::int[])`,
+    [urns.map(Number)]
+  );
+  return new Map(rows.map(r => [String(r.urn), r]));
+}
+
+/**
+ * Adds `personalised_rating` to each school in a page of results, scored from the
+ * school's stored rating components so it lines up with the overall_rating shown
+ * beside it. Schools are returned unchanged when no weights were asked for.
+ */
+async function addPersonalisedRatings(db, schools, weights) {
+  if (!weights || !schools.length) return schools;
+  const inputs = await loadPersonalInputs(db, schools.map(s => s.urn));
+  return schools.map(school => {
+    const row = inputs.get(String(school.urn));
+    return {
+      ...school,
+      personalised_rating: row
+        ? calculatePersonalisedRating(row, row.rating_components, weights)
+        : null,
+    };
+  });
+}
+
+module.exports = {
+  WEIGHT_KEYS,
+  MIN_REVIEWS,
+  parseRatingWeights,
+  formatRatingWeights,
+  calculateReviewScore,
+  calculateProgressScore,
+  calculatePersonalisedRating,
+  loadPersonalInputs,
+  addPersonalisedRatings,
+};
@@ -0,0 +1,88 @@
+// src/services/postcodes.js
+// Postcode normalisation and lookups against the local uk_postcodes table
+// (scripts/migrations/009_postcodes.sql, filled by scripts/import_postcodes.js).
+
+// Outward code ("SW1A", "M1", "EC1V") and inward code ("1AA")
+const OUTCODE_RE = /^(?:[A-Z]{1,2}\d[A-Z\d]?|GIR)$/;
+const FULL_RE = /^([A-Z]{1,2}\d[A-Z\d]?|GIR)(\d[A-Z]{2})$/;
+
+const compact = (raw) => String(raw || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// "sw1a1aa", " SW1A  1AA " -> "SW1A 1AA"; null if it isn't a full postcode
+function normalisePostcode(raw) {
+  const m = compact(raw).match(FULL_RE);
+  return m ? `${m[1]} ${m[2]}` : null;
+}
+
+// A full postcode or just an outcode -> { postcode, outcode }, or null if neither.
+// `postcode` is null for outcode-only input.
+function parsePostcode(raw) {
+  const c = compact(raw);
+  const full = c.match(FULL_RE);
+  if (full) return { postcode: `${full[1]} ${full[2]}`, outcode: full[1] };
+  if (OUTCODE_RE.test(c)) return { postcode: null, outcode: c };
+  return null;
+}
+
+// DATE -> "March 2020"
+const monthYear = (date) =>
+  new Date(date).toLocaleDateString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Resolves a full postcode or an outcode to coordinates. Outcodes resolve to the
+ * centroid of their live postcodes. Returns { status: 'ok', postcode, outcode,
+ * latitude, longitude, precision } or { status, error } where status is
+ * 'invalid', 'not_found' or 'terminated'.
+ */
+async function resolvePostcode(db, raw) {
+  const parsed = parsePostcode(raw);
+  if (!parsed) {
+    return { status: 'invalid', error: `"${String(raw || '').trim()}" is not a valid UK postcode` };
+  }
+
+  if (!parsed.postcode) {
+    const { rows } = await db.query(
+      `SELECT AVG(latitude) AS latitude, AVG(longitude) AS longitude, COUNT(*)::int AS postcodes
+       FROM uk_postcodes
+       WHERE outcode = $1 AND terminated_on IS NULL AND latitude IS NOT NULL`,
+      [parsed.outcode]
+    );
+    if (!rows[0].postcodes) return { status: 'not_found', error: `Postcode district ${parsed.outcode} not found` };
+    return {
+      status: 'ok',
+      postcode: null,
+      outcode: parsed.outcode,
+      latitude: parseFloat(rows[0].latitude),
+      longitude: parseFloat(rows[0].longitude),
+      precision: 'outcode',
+    };
+  }
+
+  const { rows } = await db.query(
+    'SELECT postcode, outcode, latitude, longitude, terminated_on FROM uk_postcodes WHERE postcode = $1',
+    [parsed.postcode]
+  );
+  const row = rows[0];
+  if (!row || row.latitude === null) return { status: 'not_found', error: `Postcode ${parsed.postcode} not found` };
+  if (row.terminated_on) {
+    return {
+      status: 'terminated',
+      error: `Postcode ${row.postcode} was terminated in ${monthYear(row.terminated_on)} and is no longer in use`,
+    };
+  }
+
+  return {
+    status: 'ok',
+    postcode: row.postcode,
+    outcode: row.outcode,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    precision: 'postcode',
+  };
+}
+
+module.exports = {
+  normalisePostcode,
+  parsePostcode,
+  resolvePostcode,
+};
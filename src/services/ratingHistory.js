@@ -0,0 +1,143 @@
+// src/services/ratingHistory.js
+// A school's rating over time (uk_school_rating_history, written by ratings.js saveRatings),
+// with each change explained by diffing a snapshot's inputs against the one before it:
+// "Rating went from 6 to 7 because Ofsted grade changed from Good to Outstanding".
+const { OFSTED_LABELS } = require('./ratings');
+
+const SUBJECTS = { english: 'English', math: 'maths', science: 'science' };
+const COMPONENT_NAMES = { ofsted: 'Ofsted', academic: 'academic results', attendance: 'attendance' };
+
+// Differences smaller than this are rounding noise, not a reason worth showing
+const EPSILON = 0.05;
+
+const toNum = v => {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+const fmt = (v, suffix = '') => `${Math.round(v * 10) / 10}${suffix}`;
+const moved = (a, b) => a !== null && b !== null && Math.abs(a - b) >= EPSILON;
+
+// "X changed from a to b" / "X now available" / "X no longer available" for one value
+function describeValue(label, before, after, suffix = '') {
+  if (before === null && after === null) return null;
+  if (before === null) return `${label} now available (${fmt(after, suffix)})`;
+  if (after === null) return `${label} no longer available`;
+  if (!moved(before, after)) return null;
+  return `${label} ${after > before ? 'rose' : 'fell'} from ${fmt(before, suffix)} to ${fmt(after, suffix)}`;
+}
+
+/**
+ * Reasons `next` differs from `prev` (two history snapshots, oldest first), most
+ * significant first. Empty when nothing that feeds the rating changed.
+ */
+function explainRatingChange(prev, next) {
+  const reasons = [];
+  if (prev.methodology_version !== next.methodology_version) {
+    reasons.push(`Rating methodology changed from version ${prev.methodology_version} to ${next.methodology_version}`);
+  }
+
+  const a = prev.inputs || {};
+  const b = next.inputs || {};
+  // Backfilled snapshots carry no inputs, so there is nothing to compare them on
+  if (!Object.keys(a).length || !Object.keys(b).length) return reasons;
+
+  const gradeA = toNum(a.ofsted_overall_effectiveness);
+  const gradeB = toNum(b.ofsted_overall_effectiveness);
+  if (gradeA !== gradeB) {
+    if (gradeA === null) reasons.push(`First Ofsted grade: ${OFSTED_LABELS[gradeB]}`);
+    else if (gradeB === null) reasons.push('Ofsted grade no longer counted');
+    else reasons.push(`Ofsted grade changed from ${OFSTED_LABELS[gradeA]} to ${OFSTED_LABELS[gradeB]}`);
+  }
+
+  for (const [key, label] of Object.entries(SUBJECTS)) {
+    const reason = describeValue(`${label[0].toUpperCase()}${label.slice(1)} score`, toNum(a[`${key}_score`]), toNum(b[`${key}_score`]));
+    if (reason) reasons.push(reason);
+  }
+  const attendance = describeValue('Attendance', toNum(a.attendance_rate), toNum(b.attendance_rate), '%');
+  if (attendance) reasons.push(attendance);
+
+  // The same score can rate differently when the rest of the LA moves
+  const laA = a.la_averages || {};
+  const laB = b.la_averages || {};
+  for (const [key, label] of Object.entries(SUBJECTS)) {
+    const before = toNum(laA[key]);
+    const after = toNum(laB[key]);
+    if (moved(before, after)) reasons.push(`Local authority average ${label} score moved from ${fmt(before)} to ${fmt(after)}`);
+  }
+
+  const names = (snapshot) => new Set((snapshot.components || []).map(c => c.name));
+  const before = names(prev);
+  const after = names(next);
+  for (const name of after) {
+    if (!before.has(name)) reasons.push(`Now includes ${COMPONENT_NAMES[name] || name}`);
+  }
+  for (const name of before) {
+    if (!after.has(name)) reasons.push(`No longer includes ${COMPONENT_NAMES[name] || name}`);
+  }
+
+  if (a.country !== b.country) reasons.push(`Country changed from ${a.country} to ${b.country}`);
+  return reasons;
+}
+
+// One-line summary of a change, e.g. "Rating went from 6 to 7 because Ofsted grade changed from Good to Outstanding"
+function summariseChange(prev, next, reasons) {
+  const from = prev.rating === null ? 'unrated' : String(prev.rating);
+  const to = next.rating === null ? 'unrated' : String(next.rating);
+  const head = from === to ? `Rating stayed at ${to}` : `Rating went from ${from} to ${to}`;
+  if (!reasons.length) return from === to ? null : head;
+  // Lower-case the reason to run on from "because", but not proper nouns (Ofsted, English)
+  const reason = /^(Ofsted|English)\b/.test(reasons[0])
+    ? reasons[0]
+    : `${reasons[0].charAt(0).toLowerCase()}${reasons[0].slice(1)}`;
+  return `${head} because ${reason}`;
+}
+
+/**
+ * The newest `limit` snapshots for a school, newest first, each with
+ * `change` ({ from, to, summary, reasons }) against the snapshot before it.
+ * Returns { total, history }.
+ */
+async function getRatingHistory(db, urn, { limit = 50 } = {}) {
+  // One extra, older row so the oldest snapshot shown still gets a `change`
+  const { rows } = await db.query(
+    `SELECT id, methodology_version, rating, score, percentile, data_completeness,
+            inputs, components, source, computed_at,
+            COUNT(*) OVER ()::int AS total
+     FROM uk_school_rating_history
+     WHERE urn = $1
+     ORDER BY computed_at DESC, id DESC
+     LIMIT $2`,
+    [urn, limit + 1]
+  );
+
+  const snapshots = rows.map(r => ({
+    ...r,
+    score: toNum(r.score),
+    components: Array.isArray(r.components) ? r.components : [],
+    inputs: r.inputs || {},
+  }));
+
+  const history = snapshots.slice(0, limit).map((snap, i) => {
+    const { total, ...entry } = snap;
+    const prev = snapshots[i + 1];
+    if (!prev) return { ...entry, change: null };
+    const reasons = explainRatingChange(prev, snap);
+    return {
+      ...entry,
+      change: {
+        from: prev.rating,
+        to: snap.rating,
+        summary: summariseChange(prev, snap, reasons),
+        reasons,
+      },
+    };
+  });
+
+  return { total: rows.length ? rows[0].total : 0, history };
+}
+
+module.exports = {
+  explainRatingChange,
+  getRatingHistory,
+};
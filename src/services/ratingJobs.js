@@ -0,0 +1,205 @@
+// src/services/ratingJobs.js
+// The rating recompute queue (uk_rating_jobs, 013_rating_jobs.sql). Triggers on the source
+// tables queue 'school' jobs as data is imported; admins can queue an LA or everything.
+// scripts/ratingWorker.js claims and runs them with the shared engine in ratings.js.
+const { recomputeRatings } = require('./ratings');
+const { clearTileCache } = require('./schoolTiles');
+
+const JOB_KINDS = ['school', 'local_authority', 'all'];
+const MAX_ATTEMPTS = 5;
+// A running job older than this belongs to a worker that died; it is picked up again
+const LOCK_TIMEOUT_MINUTES = 15;
+// Stored ratings older than this are queued again by enqueueStaleRatings()
+const STALE_RATING_DAYS = 30;
+
+const PENDING_CONFLICT = `ON CONFLICT (kind, COALESCE(urn, 0), COALESCE(local_authority, '')) WHERE status = 'pending'`;
+
+/**
+ * Queues a recompute. At most one job per target is pending, so queueing a target that
+ * is already waiting returns that job with created: false.
+ * Returns { job, created }.
+ */
+async function enqueueRatingJob(db, { kind, urn = null, localAuthority = null, reason = null }) {
+  if (!JOB_KINDS.includes(kind)) throw new Error(`Unknown rating job kind: ${kind}`);
+  const target = [kind, kind === 'school' ? Number(urn) : null, kind === 'local_authority' ? localAuthority : null];
+
+  const inserted = await db.query(
+    `INSERT INTO uk_rating_jobs (kind, urn, local_authority, reason)
+     VALUES ($1, $2, $3, $4)
+     ${PENDING_CONFLICT} DO NOTHING
+     RETURNING *`,
+    [...target, reason]
+  );
+  if (inserted.rows.length) return { job: inserted.rows[0], created: true };
+
+  const existing = await db.query(
+    `SELECT * FROM uk_rating_jobs
+     WHERE status = 'pending' AND kind = $1
+       AND COALESCE(urn, 0) = COALESCE($2::int, 0)
+       AND COALESCE(local_authority, '') = COALESCE($3::text, '')`,
+    target
+  );
+  return { job: existing.rows[0] || null, created: false };
+}
+
+// Queues every school whose stored rating is missing or older than `days`.
+// Returns the number of jobs added.
+async function enqueueStaleRatings(db, { days = STALE_RATING_DAYS } = {}) {
+  const { rowCount } = await db.query(
+    `INSERT INTO uk_rating_jobs (kind, urn, reason)
+     SELECT 'school', s.urn, 'stale'
+     FROM uk_schools s
+     WHERE s.rating_updated_at IS NULL
+        OR s.rating_updated_at < NOW() - make_interval(days => $1)
+     ${PENDING_CONFLICT} DO NOTHING`,
+    [days]
+  );
+  return rowCount;
+}
+
+/**
+ * Marks up to `limit` due jobs as running for `workerId` and returns them. SKIP LOCKED
+ * lets several workers share the queue; 'all' jobs are claimed first since they cover
+ * everything else. Abandoned jobs past MAX_ATTEMPTS are failed rather than retried.
+ */
+async function claimJobs(db, { limit = 100, workerId }) {
+  await db.query(
+    `UPDATE uk_rating_jobs
+     SET status = 'failed', finished_at = NOW(),
+         last_error = COALESCE(last_error, 'Worker stopped before the job finished')
+     WHERE status = 'running' AND attempts >= $1
+       AND started_at < NOW() - make_interval(mins => $2)`,
+    [MAX_ATTEMPTS, LOCK_TIMEOUT_MINUTES]
+  );
+
+  const { rows } = await db.query(
+    `UPDATE uk_rating_jobs j
+     SET status = 'running', attempts = j.attempts + 1, locked_by = $2, started_at = NOW()
+     WHERE j.id IN (
+       SELECT id FROM uk_rating_jobs
+       WHERE (status = 'pending' AND run_after <= NOW())
+          OR (status = 'running' AND started_at < NOW() - make_interval(mins => $3))
+       ORDER BY (kind = 'all') DESC, run_after, id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING j.*`,
+    [limit, workerId, LOCK_TIMEOUT_MINUTES]
+  );
+  return rows;
+}
+
+async function finishJobs(db, jobs) {
+  if (!jobs.length) return;
+  await db.query(
+    `UPDATE uk_rating_jobs SET status = 'done', finished_at = NOW(), last_error = NULL
+     WHERE id = ANY($1::bigint[])`,
+    [jobs.map(j => j.id)]
+  );
+}
+
+// Retries with a quadratic backoff (1, 4, 9, ... minutes) until MAX_ATTEMPTS. A job whose
+// target has been queued again in the meantime is failed instead: the new job covers it.
+async function failJobs(db, jobs, err) {
+  if (!jobs.length) return;
+  await db.query(
+    `WITH f AS (
+       SELECT j.id,
+              j.attempts >= $2 OR EXISTS (
+                SELECT 1 FROM uk_rating_jobs p
+                WHERE p.status = 'pending' AND p.kind = j.kind
+                  AND COALESCE(p.urn, 0) = COALESCE(j.urn, 0)
+                  AND COALESCE(p.local_authority, '') = COALESCE(j.local_authority, '')
+              ) AS give_up
+       FROM uk_rating_jobs j
+       WHERE j.id = ANY($1::bigint[])
+     )
+     UPDATE uk_rating_jobs j
+     SET status = CASE WHEN f.give_up THEN 'failed' ELSE 'pending' END,
+         finished_at = CASE WHEN f.give_up THEN NOW() END,
+         run_after = NOW() + make_interval(mins => j.attempts * j.attempts),
+         locked_by = NULL,
+         last_error = $3
+     FROM f
+     WHERE j.id = f.id`,
+    [jobs.map(j => j.id), MAX_ATTEMPTS, String((err && err.message) || err).slice(0, 2000)]
+  );
+}
+
+/**
+ * Claims and runs one batch of jobs. School jobs are run together: each changed school
+ * is recomputed with its whole LA + phase group, because its scores feed its peers'
+ * LA averages and its rating their percentiles. Failures are recorded per group of jobs.
+ * Returns { claimed, done, failed, schools }.
+ */
+async function runRatingJobs(db, { limit = 100, workerId = `worker-${process.pid}`, log = () => {} } = {}) {
+  const jobs = await claimJobs(db, { limit, workerId });
+  const stats = { claimed: jobs.length, done: 0, failed: 0, schools: 0 };
+  if (!jobs.length) return stats;
+
+  const run = async (group, label, options) => {
+    try {
+      const result = await recomputeRatings(db, { ...options, source: 'job' });
+      await finishJobs(db, group);
+      stats.done += group.length;
+      stats.schools += result.processed;
+      log(`${label}: ${result.processed} schools recomputed`);
+    } catch (err) {
+      await failJobs(db, group, err);
+      stats.failed += group.length;
+      log(`${label} failed: ${err.message}`);
+    }
+  };
+
+  if (jobs.some(j => j.kind === 'all')) {
+    // A full recompute covers every other job in the batch
+    await run(jobs, 'All schools', {});
+  } else {
+    const schoolJobs = jobs.filter(j => j.kind === 'school');
+    if (schoolJobs.length) {
+      await run(schoolJobs, `${schoolJobs.length} school job(s)`, {
+        urns: [...new Set(schoolJobs.map(j => j.urn))],
+        withPeers: true,
+      });
+    }
+    for (const job of jobs.filter(j => j.kind === 'local_authority')) {
+      await run([job], job.local_authority, { localAuthority: job.local_authority });
+    }
+  }
+
+  // Tiles carry the stored rating
+  if (stats.done) {
+    await clearTileCache().catch(err => log(`Tile cache clear failed: ${err.message}`));
+  }
+  return stats;
+}
+
+// Job counts by status, plus the most recent failures
+async function getRatingJobSummary(db) {
+  const [counts, failures] = await Promise.all([
+    db.query(
+      `SELECT status, kind, COUNT(*)::int AS count, MIN(created_at) AS oldest
+       FROM uk_rating_jobs
+       GROUP BY status, kind
+       ORDER BY status, kind`
+    ),
+    db.query(
+      `SELECT id, kind, urn, local_authority, reason, attempts, last_error, finished_at
+       FROM uk_rating_jobs
+       WHERE status = 'failed'
+       ORDER BY finished_at DESC NULLS LAST, id DESC
+       LIMIT 20`
+    ),
+  ]);
+  return { counts: counts.rows, recent_failures: failures.rows };
+}
+
+module.exports = {
+  JOB_KINDS,
+  MAX_ATTEMPTS,
+  enqueueRatingJob,
+  enqueueStaleRatings,
+  claimJobs,
+  runRatingJobs,
+  getRatingJobSummary,
+};
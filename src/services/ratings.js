@@ -0,0 +1,409 @@
+// src/services/ratings.js
+// The school rating engine, shared by GET /api/schools/:urn, the rating worker
+// (scripts/ratingWorker.js, via ratingJobs.js) and the batch recompute
+// (scripts/updateRatings.js) so a stored rating is always the one the API would show.
+//
+// A rating is a weighted average of 1-10 component scores, renormalised over the
+// components a school has data for:
+//   ofsted     - latest inspection grade (England and NI only)
+//   academic   - English/maths/science against the LA average for the same phase
+//   attendance - 100 - latest overall absence rate, scored linearly from 80% to 100%
+// Weights and the minimum data needed depend on the country (PROFILES).
+//
+// Bump RATING_METHODOLOGY whenever the formula changes: every stored rating is also
+// written to uk_school_rating_history under it (012_rating_history.sql), and
+// ratingHistory.js explains changes between snapshots with it.
+
+// '1' was the old pair of engines (API and PL/pgSQL batch), as backfilled into the history
+const RATING_METHODOLOGY = '2';
+
+const OFSTED_LABELS = { 1: 'Outstanding', 2: 'Good', 3: 'Requires Improvement', 4: 'Inadequate' };
+const OFSTED_SCORES = { 1: 9.5, 2: 7.5, 3: 4.5, 4: 2.5 };
+
+// Percentage weights per component; a school needs at least minWeight of them to be rated.
+// Wales and Scotland have no Ofsted; Scotland publishes no science scores. NI uses England's.
+const PROFILES = {
+  england: { ofsted: 40, academic: 40, attendance: 20, subjects: ['english', 'math', 'science'], minWeight: 40 },
+  wales: { ofsted: 0, academic: 80, attendance: 20, subjects: ['english', 'math', 'science'], minWeight: 20 },
+  scotland: { ofsted: 0, academic: 60, attendance: 40, subjects: ['english', 'math'], minWeight: 50 },
+};
+
+const toNum = v => {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+const countryOf = (school) => (school.country || 'england').toLowerCase();
+const profileFor = (country) => PROFILES[country] || PROFILES.england;
+
+// +/-4 percentage points against the LA average is one rating point, capped to 1-10
+function calculateAcademicScore(schoolValue, laAverage) {
+  if (schoolValue === null || schoolValue === undefined) return 5;
+  if (laAverage === null || laAverage === undefined) return 5;
+  const score = 5 + (schoolValue - laAverage) / 4;
+  return Math.max(1, Math.min(10, score));
+}
+
+// 80% or below = 1, 100% = 10, linear in between (90% = 5.5), to one decimal place
+function calculateAttendanceScore(attendanceRate) {
+  if (!attendanceRate) return 5;
+  if (attendanceRate <= 80) return 1;
+  if (attendanceRate >= 100) return 10;
+  const score = 1 + ((attendanceRate - 80) * 9) / 20;
+  return Math.round(score * 10) / 10;
+}
+
+// Share of `allScores` below `score`, 0-100; null with nothing to compare against
+function calculatePercentile(score, allScores) {
+  if (!allScores || allScores.length === 0) return null;
+  if (allScores.length === 1) return 50;
+  const valid = allScores.filter(s => s !== null);
+  const below = valid.filter(s => s < score).length;
+  // 0 usually means a data problem rather than a genuinely bottom school
+  return Math.round((below / valid.length) * 100) || null;
+}
+
+/**
+ * School row -> the inputs calculateRating() reads. Expects the latest inspection as
+ * ofsted_overall_effectiveness / ofsted_quality_of_education and the latest
+ * overall_absence_rate. Quality of education stands in for a missing overall grade
+ * (newer inspections have none); Welsh schools never carry an Ofsted grade.
+ */
+function ratingInputs(row) {
+  const country = countryOf(row);
+  const ofsted = country === 'wales'
+    ? null
+    : toNum(row.ofsted_overall_effectiveness) || toNum(row.ofsted_quality_of_education);
+  const absence = toNum(row.overall_absence_rate);
+  return {
+    country,
+    ofsted_overall_effectiveness: ofsted,
+    english_score: toNum(row.english_score),
+    math_score: toNum(row.math_score),
+    science_score: toNum(row.science_score),
+    attendance_rate: absence === null ? null : 100 - absence,
+  };
+}
+
+/**
+ * Rates one school. `school` comes from ratingInputs(); `laAverages` holds avg_english,
+ * avg_math, avg_science, avg_attendance (the LA and phase, excluding the school) and
+ * all_ratings (the other schools' ratings, for the percentile).
+ * Returns { rating, score, components, data_completeness, percentile, ... } or, without
+ * enough data, { rating: null, message, available_components, ... }.
+ */
+function calculateRating(school, laAverages = {}) {
+  const country = countryOf(school);
+  const profile = profileFor(country);
+  const isWales = country === 'wales';
+  const isScotland = country === 'scotland';
+  const components = [];
+
+  if (profile.ofsted && school.ofsted_overall_effectiveness) {
+    components.push({
+      name: 'ofsted',
+      score: OFSTED_SCORES[school.ofsted_overall_effectiveness] || 5,
+      weight: profile.ofsted,
+      label: OFSTED_LABELS[school.ofsted_overall_effectiveness] || 'Not Inspected',
+    });
+  }
+
+  const details = {};
+  for (const subject of profile.subjects) {
+    const value = toNum(school[`${subject}_score`]);
+    const laAvg = toNum(laAverages[`avg_${subject}`]);
+    if (value !== null && laAvg !== null) {
+      details[subject] = { school: value, la_avg: laAvg, score: calculateAcademicScore(value, laAvg) };
+    }
+  }
+  const subjectScores = Object.values(details).map(d => d.score);
+  if (subjectScores.length > 0) {
+    components.push({
+      name: 'academic',
+      score: subjectScores.reduce((a, b) => a + b, 0) / subjectScores.length,
+      weight: profile.academic,
+      details,
+      subjects_available: subjectScores.length,
+    });
+  }
+
+  const attendance = toNum(school.attendance_rate);
+  if (attendance !== null) {
+    components.push({
+      name: 'attendance',
+      score: calculateAttendanceScore(attendance),
+      weight: profile.attendance,
+      school_rate: attendance,
+      la_avg: toNum(laAverages.avg_attendance),
+    });
+  }
+
+  // What went in, kept with the history snapshot (the peer ratings list is left out)
+  const inputs = {
+    ...school,
+    country,
+    la_averages: {
+      english: toNum(laAverages.avg_english),
+      math: toNum(laAverages.avg_math),
+      science: toNum(laAverages.avg_science),
+      attendance: toNum(laAverages.avg_attendance),
+    },
+  };
+
+  const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+  if (totalWeight < profile.minWeight) {
+    return {
+      rating: null,
+      methodology: RATING_METHODOLOGY,
+      inputs,
+      message: 'Insufficient data for rating',
+      available_components: components,
+      data_completeness: totalWeight,
+      is_wales: isWales,
+      is_scotland: isScotland,
+    };
+  }
+
+  const score = components.reduce((sum, c) => sum + c.score * (c.weight / totalWeight), 0);
+  return {
+    rating: Math.round(score),
+    methodology: RATING_METHODOLOGY,
+    inputs,
+    score,
+    components,
+    data_completeness: totalWeight,
+    percentile: calculatePercentile(score, (laAverages.all_ratings || []).map(toNum)),
+    la_comparison: totalWeight === 100 ? 'Complete data' : 'Partial data',
+    is_wales: isWales,
+    is_scotland: isScotland,
+  };
+}
+
+// Latest inspection and absence per school, as ratingInputs() expects them
+const RATING_INPUT_JOINS = `
+  LEFT JOIN LATERAL (
+    SELECT overall_effectiveness, quality_of_education
+    FROM uk_ofsted_inspections oi
+    WHERE oi.urn = s.urn
+    ORDER BY COALESCE(inspection_date, publication_date) DESC NULLS LAST
+    LIMIT 1
+  ) ro ON TRUE
+  LEFT JOIN LATERAL (
+    SELECT overall_absence_rate
+    FROM uk_absence_data ua
+    WHERE ua.urn = s.urn
+    ORDER BY academic_year DESC NULLS LAST
+    LIMIT 1
+  ) ra ON TRUE`;
+
+const RATING_INPUT_COLUMNS = `
+  s.urn, s.local_authority, s.phase_of_education, s.country,
+  s.english_score, s.math_score, s.science_score,
+  ro.overall_effectiveness AS ofsted_overall_effectiveness,
+  ro.quality_of_education AS ofsted_quality_of_education,
+  ra.overall_absence_rate`;
+
+// LA averages for one school: the other schools in its LA with the same phase
+async function loadLaAverages(db, { urn, local_authority, phase_of_education }) {
+  const { rows } = await db.query(
+    `SELECT
+       COUNT(*)::int AS school_count,
+       AVG(s.english_score) AS avg_english,
+       AVG(s.math_score) AS avg_math,
+       AVG(s.science_score) AS avg_science,
+       AVG(100 - ra.overall_absence_rate) AS avg_attendance,
+       ARRAY_AGG(s.overall_rating) FILTER (WHERE s.overall_rating IS NOT NULL) AS all_ratings
+     FROM uk_schools s
+     ${RATING_INPUT_JOINS}
+     WHERE s.local_authority = $1
+       AND s.phase_of_education = $2
+       AND s.urn <> $3`,
+    [local_authority, phase_of_education, urn]
+  );
+  return rows[0] || {};
+}
+
+// Stores calculateRating() results ([{ urn, result }]) on uk_schools and appends them to
+// uk_school_rating_history when the outcome differs from the school's last snapshot
+// (group recomputes re-rate many unchanged schools). Unrated schools are stored as NULL
+// so an old rating doesn't outlive the data it came from. `source` is 'batch' or 'job'.
+async function saveRatings(db, rated, { source = 'batch' } = {}) {
+  if (!rated.length) return;
+  const percentileOf = (r) => (r.result.rating === null ? null : r.result.percentile ?? null);
+  await db.query(
+    `WITH u AS (
+       SELECT *
+       FROM unnest($1::int[], $2::int[], $3::text[], $4::int[], $5::numeric[], $6::int[], $7::text[])
+         AS u(urn, rating, components, percentile, score, completeness, inputs)
+     ),
+     updated AS (
+       UPDATE uk_schools s
+       SET overall_rating = u.rating,
+           rating_components = u.components::jsonb,
+           rating_percentile = u.percentile,
+           rating_updated_at = NOW()
+       FROM u
+       WHERE s.urn = u.urn
+       RETURNING s.urn
+     )
+     INSERT INTO uk_school_rating_history
+       (urn, methodology_version, rating, score, percentile, data_completeness, inputs, components, source)
+     SELECT u.urn, $8, u.rating, ROUND(u.score, 3), u.percentile, u.completeness,
+            u.inputs::jsonb, u.components::jsonb, $9
+     FROM u
+     JOIN updated USING (urn)
+     LEFT JOIN LATERAL (
+       SELECT h.methodology_version, h.rating, h.percentile, h.components
+       FROM uk_school_rating_history h
+       WHERE h.urn = u.urn
+       ORDER BY h.computed_at DESC, h.id DESC
+       LIMIT 1
+     ) last ON TRUE
+     WHERE last.methodology_version IS DISTINCT FROM $8
+        OR last.rating IS DISTINCT FROM u.rating
+        OR last.percentile IS DISTINCT FROM u.percentile
+        OR last.components IS DISTINCT FROM u.components::jsonb`,
+    [
+      rated.map(r => Number(r.urn)),
+      rated.map(r => r.result.rating),
+      rated.map(r => JSON.stringify(r.result.components || r.result.available_components || [])),
+      rated.map(percentileOf),
+      rated.map(r => r.result.score ?? null),
+      rated.map(r => r.result.data_completeness ?? null),
+      rated.map(r => JSON.stringify(r.result.inputs || {})),
+      RATING_METHODOLOGY,
+      source,
+    ]
+  );
+}
+
+const SAVE_BATCH = 1000;
+
+/**
+ * Recomputes and stores ratings. LA averages leave the school itself out, as
+ * loadLaAverages() does, and percentiles compare against the freshly computed ratings.
+ * Scope:
+ *   (default)       - every school
+ *   urns            - those schools, loading their LA + phase peers for the averages;
+ *                     with withPeers the peers are stored too (their averages and
+ *                     percentiles include the changed schools)
+ *   localAuthority  - every school in one LA
+ * Returns { processed, rated, unrated }.
+ */
+async function recomputeRatings(db, {
+  urns = null,
+  withPeers = false,
+  localAuthority = null,
+  dryRun = false,
+  source = 'batch',
+  log = () => {},
+} = {}) {
+  let where = '';
+  let values = [];
+  if (localAuthority) {
+    where = 'WHERE LOWER(s.local_authority) = LOWER($1)';
+    values = [localAuthority];
+  } else if (urns) {
+    where = `WHERE s.urn = ANY($1::int[])
+       OR (s.local_authority, s.phase_of_education) IN (
+         SELECT local_authority, phase_of_education FROM uk_schools WHERE urn = ANY($1::int[])
+       )`;
+    values = [urns.map(Number)];
+  }
+  const { rows } = await db.query(
+    `SELECT ${RATING_INPUT_COLUMNS}
+     FROM uk_schools s
+     ${RATING_INPUT_JOINS}
+     ${where}`,
+    values
+  );
+  log(`Loaded ${rows.length} schools`);
+
+  // Per LA + phase: running sums so each school's average can exclude itself
+  const groups = new Map();
+  const groupKey = (r) => (r.local_authority && r.phase_of_education
+    ? `${r.local_authority}\u0000${r.phase_of_education}`
+    : null);
+  const metrics = {
+    english: r => toNum(r.english_score),
+    math: r => toNum(r.math_score),
+    science: r => toNum(r.science_score),
+    attendance: r => (toNum(r.overall_absence_rate) === null ? null : 100 - toNum(r.overall_absence_rate)),
+  };
+  for (const row of rows) {
+    const key = groupKey(row);
+    if (!key) continue;
+    if (!groups.has(key)) {
+      groups.set(key, { rows: [], sums: Object.fromEntries(Object.keys(metrics).map(m => [m, { sum: 0, n: 0 }])) });
+    }
+    const group = groups.get(key);
+    group.rows.push(row);
+    for (const [name, get] of Object.entries(metrics)) {
+      const v = get(row);
+      if (v !== null) {
+        group.sums[name].sum += v;
+        group.sums[name].n += 1;
+      }
+    }
+  }
+
+  const averagesExcluding = (row) => {
+    const group = groups.get(groupKey(row));
+    if (!group) return {};
+    const averages = { school_count: group.rows.length - 1 };
+    for (const [name, get] of Object.entries(metrics)) {
+      const own = get(row);
+      const { sum, n } = group.sums[name];
+      const count = n - (own === null ? 0 : 1);
+      averages[`avg_${name}`] = count > 0 ? (sum - (own || 0)) / count : null;
+    }
+    return averages;
+  };
+
+  // Ratings first, then percentiles against the other schools' new ratings
+  const results = new Map();
+  for (const row of rows) {
+    results.set(row.urn, calculateRating(ratingInputs(row), averagesExcluding(row)));
+  }
+  const wanted = urns && !withPeers ? new Set(urns.map(String)) : null;
+  const rated = [];
+  for (const row of rows) {
+    if (wanted && !wanted.has(String(row.urn))) continue;
+    const result = results.get(row.urn);
+    if (result.rating !== null) {
+      const group = groups.get(groupKey(row));
+      const peers = group
+        ? group.rows.filter(r => r.urn !== row.urn).map(r => results.get(r.urn).rating).filter(r => r !== null)
+        : [];
+      result.percentile = calculatePercentile(result.score, peers);
+    }
+    rated.push({ urn: row.urn, result });
+  }
+
+  if (!dryRun) {
+    for (let i = 0; i < rated.length; i += SAVE_BATCH) {
+      await saveRatings(db, rated.slice(i, i + SAVE_BATCH), { source });
+      log(`Saved ${Math.min(i + SAVE_BATCH, rated.length)} / ${rated.length}`);
+    }
+  }
+
+  const ratedCount = rated.filter(r => r.result.rating !== null).length;
+  return { processed: rated.length, rated: ratedCount, unrated: rated.length - ratedCount };
+}
+
+module.exports = {
+  RATING_METHODOLOGY,
+  PROFILES,
+  OFSTED_LABELS,
+  RATING_INPUT_JOINS,
+  RATING_INPUT_COLUMNS,
+  calculateAcademicScore,
+  calculateAttendanceScore,
+  calculatePercentile,
+  ratingInputs,
+  calculateRating,
+  loadLaAverages,
+  saveRatings,
+  recomputeRatings,
+};
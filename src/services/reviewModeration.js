@@ -0,0 +1,115 @@
+// src/services/reviewModeration.js
+// Review status changes, report resolution and the moderation audit trail.
+// Every function takes a `db` (pool or transaction client) so callers control the transaction.
+const { refreshReviewStats } = require('./reviewStats');
+
+// Reports needed to hide a published review automatically (0 disables auto-hide)
+const AUTO_HIDE_REPORT_THRESHOLD = (() => {
+  const n = parseInt(process.env.REVIEW_AUTO_HIDE_REPORTS ?? '3', 10);
+  return Number.isFinite(n) && n >= 0 ? n : 3;
+})();
+
+// Statuses that are visible on school pages
+const PUBLISHED_STATUSES = new Set(['published', 'approved']);
+const REVIEW_STATUSES = new Set(['published', 'pending', 'approved', 'rejected', 'unpublished', 'auto_hidden']);
+const REPORT_RESOLUTIONS = new Set(['upheld', 'dismissed']);
+
+async function logModeration(db, { reviewId, action, reason, previousStatus, newStatus, actorId, details }) {
+  await db.query(
+    `INSERT INTO uk_review_moderation_log
+       (review_id, action, reason, previous_status, new_status, actor_user_id, details)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      reviewId, action, reason || null, previousStatus || null, newStatus || null,
+      actorId || null, details ? JSON.stringify(details) : null,
+    ]
+  );
+}
+
+// Moves a review to `status` and records it; returns the updated row, or null if missing
+async function setReviewStatus(db, reviewId, { status, action, reason, actorId, details }) {
+  if (!REVIEW_STATUSES.has(status)) throw new Error(`Unknown review status: ${status}`);
+
+  const current = await db.query(
+    'SELECT id, moderation_status, is_published FROM uk_school_reviews WHERE id = $1 FOR UPDATE',
+    [reviewId]
+  );
+  if (!current.rows[0]) return null;
+
+  const upd = await db.query(
+    `UPDATE uk_school_reviews
+     SET moderation_status = $2,
+         is_published = $3,
+         moderation_reason = $4,
+         moderated_at = NOW(),
+         moderated_by = $5
+     WHERE id = $1
+     RETURNING id, urn, moderation_status, moderation_reason, is_published, report_count, moderated_at`,
+    [reviewId, status, PUBLISHED_STATUSES.has(status), reason || null, actorId || null]
+  );
+
+  // Stats only count published reviews, so they change when visibility does
+  if (upd.rows[0].is_published !== (current.rows[0].is_published !== false)) {
+    await refreshReviewStats(db, upd.rows[0].urn);
+  }
+
+  await logModeration(db, {
+    reviewId,
+    action: action || status,
+    reason,
+    previousStatus: current.rows[0].moderation_status,
+    newStatus: status,
+    actorId,
+    details,
+  });
+  return upd.rows[0];
+}
+
+// Closes every open report on a review; returns how many were closed
+async function resolveOpenReports(db, reviewId, { resolution, note, actorId }) {
+  if (!REPORT_RESOLUTIONS.has(resolution)) throw new Error(`Unknown report resolution: ${resolution}`);
+
+  const upd = await db.query(
+    `UPDATE uk_review_reports
+     SET status = $2, resolution_note = $3, resolved_at = NOW(), resolved_by = $4
+     WHERE review_id = $1 AND status = 'open'`,
+    [reviewId, resolution, note || null, actorId || null]
+  );
+  return upd.rowCount;
+}
+
+// Hides a published review once its open reports reach the threshold; returns true if hidden
+async function autoHideIfReported(db, reviewId) {
+  if (!AUTO_HIDE_REPORT_THRESHOLD) return false;
+
+  const { rows } = await db.query(
+    `SELECT r.moderation_status,
+            (SELECT COUNT(*)::int FROM uk_review_reports rr
+             WHERE rr.review_id = r.id AND rr.status = 'open') AS open_reports
+     FROM uk_school_reviews r
+     WHERE r.id = $1`,
+    [reviewId]
+  );
+  const review = rows[0];
+  if (!review || !PUBLISHED_STATUSES.has(review.moderation_status)) return false;
+  if (review.open_reports < AUTO_HIDE_REPORT_THRESHOLD) return false;
+
+  await setReviewStatus(db, reviewId, {
+    status: 'auto_hidden',
+    action: 'auto_hide',
+    reason: `Reached ${AUTO_HIDE_REPORT_THRESHOLD} open reports`,
+    details: { open_reports: review.open_reports, threshold: AUTO_HIDE_REPORT_THRESHOLD },
+  });
+  return true;
+}
+
+module.exports = {
+  AUTO_HIDE_REPORT_THRESHOLD,
+  PUBLISHED_STATUSES,
+  REVIEW_STATUSES,
+  REPORT_RESOLUTIONS,
+  logModeration,
+  setReviewStatus,
+  resolveOpenReports,
+  autoHideIfReported,
+};
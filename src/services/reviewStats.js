@@ -0,0 +1,49 @@
+// src/services/reviewStats.js
+// uk_school_review_stats is rebuilt by refresh_uk_school_review_stats() (see
+// scripts/migrations/004_review_stats_sync.sql) inside each review write transaction.
+
+// Call with the same transaction client that changed the review
+async function refreshReviewStats(db, urn) {
+  await db.query('SELECT refresh_uk_school_review_stats($1)', [urn]);
+}
+
+const CATEGORIES = {
+  family: 'family_engagement',
+  learning: 'learning',
+  teaching: 'teaching',
+  safety: 'safety',
+  social: 'social_emotional',
+  special: 'special_education',
+};
+
+// Stats row -> the nested shape the school page expects. A missing row means no published reviews.
+function formatReviewStats(row, urn) {
+  const r = row || {};
+  const categories = {};
+  Object.entries(CATEGORIES).forEach(([key, col]) => {
+    categories[key] = {
+      average: r[`avg_${col}_rating`] ?? null,
+      count: r[`${col}_rating_count`] || 0,
+    };
+  });
+
+  return {
+    urn: Number(r.urn ?? urn),
+    total_reviews: r.total_reviews || 0,
+    avg_overall_rating: r.avg_overall_rating ?? null,
+    recommendation_percentage: r.recommendation_percentage ?? 0,
+    distribution: {
+      5: r.star_5_count || 0,
+      4: r.star_4_count || 0,
+      3: r.star_3_count || 0,
+      2: r.star_2_count || 0,
+      1: r.star_1_count || 0,
+    },
+    categories,
+  };
+}
+
+module.exports = {
+  refreshReviewStats,
+  formatReviewStats,
+};
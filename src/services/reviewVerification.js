@@ -0,0 +1,63 @@
+// src/services/reviewVerification.js
+// Signed confirmation links for reviewers who give an email address.
+// Links are HMAC-signed rather than stored, so nothing needs cleaning up when they expire.
+const crypto = require('crypto');
+const { SITE_URL, isConfigured, sendMail, escapeHtml } = require('./mailer');
+
+const SECRET = process.env.REVIEW_VERIFY_SECRET || '';
+const LINK_TTL_DAYS = 7;
+
+// Verification needs both a signing secret and a working mailbox
+const isEnabled = () => Boolean(SECRET) && isConfigured();
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+const emailHash = (email) => crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex');
+
+// UK academic years run September to August: 2026-10-01 -> '2026/27'
+function academicYear(date = new Date()) {
+  const start = date.getMonth() >= 8 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${start}/${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+const sign = (reviewId, hash, expires) =>
+  crypto.createHmac('sha256', SECRET).update(`${reviewId}.${hash}.${expires}`).digest('hex');
+
+// Returns 'ok', 'expired' or 'invalid'
+function checkSignature(reviewId, hash, expires, sig) {
+  if (!SECRET || !hash || !/^\d+$/.test(String(expires || '')) || !/^[0-9a-f]{64}$/.test(String(sig || ''))) {
+    return 'invalid';
+  }
+  const expected = Buffer.from(sign(reviewId, hash, expires), 'hex');
+  if (!crypto.timingSafeEqual(expected, Buffer.from(sig, 'hex'))) return 'invalid';
+  return Number(expires) < Date.now() ? 'expired' : 'ok';
+}
+
+async function sendVerificationEmail({ email, review, schoolName }) {
+  const expires = Date.now() + LINK_TTL_DAYS * 24 * 60 * 60 * 1000;
+  const sig = sign(review.id, review.reviewer_email_hash, expires);
+  const link = `${SITE_URL}/api/reviews/${review.id}/verify?expires=${expires}&sig=${sig}`;
+  const school = schoolName || 'the school';
+
+  await sendMail({
+    to: email,
+    subject: `Confirm your review of ${school}`,
+    html: `
+      <h2>Thanks for reviewing ${escapeHtml(school)}</h2>
+      <p>Please confirm your email address to mark your review as coming from a verified reviewer:</p>
+      <p><a href="${link}">Confirm my review</a></p>
+      <p>This link expires in ${LINK_TTL_DAYS} days. If you didn't write this review you can ignore this email.</p>
+      <hr>
+      <p><em>FindSchool.uk never shows your email address on the site.</em></p>
+    `,
+    text: `Thanks for reviewing ${school}.\n\nConfirm your review: ${link}\n\nThis link expires in ${LINK_TTL_DAYS} days. If you didn't write this review you can ignore this email.`,
+  });
+}
+
+module.exports = {
+  isEnabled,
+  normalizeEmail,
+  emailHash,
+  academicYear,
+  checkSignature,
+  sendVerificationEmail,
+};
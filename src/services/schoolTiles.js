@@ -0,0 +1,124 @@
+// src/services/schoolTiles.js
+// Vector tiles of school points (GET /tiles/schools/{z}/{x}/{y}.mvt), built from
+// uk_schools lat/lng and cached on disk. Every school in the tile is included with
+// its rating, phase and Ofsted grade so the map can style and filter client-side.
+const fs = require('fs');
+const path = require('path');
+const { LATEST_OFSTED_JOIN } = require('./searchFilters');
+const { viewportConditions } = require('./geo');
+const { DEFAULT_EXTENT, encodeTile } = require('./mvt');
+
+const LAYER_NAME = 'schools';
+const MAX_ZOOM = 22;
+// Points this far outside the tile (in tile units) are included so markers on an edge aren't clipped
+const BUFFER = 64;
+
+const CACHE_DIR = process.env.TILE_CACHE_DIR || path.join(__dirname, '..', '..', '.cache', 'tiles');
+const CACHE_TTL_MS = (parseFloat(process.env.TILE_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Tiles being built right now, so a burst of requests for one tile queries once
+const building = new Map();
+
+// z/x/y strings -> numbers, or null if they don't name a tile
+function parseTile(z, x, y) {
+  const [tz, tx, ty] = [z, x, y].map(v => (/^\d+$/.test(String(v)) ? Number(v) : NaN));
+  if (!Number.isInteger(tz) || tz > MAX_ZOOM) return null;
+  const n = Math.pow(2, tz);
+  if (!Number.isInteger(tx) || !Number.isInteger(ty) || tx >= n || ty >= n) return null;
+  return { z: tz, x: tx, y: ty };
+}
+
+// Web Mercator: tile-space position (in tiles) <-> lng/lat
+const tileToLng = (x, n) => (x / n) * 360 - 180;
+const tileToLat = (y, n) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / n))) * 180) / Math.PI;
+const lngToTile = (lng, n) => ((lng + 180) / 360) * n;
+function latToTile(lat, n) {
+  const r = (lat * Math.PI) / 180;
+  return ((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2) * n;
+}
+
+async function buildTile(db, { z, x, y }) {
+  const n = Math.pow(2, z);
+  const b = BUFFER / DEFAULT_EXTENT;
+  const box = {
+    west: Math.max(tileToLng(x - b, n), -180),
+    east: Math.min(tileToLng(x + 1 + b, n), 180),
+    north: tileToLat(Math.max(y - b, 0), n),
+    south: tileToLat(Math.min(y + 1 + b, n), n),
+  };
+
+  const { rows } = await db.query(
+    `SELECT s.urn, s.name, s.latitude, s.longitude, s.overall_rating, s.phase_of_education,
+            o.overall_effectiveness AS ofsted_rating
+     FROM uk_schools s
+     ${LATEST_OFSTED_JOIN}
+     WHERE ${viewportConditions({ west: '$1', south: '$2', east: '$3', north: '$4' }).join(' AND ')}`,
+    [box.west, box.south, box.east, box.north]
+  );
+
+  const features = rows.map(r => ({
+    id: Number(r.urn),
+    x: (lngToTile(parseFloat(r.longitude), n) - x) * DEFAULT_EXTENT,
+    y: (latToTile(parseFloat(r.latitude), n) - y) * DEFAULT_EXTENT,
+    properties: {
+      urn: Number(r.urn),
+      name: r.name,
+      rating: r.overall_rating === null ? null : parseFloat(r.overall_rating),
+      phase: r.phase_of_education,
+      ofsted: r.ofsted_rating === null ? null : Number(r.ofsted_rating),
+    },
+  }));
+
+  return encodeTile([{ name: LAYER_NAME, features }]);
+}
+
+const cachePath = ({ z, x, y }) => path.join(CACHE_DIR, LAYER_NAME, String(z), String(x), `${y}.mvt`);
+
+async function readCached(file) {
+  try {
+    const stat = await fs.promises.stat(file);
+    if (Date.now() - stat.mtimeMs < CACHE_TTL_MS) return await fs.promises.readFile(file);
+  } catch (_) { /* not cached */ }
+  return null;
+}
+
+// Write-then-rename so a concurrent reader never sees half a tile
+async function writeCached(file, tile) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tmp, tile);
+  await fs.promises.rename(tmp, file);
+}
+
+/**
+ * The encoded tile for `tile` ({ z, x, y } from parseTile), from the disk cache
+ * when fresh. Returns { tile: Buffer, cached: boolean }.
+ */
+async function getSchoolTile(db, tile) {
+  const file = cachePath(tile);
+  const hit = await readCached(file);
+  if (hit) return { tile: hit, cached: true };
+
+  if (!building.has(file)) {
+    const pending = buildTile(db, tile)
+      .then(async (buf) => {
+        // A cache write failure (read-only disk, full volume) shouldn't fail the request
+        await writeCached(file, buf).catch(err => console.error('Tile cache write failed:', err.message));
+        return buf;
+      })
+      .finally(() => building.delete(file));
+    building.set(file, pending);
+  }
+  return { tile: await building.get(file), cached: false };
+}
+
+// Drops every cached school tile, e.g. after ratings are recalculated
+async function clearTileCache() {
+  await fs.promises.rm(path.join(CACHE_DIR, LAYER_NAME), { recursive: true, force: true });
+}
+
+module.exports = {
+  parseTile,
+  getSchoolTile,
+  clearTileCache,
+};
@@ -0,0 +1,52 @@
+// src/services/screening/duplicate.js
+// Flags reviews that are near-copies of another review of the same school.
+// Similarity is the Jaccard overlap of three-word shingles, so re-ordered
+// sentences or a couple of changed words still count as a copy.
+const { words } = require('./text');
+
+const SIMILARITY_THRESHOLD = 0.8;
+const MAX_COMPARED = 500; // most recent reviews of the school to check against
+
+function shingles(text) {
+  const w = words(text);
+  if (w.length < 3) return new Set(w);
+  const out = new Set();
+  for (let i = 0; i <= w.length - 3; i++) out.add(`${w[i]} ${w[i + 1]} ${w[i + 2]}`);
+  return out;
+}
+
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const s of a) if (b.has(s)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+module.exports = {
+  name: 'duplicate',
+  async run(review, { db, urn }) {
+    const { rows } = await db.query(
+      `SELECT id, review_text
+       FROM uk_school_reviews
+       WHERE urn = $1
+       ORDER BY created_at DESC
+       LIMIT ${MAX_COMPARED}`,
+      [urn]
+    );
+
+    const mine = shingles(review.review_text);
+    let best = null;
+    for (const row of rows) {
+      const score = similarity(mine, shingles(row.review_text));
+      if (score >= SIMILARITY_THRESHOLD && (!best || score > best.score)) best = { id: row.id, score };
+    }
+    if (!best) return [];
+
+    return [{
+      code: 'duplicate.near_match',
+      message: 'Very similar to an existing review of this school',
+      review_id: best.id,
+      similarity: Math.round(best.score * 100) / 100,
+    }];
+  },
+};
@@ -0,0 +1,35 @@
+// src/services/screening/index.js
+// Runs a submitted review through local content checks before it is published.
+//
+// A check is { name, run(review, context) } where run resolves to an array of
+// { code, message, ...extra } findings. Any finding holds the review for moderation.
+// Pass a different `checks` array to screenReview to add or swap checks.
+
+const profanity = require('./profanity');
+const personalData = require('./personalData');
+const spam = require('./spam');
+const duplicate = require('./duplicate');
+
+const DEFAULT_CHECKS = [profanity, personalData, spam, duplicate];
+
+/**
+ * @param {{ review_title?: string, review_text: string, reviewer_name?: string }} review
+ * @param {{ db?: object, urn: number|string }} context  db is a pool or transaction client
+ * @param {Array} checks
+ * @returns {Promise<{ held: boolean, reasons: Array<{ check: string, code: string, message: string }> }>}
+ */
+async function screenReview(review, context, checks = DEFAULT_CHECKS) {
+  const reasons = [];
+
+  for (const check of checks) {
+    const findings = await check.run(review, context);
+    findings.forEach(f => reasons.push({ check: check.name, ...f }));
+  }
+
+  return { held: reasons.length > 0, reasons };
+}
+
+module.exports = {
+  DEFAULT_CHECKS,
+  screenReview,
+};
@@ -0,0 +1,64 @@
+// src/services/screening/personalData.js
+// Flags contact details and children's names, which must never appear on a public review.
+// Findings report what kind of data was seen, never the data itself.
+const { reviewText } = require('./text');
+
+const EMAIL = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+
+// UK mobiles and landlines, with or without +44 / spaces / dashes / brackets
+const PHONE = /(?:\+44\s?\(?0?\)?|\b0)(?:[\s-]?\d){9,10}\b/;
+
+// "my son Oliver", "our daughter, Amelia", "a boy called Jack", "her twins Ava and Mia"
+const CHILD_WORDS = '(?:son|daughter|child|kid|boy|girl|twins?|stepson|stepdaughter|grandson|granddaughter|nephew|niece)';
+// Capitalised school words that follow "my son" as often as a name does ("my son Year 5 teacher",
+// "our daughter Reception class"); a name token must not be one of them
+const SCHOOL_WORDS = [
+  'Year', 'Years', 'Reception', 'Nursery', 'Preschool', 'Class', 'Form', 'Key', 'Stage', 'Infants',
+  'Juniors', 'Primary', 'Secondary', 'Sixth', 'School', 'Teacher', 'Head', 'Headteacher', 'Ofsted',
+  'Maths', 'English', 'Science', 'Music', 'Mr', 'Mrs', 'Miss', 'Ms',
+];
+const NAME = `(?!(?:${SCHOOL_WORDS.join('|')})\\b)([A-Z][a-z]{1,20})\\b`;
+const CHILD_NAME = new RegExp(
+  `\\b(?:[Mm]y|[Oo]ur|[Hh]is|[Hh]er|[Tt]heir|[Aa]|[Tt]he)\\s+(?:\\w+\\s+)?${CHILD_WORDS},?\\s+(?:(?:is\\s+)?(?:called|named)\\s+)?${NAME}`,
+  'g'
+);
+const NAMED = new RegExp(`\\b(?:called|named)\\s+${NAME}`, 'g');
+
+// Capitalised words that commonly follow "my son" without being a name
+const NOT_NAMES = new Set([
+  'A', 'An', 'And', 'As', 'At', 'But', 'By', 'Did', 'Does', 'For', 'From', 'Had', 'Has', 'Have', 'He',
+  'Her', 'His', 'I', 'In', 'Is', 'It', 'Just', 'Loves', 'Now', 'On', 'She', 'So', 'Started', 'That',
+  'The', 'They', 'This', 'Was', 'We', 'Went', 'Were', 'When', 'Who',
+]);
+
+function childNames(text) {
+  const names = new Set();
+  for (const re of [CHILD_NAME, NAMED]) {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(text))) {
+      if (!NOT_NAMES.has(m[1])) names.add(m[1]);
+    }
+  }
+  return names.size;
+}
+
+module.exports = {
+  name: 'personal_data',
+  async run(review) {
+    const text = reviewText(review);
+    const findings = [];
+
+    if (EMAIL.test(text)) {
+      findings.push({ code: 'personal_data.email', message: 'Contains an email address' });
+    }
+    if (PHONE.test(text)) {
+      findings.push({ code: 'personal_data.phone', message: 'Contains a phone number' });
+    }
+    const names = childNames(text);
+    if (names) {
+      findings.push({ code: 'personal_data.child_name', message: "Appears to name a child", count: names });
+    }
+    return findings;
+  },
+};
@@ -0,0 +1,37 @@
+// src/services/screening/profanity.js
+// Flags reviews containing words from profanity-words.txt
+const fs = require('fs');
+const path = require('path');
+const { reviewText } = require('./text');
+
+const WORDLIST_PATH = process.env.PROFANITY_WORDLIST_PATH || path.join(__dirname, 'profanity-words.txt');
+
+const WORDLIST = new Set(
+  fs.readFileSync(WORDLIST_PATH, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'))
+);
+
+// Undo the usual ways of dodging a wordlist ("sh1t", "@rse", "f.u.c.k")
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', '@': 'a', $: 's' };
+const deobfuscate = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[01345@$]/g, c => LEET[c])
+    .replace(/\b(?:[a-z][.\-*_]){2,}[a-z]\b/g, m => m.replace(/[.\-*_]/g, ''));
+
+module.exports = {
+  name: 'profanity',
+  async run(review) {
+    const tokens = deobfuscate(reviewText(review)).split(/[^a-z]+/);
+    const found = [...new Set(tokens.filter(t => WORDLIST.has(t)))];
+    if (!found.length) return [];
+
+    return [{
+      code: 'profanity',
+      message: 'Contains language that breaks the content guidelines',
+      terms: found,
+    }];
+  },
+};
@@ -0,0 +1,36 @@
+// src/services/screening/spam.js
+// Flags links and the usual signs of spam or keyboard-mashing
+const { reviewText, words } = require('./text');
+
+const URL = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|co\.uk|org|net|uk|io|info|biz|xyz|ru|online|site)\b/i;
+
+module.exports = {
+  name: 'spam',
+  async run(review) {
+    const text = reviewText(review);
+    const findings = [];
+
+    if (URL.test(text)) {
+      findings.push({ code: 'spam.url', message: 'Contains a link or web address' });
+    }
+
+    // Shouting: mostly capitals across a decent amount of text
+    const letters = text.replace(/[^A-Za-z]/g, '');
+    if (letters.length >= 40 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+      findings.push({ code: 'spam.shouting', message: 'Written mostly in capital letters' });
+    }
+
+    // "aaaaaaaa", "!!!!!!!!!!"
+    if (/(.)\1{7,}/.test(text)) {
+      findings.push({ code: 'spam.repeated_characters', message: 'Contains long runs of a repeated character' });
+    }
+
+    // The same few words over and over to reach the minimum length
+    const w = words(review.review_text);
+    if (w.length >= 20 && new Set(w).size / w.length < 0.3) {
+      findings.push({ code: 'spam.repetitive', message: 'Repeats the same words too often' });
+    }
+
+    return findings;
+  },
+};
@@ -0,0 +1,19 @@
+// src/services/screening/text.js
+// Text helpers shared by the screening checks
+
+// Every user-written field a check should look at, joined for pattern matching
+const reviewText = (review) =>
+  [review.review_title, review.review_text, review.reviewer_name].filter(Boolean).join('\n');
+
+// Lower-case words with punctuation stripped, for comparisons that ignore formatting
+const words = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+module.exports = {
+  reviewText,
+  words,
+};
@@ -0,0 +1,180 @@
+// src/services/searchExport.js
+// format=csv / format=geojson on the search endpoints. Exports ignore limit, offset and
+// cursor and stream every matching row through a server-side cursor, so memory stays
+// flat however big the result set is. Every export has the same columns, whichever
+// endpoint it came from. Anonymous callers get up to ANON_MAX_ROWS; more needs an API key.
+const { getClient } = require('../config/database');
+const { LATEST_OFSTED_JOIN, LATEST_CENSUS_JOIN } = require('./searchFilters');
+
+const EXPORT_FORMATS = ['csv', 'geojson'];
+const ANON_MAX_ROWS = parseInt(process.env.EXPORT_ANON_MAX_ROWS, 10) || 1000;
+const FETCH_SIZE = 1000;
+
+const OFSTED_LABELS = { 1: 'Outstanding', 2: 'Good', 3: 'Requires Improvement', 4: 'Inadequate' };
+
+// Output columns, in order. latitude/longitude double as the GeoJSON geometry.
+const EXPORT_COLUMNS = [
+  'urn', 'name', 'type_of_establishment', 'phase_of_education', 'gender', 'religious_character',
+  'street', 'town', 'postcode', 'local_authority', 'region', 'latitude', 'longitude',
+  'overall_rating', 'rating_percentile', 'ofsted_rating', 'ofsted_label', 'inspection_date',
+  'number_on_roll', 'fsm_percentage', 'distance_km',
+];
+
+// 'csv' / 'geojson' from ?format=, null for a normal JSON response
+function exportFormat(qs = {}) {
+  const format = String(qs.format || '').toLowerCase();
+  return EXPORT_FORMATS.includes(format) ? format : null;
+}
+
+/**
+ * SELECT producing EXPORT_COLUMNS (bar ofsted_label, added per row) for schools s.
+ * `joins` adds anything `where` / `orderBy` need beyond the latest inspection (o)
+ * and census (c); `distanceKm` is an expression when the search has a centre point.
+ */
+function exportSelectSql({ joins = '', where, orderBy = 's.urn', distanceKm = null, limit = null }) {
+  return `
+    SELECT
+      s.urn, s.name, s.type_of_establishment, s.phase_of_education, s.gender, s.religious_character,
+      s.street, s.town, s.postcode, s.local_authority, s.region, s.latitude, s.longitude,
+      s.overall_rating, s.rating_percentile,
+      o.overall_effectiveness AS ofsted_rating,
+      o.inspection_date,
+      COALESCE(c.number_on_roll, s.total_pupils) AS number_on_roll,
+      c.percentage_fsm_ever6 AS fsm_percentage,
+      ${distanceKm ? `ROUND((${distanceKm})::numeric, 3)` : 'NULL::numeric'} AS distance_km
+    FROM uk_schools s
+    ${LATEST_OFSTED_JOIN}
+    ${LATEST_CENSUS_JOIN}
+    ${joins}
+    WHERE ${where}
+    ORDER BY ${orderBy}${limit ? `\n    LIMIT ${parseInt(limit, 10)}` : ''}
+  `;
+}
+
+const csvCell = (v) => {
+  if (v === null || v === undefined) return '';
+  const str = String(v);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// pg parses DATE columns to local midnight, so format with local fields (toISOString can slip a day)
+const isoDate = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+const toNumber = (v) => (v === null || v === undefined || v === '' ? null : Number(v));
+
+function exportRow(row) {
+  return {
+    ...row,
+    ofsted_label: OFSTED_LABELS[row.ofsted_rating] || null,
+    inspection_date: row.inspection_date instanceof Date ? isoDate(row.inspection_date) : row.inspection_date,
+  };
+}
+
+function geojsonFeature(row) {
+  const lat = toNumber(row.latitude);
+  const lng = toNumber(row.longitude);
+  const properties = {};
+  for (const col of EXPORT_COLUMNS) {
+    if (col !== 'latitude' && col !== 'longitude') properties[col] = row[col] ?? null;
+  }
+  for (const col of ['overall_rating', 'rating_percentile', 'number_on_roll', 'fsm_percentage', 'distance_km']) {
+    properties[col] = toNumber(properties[col]);
+  }
+  return {
+    type: 'Feature',
+    id: row.urn,
+    geometry: lat === null || lng === null ? null : { type: 'Point', coordinates: [lng, lat] },
+    properties,
+  };
+}
+
+/**
+ * Streams the rows of `sql` (from exportSelectSql) to `res` as CSV or GeoJSON.
+ * Sends a 403 JSON error instead when the result is over the anonymous cap and
+ * the request has no API key.
+ */
+async function streamExport(req, res, { format, sql, values, filename }) {
+  const client = await getClient();
+  let aborted = false;
+  const onClose = () => { aborted = true; };
+  res.on('close', onClose);
+
+  try {
+    const { rows } = await client.query(`SELECT COUNT(*)::int AS total FROM (${sql}) export_rows`, values);
+    const total = rows[0].total;
+    if (total > ANON_MAX_ROWS && !req.apiKey) {
+      return res.status(403).json({
+        error: `This export has ${total} rows. Exports over ${ANON_MAX_ROWS} rows need an API key (X-API-Key header).`,
+        total,
+        max_rows_without_key: ANON_MAX_ROWS,
+      });
+    }
+
+    const safeName = String(filename || 'schools').replace(/[^A-Za-z0-9_-]+/g, '-').slice(0, 80) || 'schools';
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/geo+json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${safeName}.${format}"`,
+      'X-Total-Count': String(total),
+    });
+    res.write(format === 'csv'
+      ? `${EXPORT_COLUMNS.join(',')}\r\n`
+      : '{"type":"FeatureCollection","features":[\n');
+
+    // A cursor needs a transaction; it only reads, so it is always rolled back
+    await client.query('BEGIN');
+    await client.query(`DECLARE export_cursor NO SCROLL CURSOR FOR ${sql}`, values);
+    let first = true;
+    while (!aborted) {
+      const batch = await client.query(`FETCH ${FETCH_SIZE} FROM export_cursor`);
+      if (!batch.rows.length) break;
+
+      let chunk = '';
+      for (const raw of batch.rows) {
+        const row = exportRow(raw);
+        if (format === 'csv') {
+          chunk += `${EXPORT_COLUMNS.map(col => csvCell(row[col])).join(',')}\r\n`;
+        } else {
+          chunk += `${first ? '' : ',\n'}${JSON.stringify(geojsonFeature(row))}`;
+          first = false;
+        }
+      }
+      // Respect backpressure so a slow client doesn't buffer the whole export in memory
+      if (!res.write(chunk) && !aborted) {
+        await new Promise(resolve => {
+          const resume = () => {
+            res.off('drain', resume);
+            res.off('close', resume);
+            resolve();
+          };
+          res.on('drain', resume);
+          res.on('close', resume);
+        });
+      }
+    }
+    await client.query('ROLLBACK');
+
+    if (!aborted) res.end(format === 'csv' ? '' : '\n]}\n');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (res.headersSent) {
+      // Too late for a JSON error: cut the download short so it isn't mistaken for complete
+      console.error('Export failed mid-stream:', error);
+      res.destroy(error);
+      return;
+    }
+    throw error;
+  } finally {
+    res.off('close', onClose);
+    client.release();
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  ANON_MAX_ROWS,
+  exportFormat,
+  exportSelectSql,
+  streamExport,
+};
@@ -0,0 +1,398 @@
+// src/services/searchFilters.js
+// Search filters as SQL, shared by /api/search, /nearby, /city/:city and the
+// local-authority summary so the results, count and facet queries can't drift.
+//
+// Filters come from the query string:
+//   q + type (name|postcode|location|trust|all; name and all are fuzzy), phase (exact), la,
+//   phases=Primary,Secondary,Sixth Form,Special,Independent,Academy
+//   ofsted=1,2   gender=boys,girls,mixed   religious=None,Roman Catholic
+//   minRating=6  ratingBand=9-10,7-9,unrated
+//   age=11 (child's age, within the school's age range)   faith=faith|none   setting=urban|rural
+//   open, nursery, boarding, sen, inTrust=true|false   gender=single (boys or girls)
+//   minFsm/maxFsm, minAttendance/maxAttendance (percent)   minCapacity/maxCapacity (places)
+// Every filter expects the school as `s` and the latest inspection as `o`
+// (LATEST_OFSTED_JOIN); the FSM and attendance ranges look up the latest year themselves.
+// validateSearchFilters() reports malformed values; parseSearchFilters() just drops them.
+
+const { fuzzyMatch } = require('./fuzzySearch');
+
+// Placeholder bookkeeping: add(value) appends to `values` and returns its "$n"
+function createParams(initial = []) {
+  const values = [...initial];
+  return {
+    values,
+    add(value) {
+      values.push(value);
+      return `$${values.length}`;
+    },
+  };
+}
+
+// Latest inspection / census row per school; plain joins return one row per inspection or year
+const LATEST_OFSTED_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT overall_effectiveness, inspection_date
+    FROM uk_ofsted_inspections o
+    WHERE o.urn = s.urn
+    ORDER BY COALESCE(inspection_date, publication_date) DESC NULLS LAST
+    LIMIT 1
+  ) o ON TRUE`;
+
+const LATEST_CENSUS_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT number_on_roll, percentage_fsm_ever6
+    FROM uk_census_data c2
+    WHERE c2.urn = s.urn
+    ORDER BY academic_year DESC NULLS LAST
+    LIMIT 1
+  ) c ON TRUE`;
+
+const LATEST_ABSENCE_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT overall_absence_rate
+    FROM uk_absence_data ua
+    WHERE ua.urn = s.urn
+    ORDER BY academic_year DESC NULLS LAST
+    LIMIT 1
+  ) a ON TRUE`;
+
+// School type checkboxes. These overlap (an academy can also be secondary), so each is its own test.
+const PHASES = [
+  { value: 'primary', label: 'Primary', sql: `LOWER(s.phase_of_education) LIKE '%primary%'` },
+  { value: 'secondary', label: 'Secondary', sql: `(LOWER(s.phase_of_education) LIKE '%secondary%' OR LOWER(s.type_of_establishment) LIKE '%secondary%')` },
+  { value: 'sixth form', label: 'Sixth Form', sql: `(LOWER(s.phase_of_education) LIKE '%sixth%' OR LOWER(s.type_of_establishment) LIKE '%sixth%' OR s.has_sixth_form = TRUE)` },
+  { value: 'special', label: 'Special', sql: `(LOWER(s.phase_of_education) LIKE '%special%' OR LOWER(s.type_of_establishment) LIKE '%special%')` },
+  { value: 'independent', label: 'Independent', sql: `(LOWER(s.establishment_group) LIKE '%independent%' OR LOWER(s.type_of_establishment) LIKE '%independent%')` },
+  { value: 'academy', label: 'Academy', sql: `(LOWER(s.establishment_group) LIKE '%academy%' OR LOWER(s.type_of_establishment) LIKE '%academy%')` },
+];
+
+const OFSTED_GRADES = [
+  { value: '1', label: 'Outstanding' },
+  { value: '2', label: 'Good' },
+  { value: '3', label: 'Requires Improvement' },
+  { value: '4', label: 'Inadequate' },
+];
+
+const GENDERS = [
+  { value: 'mixed', label: 'Mixed' },
+  { value: 'boys', label: 'Boys' },
+  { value: 'girls', label: 'Girls' },
+];
+
+// Bands are [min, max) on the 0-10 overall rating, except the top band which includes 10
+const RATING_BANDS = [
+  { value: '9-10', label: '9 - 10', min: 9 },
+  { value: '7-9', label: '7 - 9', min: 7, max: 9 },
+  { value: '5-7', label: '5 - 7', min: 5, max: 7 },
+  { value: '3-5', label: '3 - 5', min: 3, max: 5 },
+  { value: '0-3', label: 'Below 3', min: 0, max: 3 },
+  { value: 'unrated', label: 'Not rated' },
+];
+
+// Blank gender is treated as mixed, as on the school page
+const GENDER_EXPR = `CASE WHEN LOWER(TRIM(s.gender)) IN ('boys', 'girls') THEN LOWER(TRIM(s.gender)) ELSE 'mixed' END`;
+
+const RELIGIOUS_EXPR = `CASE
+    WHEN s.religious_character IS NULL
+      OR LOWER(TRIM(s.religious_character)) IN ('', 'none', 'does not apply') THEN 'None'
+    ELSE TRIM(s.religious_character)
+  END`;
+
+const RATING_BAND_EXPR = `CASE
+    WHEN s.overall_rating IS NULL THEN 'unrated'
+    ${RATING_BANDS.filter(b => b.min > 0)
+      .map(b => `WHEN s.overall_rating >= ${b.min} THEN '${b.value}'`)
+      .join('\n    ')}
+    ELSE '0-3'
+  END`;
+
+const list = (raw) => String(raw || '')
+  .split(',')
+  .map(v => v.trim())
+  .filter(Boolean);
+
+const FLAG_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+// Yes/no attribute filters: query param -> column (NULL counts as no)
+const FLAG_FILTERS = {
+  nursery: 's.has_nursery',
+  boarding: 's.is_boarding_school',
+  sen: 's.has_sen_provision',
+  inTrust: 's.is_part_of_trust',
+};
+
+// min/max range filters: name -> { params, bounds, expression }
+const RANGE_FILTERS = {
+  fsm: {
+    min: 'minFsm', max: 'maxFsm', lo: 0, hi: 100,
+    sql: `(SELECT percentage_fsm_ever6 FROM uk_census_data c3
+      WHERE c3.urn = s.urn ORDER BY academic_year DESC NULLS LAST LIMIT 1)`,
+  },
+  attendance: {
+    min: 'minAttendance', max: 'maxAttendance', lo: 0, hi: 100,
+    sql: `(SELECT 100 - overall_absence_rate FROM uk_absence_data ua2
+      WHERE ua2.urn = s.urn ORDER BY academic_year DESC NULLS LAST LIMIT 1)`,
+  },
+  capacity: { min: 'minCapacity', max: 'maxCapacity', lo: 0, hi: 10000, sql: 's.school_capacity' },
+};
+
+const FAITH_VALUES = ['faith', 'none'];
+const SETTING_VALUES = ['urban', 'rural'];
+const MIN_AGE = 0;
+const MAX_AGE = 25;
+
+// Comma-list filters: query param -> accepted values (as normalised by parseSearchFilters)
+const LIST_FILTERS = {
+  phases: { values: PHASES.map(p => p.value), normalise: v => v.toLowerCase().replace(/-/g, ' ') },
+  ofsted: { values: OFSTED_GRADES.map(g => g.value), normalise: v => v },
+  gender: { values: [...GENDERS.map(g => g.value), 'single'], normalise: v => v.toLowerCase() },
+  ratingBand: { values: RATING_BANDS.map(b => b.value), normalise: v => v },
+};
+
+const present = (v) => v !== undefined && v !== null && String(v).trim() !== '';
+const flag = (v) => (present(v) ? FLAG_VALUES[String(v).trim().toLowerCase()] : undefined);
+const number = (v) => (present(v) && /^\s*-?\d+(\.\d+)?\s*$/.test(String(v)) ? parseFloat(v) : null);
+
+/**
+ * Checks the attribute filters in req.query. Returns an error message for the
+ * first malformed one, or null when they are all usable (or absent).
+ */
+function validateSearchFilters(qs = {}) {
+  if (present(qs.minRating) && (number(qs.minRating) === null || number(qs.minRating) < 0 || number(qs.minRating) > 10)) {
+    return 'minRating must be a number from 0 to 10';
+  }
+  if (present(qs.age)) {
+    const age = number(qs.age);
+    if (!Number.isInteger(age) || age < MIN_AGE || age > MAX_AGE) {
+      return `age must be a whole number of years from ${MIN_AGE} to ${MAX_AGE}`;
+    }
+  }
+  for (const [name, { values, normalise }] of Object.entries(LIST_FILTERS)) {
+    if (list(qs[name]).some(v => !values.includes(normalise(v)))) {
+      return `${name} must be one of: ${values.join(', ')}`;
+    }
+  }
+  if (present(qs.faith) && !FAITH_VALUES.includes(String(qs.faith).toLowerCase())) {
+    return `faith must be one of: ${FAITH_VALUES.join(', ')}`;
+  }
+  if (present(qs.setting) && !SETTING_VALUES.includes(String(qs.setting).toLowerCase())) {
+    return `setting must be one of: ${SETTING_VALUES.join(', ')}`;
+  }
+  for (const name of ['open', ...Object.keys(FLAG_FILTERS)]) {
+    if (present(qs[name]) && flag(qs[name]) === undefined) return `${name} must be true or false`;
+  }
+  for (const range of Object.values(RANGE_FILTERS)) {
+    const min = number(qs[range.min]);
+    const max = number(qs[range.max]);
+    for (const [key, value] of [[range.min, min], [range.max, max]]) {
+      if (present(qs[key]) && (value === null || value < range.lo || value > range.hi)) {
+        return `${key} must be a number from ${range.lo} to ${range.hi}`;
+      }
+    }
+    if (min !== null && max !== null && min > max) return `${range.min} cannot be more than ${range.max}`;
+  }
+  return null;
+}
+
+// req.query -> normalised filter spec (unknown values are dropped)
+function parseSearchFilters(qs = {}) {
+  const minRating = parseFloat(qs.minRating);
+  const phases = list(qs.phases).map(v => v.toLowerCase().replace(/-/g, ' '));
+
+  return {
+    q: String(qs.q || '').trim(),
+    type: ['name', 'postcode', 'location', 'trust'].includes(qs.type) ? qs.type : 'all',
+    phase: qs.phase ? String(qs.phase) : null,
+    la: qs.la ? String(qs.la) : null,
+    phases: PHASES.map(p => p.value).filter(v => phases.includes(v)),
+    ofsted: list(qs.ofsted).map(v => parseInt(v, 10)).filter(v => [1, 2, 3, 4].includes(v)),
+    gender: list(qs.gender)
+      .flatMap(v => (v.toLowerCase() === 'single' ? ['boys', 'girls'] : [v.toLowerCase()]))
+      .filter(v => GENDERS.some(g => g.value === v)),
+    religious: list(qs.religious).map(v => v.toLowerCase()),
+    minRating: Number.isFinite(minRating) ? minRating : null,
+    ratingBands: list(qs.ratingBand).filter(v => RATING_BANDS.some(b => b.value === v)),
+    age: Number.isInteger(number(qs.age)) ? number(qs.age) : null,
+    faith: FAITH_VALUES.includes(String(qs.faith || '').toLowerCase()) ? String(qs.faith).toLowerCase() : null,
+    setting: SETTING_VALUES.includes(String(qs.setting || '').toLowerCase()) ? String(qs.setting).toLowerCase() : null,
+    openOnly: flag(qs.open) === true,
+    flags: Object.fromEntries(Object.keys(FLAG_FILTERS)
+      .filter(name => flag(qs[name]) !== undefined)
+      .map(name => [name, flag(qs[name])])),
+    ranges: Object.fromEntries(Object.entries(RANGE_FILTERS)
+      .map(([name, range]) => [name, { min: number(qs[range.min]), max: number(qs[range.max]) }])
+      .filter(([, r]) => r.min !== null || r.max !== null)),
+  };
+}
+
+// School attributes (age, faith, setting, status, provision, ranges) as WHERE conditions
+function attributeConditions(spec, params) {
+  const conds = [];
+  if (spec.age !== null) {
+    const age = params.add(spec.age);
+    conds.push(`(s.age_range_lower <= ${age} AND s.age_range_upper >= ${age})`);
+  }
+  if (spec.faith) conds.push(`(${RELIGIOUS_EXPR}) ${spec.faith === 'none' ? '=' : '<>'} 'None'`);
+  if (spec.setting === 'rural') conds.push(`LOWER(s.urban_rural) LIKE '%rural%'`);
+  if (spec.setting === 'urban') conds.push(`LOWER(s.urban_rural) NOT LIKE '%rural%'`);
+  // "Open" and "Open, but proposed to close"
+  if (spec.openOnly) conds.push(`LOWER(s.establishment_status) LIKE 'open%'`);
+  for (const [name, value] of Object.entries(spec.flags)) {
+    conds.push(`COALESCE(${FLAG_FILTERS[name]}, FALSE) = ${params.add(value)}`);
+  }
+  for (const [name, { min, max }] of Object.entries(spec.ranges)) {
+    const { sql } = RANGE_FILTERS[name];
+    if (min !== null) conds.push(`${sql} >= ${params.add(min)}`);
+    if (max !== null) conds.push(`${sql} <= ${params.add(max)}`);
+  }
+  return conds;
+}
+
+// Returns { condition, rank }; rank is only set for fuzzy (name/all) searches
+function textCondition(spec, params) {
+  if (!spec.q) return { condition: null, rank: null };
+  if (spec.type === 'location') {
+    // Prefer exact city/LA matches to avoid false positives like 'Londonderry'
+    const exact = params.add(spec.q);
+    const prefix = params.add(`${spec.q}%`);
+    return {
+      condition: `(LOWER(s.town) = LOWER(${exact}) OR LOWER(s.local_authority) = LOWER(${exact}) OR LOWER(s.local_authority) LIKE LOWER(${prefix}))`,
+      rank: null,
+    };
+  }
+  if (spec.type === 'trust') {
+    return { condition: `LOWER(s.trust_name) = LOWER(${params.add(spec.q)})`, rank: null };
+  }
+  if (spec.type === 'postcode') {
+    return { condition: `LOWER(s.postcode) LIKE LOWER(${params.add(`%${spec.q}%`)})`, rank: null };
+  }
+  if (spec.type === 'name') return fuzzyMatch(spec.q, params, ['name']);
+
+  const fuzzy = fuzzyMatch(spec.q, params);
+  return {
+    condition: `(${fuzzy.condition} OR LOWER(s.postcode) LIKE LOWER(${params.add(`%${spec.q}%`)}))`,
+    rank: fuzzy.rank,
+  };
+}
+
+/**
+ * Builds the filter conditions for a spec, adding their values to `params`.
+ * `common` always applies; each faceted dimension (phase, ofsted, gender,
+ * religious, rating) is kept apart so a facet can be counted without its own filter.
+ * Unused dimensions are null. `rank` is a relevance expression for fuzzy text searches.
+ */
+function buildFilterConditions(spec, params) {
+  const common = [];
+  const text = textCondition(spec, params);
+  if (text.condition) common.push(text.condition);
+  if (spec.phase) common.push(`s.phase_of_education = ${params.add(spec.phase)}`);
+  if (spec.la) common.push(`LOWER(s.local_authority) = LOWER(${params.add(spec.la)})`);
+  common.push(...attributeConditions(spec, params));
+
+  const rating = [];
+  if (spec.minRating !== null) rating.push(`s.overall_rating >= ${params.add(spec.minRating)}`);
+  if (spec.ratingBands.length) rating.push(`(${RATING_BAND_EXPR}) = ANY(${params.add(spec.ratingBands)}::text[])`);
+
+  return {
+    common,
+    rank: text.rank,
+    dimensions: {
+      phase: spec.phases.length
+        ? `(${PHASES.filter(p => spec.phases.includes(p.value)).map(p => p.sql).join(' OR ')})`
+        : null,
+      ofsted: spec.ofsted.length ? `o.overall_effectiveness = ANY(${params.add(spec.ofsted)}::int[])` : null,
+      gender: spec.gender.length ? `(${GENDER_EXPR}) = ANY(${params.add(spec.gender)}::text[])` : null,
+      religious: spec.religious.length ? `LOWER(${RELIGIOUS_EXPR}) = ANY(${params.add(spec.religious)}::text[])` : null,
+      rating: rating.length ? rating.join(' AND ') : null,
+    },
+  };
+}
+
+// Conditions -> SQL for a WHERE clause; `extra` conditions are ANDed in first
+function whereSql(conditions, extra = []) {
+  const parts = [
+    ...extra,
+    ...conditions.common,
+    ...Object.values(conditions.dimensions).filter(Boolean),
+  ];
+  return parts.length ? parts.join('\n  AND ') : 'TRUE';
+}
+
+/**
+ * One query that counts every facet value. Each facet is counted with all the
+ * other filters applied but not its own, so ticking "Good" still shows how many
+ * "Outstanding" schools there are. Uses the same `params` as the WHERE clause.
+ */
+function facetCountsSql(conditions, extra = []) {
+  const dims = conditions.dimensions;
+  const base = [...extra, ...conditions.common];
+  const match = (name) => dims[name] || 'TRUE';
+  const others = (name) => Object.keys(dims).filter(d => d !== name).map(d => `m_${d}`).join(' AND ');
+
+  return `
+    WITH base AS (
+      SELECT
+        ${PHASES.map((p, i) => `${p.sql} AS phase_${i}`).join(',\n        ')},
+        o.overall_effectiveness::text AS ofsted_key,
+        ${GENDER_EXPR} AS gender_key,
+        ${RELIGIOUS_EXPR} AS religious_key,
+        ${RATING_BAND_EXPR} AS rating_key,
+        ${Object.keys(dims).map(d => `COALESCE(${match(d)}, FALSE) AS m_${d}`).join(',\n        ')}
+      FROM uk_schools s
+      ${LATEST_OFSTED_JOIN}
+      WHERE ${base.length ? base.join('\n  AND ') : 'TRUE'}
+    )
+    SELECT 'phase' AS facet, v.value, COUNT(*)::int AS count
+    FROM base
+    CROSS JOIN LATERAL (VALUES ${PHASES.map((p, i) => `('${p.value}', phase_${i})`).join(', ')}) v(value, hit)
+    WHERE COALESCE(v.hit, FALSE) AND ${others('phase')}
+    GROUP BY v.value
+    UNION ALL
+    SELECT 'ofsted', ofsted_key, COUNT(*)::int FROM base
+    WHERE ofsted_key IS NOT NULL AND ${others('ofsted')} GROUP BY ofsted_key
+    UNION ALL
+    SELECT 'gender', gender_key, COUNT(*)::int FROM base WHERE ${others('gender')} GROUP BY gender_key
+    UNION ALL
+    SELECT 'religious', religious_key, COUNT(*)::int FROM base WHERE ${others('religious')} GROUP BY religious_key
+    UNION ALL
+    SELECT 'rating', rating_key, COUNT(*)::int FROM base WHERE ${others('rating')} GROUP BY rating_key`;
+}
+
+// Facet rows -> { phase: [{value, label, count}], ... }. Fixed lists keep zero-count
+// entries so checkboxes don't jump around; religious character is whatever is present.
+function formatFacets(rows) {
+  const counts = {};
+  rows.forEach(r => {
+    counts[r.facet] = counts[r.facet] || {};
+    counts[r.facet][r.value] = r.count;
+  });
+  const fixed = (facet, options) => options.map(({ value, label }) => ({
+    value,
+    label,
+    count: (counts[facet] || {})[value] || 0,
+  }));
+
+  return {
+    phase: fixed('phase', PHASES),
+    ofsted: fixed('ofsted', OFSTED_GRADES),
+    gender: fixed('gender', GENDERS),
+    religious: Object.entries(counts.religious || {})
+      .map(([value, count]) => ({ value, label: value, count }))
+      .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label)),
+    rating: fixed('rating', RATING_BANDS),
+  };
+}
+
+module.exports = {
+  LATEST_OFSTED_JOIN,
+  LATEST_CENSUS_JOIN,
+  LATEST_ABSENCE_JOIN,
+  RATING_BANDS,
+  createParams,
+  validateSearchFilters,
+  parseSearchFilters,
+  buildFilterConditions,
+  whereSql,
+  facetCountsSql,
+  formatFacets,
+};
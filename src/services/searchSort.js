@@ -0,0 +1,110 @@
+// src/services/searchSort.js
+// `sort` / `order` / `cursor` handling for /api/search and /nearby.
+//
+// Every ordering is (value IS NULL), value <dir>, s.urn, so schools without a
+// value always come last and ties break the same way on every page. A cursor
+// is the last row's position in that ordering, which keeps pages stable even
+// when rows are added or removed between requests (unlike OFFSET).
+const { LATEST_ABSENCE_JOIN } = require('./searchFilters');
+
+const REVIEW_STATS_JOIN = `
+  LEFT JOIN uk_school_review_stats rs ON rs.urn = s.urn`;
+
+// `expr` may use s (school), o (latest inspection), c (latest census) and, for
+// distance, d.distance_km; `join` is added to the FROM clause when needed.
+// Relevance has no fixed expression: it is the rank of the fuzzy text match.
+const SORTS = {
+  relevance: { expr: null, dir: 'desc' },
+  rating: { expr: 's.overall_rating', dir: 'desc' },
+  distance: { expr: 'd.distance_km', dir: 'asc', needsPoint: true },
+  ofsted: { expr: 'o.overall_effectiveness', dir: 'asc' },
+  inspection: { expr: 'o.inspection_date', dir: 'desc' },
+  pupils: { expr: 'COALESCE(c.number_on_roll, s.total_pupils)', dir: 'desc' },
+  fsm: { expr: 'c.percentage_fsm_ever6', dir: 'asc' },
+  attendance: { expr: '(100 - a.overall_absence_rate)', dir: 'desc', join: LATEST_ABSENCE_JOIN },
+  reviews: { expr: 'rs.avg_overall_rating', dir: 'desc', join: REVIEW_STATS_JOIN },
+  name: { expr: 'LOWER(s.name)', dir: 'asc' },
+};
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// Returns the cursor payload, or null if it isn't one of ours
+function decodeCursor(raw) {
+  try {
+    const c = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+    if (c && typeof c.k === 'string' && Number.isFinite(Number(c.u))) return c;
+  } catch (_) { /* fall through */ }
+  return null;
+}
+
+/**
+ * req.query -> { key, dir, expr, join, cursor }, or { error } for an unknown
+ * sort, distance without a point, relevance without a text search, or a cursor
+ * from another ordering. Pass the fuzzy match rank as `relevance` when there is one;
+ * it then becomes the default sort.
+ */
+function parseSort(qs = {}, { defaultSort, hasPoint = false, relevance = null } = {}) {
+  const key = String(qs.sort || defaultSort || (relevance ? 'relevance' : 'rating')).toLowerCase();
+  const def = SORTS[key];
+  if (!def) return { error: `Unknown sort "${key}". Use one of: ${Object.keys(SORTS).join(', ')}` };
+  if (def.needsPoint && !hasPoint) return { error: 'sort=distance needs a location (use /api/search/nearby)' };
+  if (key === 'relevance' && !relevance) return { error: 'sort=relevance needs a name search' };
+
+  const order = String(qs.order || '').toLowerCase();
+  const dir = order === 'asc' || order === 'desc' ? order : def.dir;
+
+  let cursor = null;
+  if (qs.cursor) {
+    cursor = decodeCursor(qs.cursor);
+    if (!cursor) return { error: 'Invalid cursor' };
+    if (cursor.k !== key || cursor.d !== dir) return { error: 'Cursor does not match the requested sort' };
+  }
+
+  return { key, dir, expr: key === 'relevance' ? relevance : def.expr, join: def.join || '', cursor };
+}
+
+// ORDER BY clause for a parsed sort
+function orderBySql(sort) {
+  return `(${sort.expr}) IS NULL, ${sort.expr} ${sort.dir.toUpperCase()}, s.urn ASC`;
+}
+
+// Hidden column holding the row's sort value as text (round-trips exactly through the cursor)
+function sortValueSql(sort) {
+  return `(${sort.expr})::text AS sort_value`;
+}
+
+// Keyset condition for rows after the cursor, or null on the first page
+function cursorConditionSql(sort, params) {
+  const c = sort.cursor;
+  if (!c) return null;
+
+  const urn = params.add(Number(c.u));
+  // Past the non-null values: only the null tail remains
+  if (c.v === null) return `((${sort.expr}) IS NULL AND s.urn > ${urn})`;
+
+  const value = params.add(String(c.v));
+  const cmp = sort.dir === 'asc' ? '>' : '<';
+  return `((${sort.expr}) IS NULL OR ${sort.expr} ${cmp} ${value} OR (${sort.expr} = ${value} AND s.urn > ${urn}))`;
+}
+
+// Given limit + 1 fetched rows: trims the extra row, drops sort_value and returns the next cursor
+function paginate(sort, rows, limit) {
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const nextCursor = rows.length > limit && last
+    ? encodeCursor({ k: sort.key, d: sort.dir, v: last.sort_value ?? null, u: last.urn })
+    : null;
+  return {
+    rows: page.map(({ sort_value, ...row }) => row),
+    nextCursor,
+  };
+}
+
+module.exports = {
+  SORTS,
+  parseSort,
+  orderBySql,
+  sortValueSql,
+  cursorConditionSql,
+  paginate,
+};
@@ -0,0 +1,202 @@
+// src/services/suggester.js
+// The one autocomplete behind every search box (GET /api/search/suggest).
+// Returns schools, towns, local authorities, parliamentary constituencies, postcode
+// districts and trusts in a single list ranked by match quality, then popularity and rating, with the
+// matched parts of each label as [start, end) offsets for highlighting.
+const { createParams } = require('./searchFilters');
+const { fuzzyMatch } = require('./fuzzySearch');
+
+const SUGGESTION_TYPES = ['school', 'town', 'la', 'constituency', 'district', 'trust'];
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+
+// Small in-process LRU: Map keeps insertion order, so re-inserting on a hit moves the key to the end
+const cache = new Map();
+
+function cacheGet(key) {
+  const hit = cache.get(key);
+  if (!hit) return null;
+  cache.delete(key);
+  if (hit.expires < Date.now()) return null;
+  cache.set(key, hit);
+  return hit.value;
+}
+
+function cacheSet(key, value) {
+  cache.set(key, { value, expires: Date.now() + CACHE_TTL_MS });
+  if (cache.size > CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+}
+
+// Whole-word abbreviations, so "st" also highlights "Saint" (see school_search_norm())
+const WORD_SYNONYMS = { st: 'saint', saint: 'st', acad: 'academy', academy: 'acad' };
+
+const fold = (s) => String(s || '').toLowerCase().replace(/['’`]/g, '');
+
+/**
+ * [start, end) offsets of `text` matched by the words of `q`, in order: any word
+ * of the label starting with a query word (apostrophes ignored) or its abbreviation.
+ */
+function highlightRanges(text, q) {
+  const terms = fold(q).split(/[^a-z0-9]+/).filter(Boolean);
+  if (!text || !terms.length) return [];
+
+  const ranges = [];
+  const wordRe = /[A-Za-z0-9'’`]+/g;
+  let m;
+  while ((m = wordRe.exec(text)) !== null) {
+    const word = fold(m[0]);
+    for (const term of terms) {
+      let len = 0;
+      if (word.startsWith(term)) len = term.length;
+      else if (WORD_SYNONYMS[term] === word) len = word.length;
+      if (!len) continue;
+
+      // Map folded length back onto the original word (skipping apostrophes)
+      let end = m.index;
+      for (let seen = 0; seen < len && end < m.index + m[0].length; end++) {
+        if (!/['’`]/.test(text[end])) seen++;
+      }
+      ranges.push([m.index, end]);
+      break;
+    }
+  }
+  return ranges;
+}
+
+// Popularity and rating only break near-ties: match quality (0-2.x) dominates
+function score(match, { count = 0, countScale = 1000, rating = null }) {
+  const popularity = Math.min(Math.log10(count + 1) / Math.log10(countScale), 1) * 0.3;
+  const quality = rating !== null && rating !== undefined ? (parseFloat(rating) / 10) * 0.2 : 0;
+  return Number((parseFloat(match || 0) + popularity + quality).toFixed(4));
+}
+
+// Towns, LAs, constituencies and trusts share a shape: name, school count, centroid, average rating
+function placeSql(column, match) {
+  return `
+    SELECT ${column} AS text,
+           COUNT(*)::int AS school_count,
+           MAX(${match.rank}) AS match,
+           AVG(s.overall_rating) AS avg_rating,
+           MAX(s.region) AS region,
+           AVG(s.latitude) FILTER (WHERE s.latitude IS NOT NULL AND s.longitude IS NOT NULL) AS lat,
+           AVG(s.longitude) FILTER (WHERE s.latitude IS NOT NULL AND s.longitude IS NOT NULL) AS lng
+    FROM uk_schools s
+    WHERE ${match.condition}
+    GROUP BY ${column}
+    ORDER BY match DESC, school_count DESC
+    LIMIT $1`;
+}
+
+const OUTCODE_EXPR = `UPPER(SPLIT_PART(TRIM(s.postcode), ' ', 1))`;
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+const toFloat = (v) => (v === null || v === undefined ? null : parseFloat(v));
+
+const FETCHERS = {
+  async school(db, q, limit) {
+    const params = createParams([limit, q.replace(/[%_]/g, '') + '%']);
+    const match = fuzzyMatch(q, params, ['name']);
+    const { rows } = await db.query(
+      `SELECT s.urn, s.name, s.town, s.postcode, s.overall_rating,
+              COALESCE(s.total_pupils, 0) AS pupils,
+              GREATEST(${match.rank}, CASE WHEN s.postcode ILIKE $2 THEN 1.5 ELSE 0 END) AS match
+       FROM uk_schools s
+       WHERE ${match.condition} OR s.postcode ILIKE $2
+       ORDER BY match DESC, s.overall_rating DESC NULLS LAST
+       LIMIT $1`,
+      params.values
+    );
+    return rows.map(r => ({
+      type: 'school',
+      text: r.name,
+      description: [r.town, r.postcode].filter(Boolean).join(' • '),
+      urn: r.urn,
+      town: r.town,
+      postcode: r.postcode,
+      overall_rating: toFloat(r.overall_rating),
+      score: score(r.match, { count: r.pupils, countScale: 2000, rating: r.overall_rating }),
+    }));
+  },
+
+  town: (db, q, limit) => places(db, q, limit, { type: 'town', column: 's.town', label: 'Town' }),
+  la: (db, q, limit) => places(db, q, limit, { type: 'la', column: 's.local_authority', label: 'Local authority' }),
+  constituency: (db, q, limit) => places(db, q, limit, {
+    type: 'constituency', column: 's.parliamentary_constituency', label: 'Constituency',
+  }),
+  trust: (db, q, limit) => places(db, q, limit, { type: 'trust', column: 's.trust_name', label: 'Trust' }),
+
+  async district(db, q, limit) {
+    // The outward half of a postcode, e.g. "SW1A" from "sw1a 1aa"
+    const outcode = q.split(/\s+/)[0].replace(/[%_]/g, '').toUpperCase().slice(0, 4);
+    if (!/^[A-Z]{1,2}\d/.test(outcode)) return [];
+    const { rows } = await db.query(
+      `SELECT ${OUTCODE_EXPR} AS text,
+              COUNT(*)::int AS school_count,
+              AVG(s.overall_rating) AS avg_rating,
+              AVG(s.latitude) FILTER (WHERE s.latitude IS NOT NULL AND s.longitude IS NOT NULL) AS lat,
+              AVG(s.longitude) FILTER (WHERE s.latitude IS NOT NULL AND s.longitude IS NOT NULL) AS lng
+       FROM uk_schools s
+       WHERE ${OUTCODE_EXPR} LIKE $2
+       GROUP BY 1
+       ORDER BY (${OUTCODE_EXPR} = $3) DESC, school_count DESC
+       LIMIT $1`,
+      [limit, outcode + '%', outcode]
+    );
+    return rows.map(r => ({
+      type: 'district',
+      text: r.text,
+      description: `Postcode district • ${plural(r.school_count, 'school')}`,
+      school_count: r.school_count,
+      lat: toFloat(r.lat),
+      lng: toFloat(r.lng),
+      score: score(r.text === outcode ? 2 : 1.5, { count: r.school_count, rating: r.avg_rating }),
+    }));
+  },
+};
+
+// `type` doubles as the fuzzySearch field name
+async function places(db, q, limit, { type, column, label }) {
+  const params = createParams([limit]);
+  const match = fuzzyMatch(q, params, [type]);
+  const { rows } = await db.query(placeSql(column, match), params.values);
+  return rows.map(r => ({
+    type,
+    text: r.text,
+    description: `${label} • ${plural(r.school_count, 'school')}`,
+    region: r.region || null,
+    school_count: r.school_count,
+    lat: toFloat(r.lat),
+    lng: toFloat(r.lng),
+    score: score(r.match, { count: r.school_count, rating: r.avg_rating }),
+  }));
+}
+
+/**
+ * Ranked suggestions for `q`. `types` limits the kinds returned (default: all).
+ * Results are cached in-process for a few minutes per (query, types, limit).
+ */
+async function suggest(db, q, { types = SUGGESTION_TYPES, limit = 10 } = {}) {
+  const query = String(q || '').trim();
+  if (query.length < 2) return [];
+
+  const wanted = SUGGESTION_TYPES.filter(t => types.includes(t));
+  const key = `${wanted.join(',')}|${limit}|${query.toLowerCase().replace(/\s+/g, ' ')}`;
+  const hit = cacheGet(key);
+  if (hit) return hit;
+
+  const lists = await Promise.all(wanted.map(t => FETCHERS[t](db, query, limit)));
+  const suggestions = lists
+    .flat()
+    .sort((a, b) => b.score - a.score || a.text.localeCompare(b.text))
+    .slice(0, limit)
+    .map(s => ({ ...s, highlight: highlightRanges(s.text, query) }));
+
+  cacheSet(key, suggestions);
+  return suggestions;
+}
+
+module.exports = {
+  SUGGESTION_TYPES,
+  suggest,
+  highlightRanges,
+};
@@ -0,0 +1,118 @@
+// test/mvt.test.js
+// The hand-rolled vector tile encoder (src/services/mvt.js). Mapbox GL drops tiles with a
+// wrong field number or wire type without an error, so the output is read back field by
+// field here, and one small tile is pinned byte for byte.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeTile } = require('../src/services/mvt');
+
+// Minimal protobuf reader: message bytes -> [{ field, wireType, value }]
+function readVarint(buf, pos) {
+  let n = 0;
+  let scale = 1;
+  let byte;
+  do {
+    byte = buf[pos++];
+    n += (byte & 127) * scale;
+    scale *= 128;
+  } while (byte & 128);
+  return [n, pos];
+}
+
+function readMessage(buf) {
+  const fields = [];
+  let pos = 0;
+  while (pos < buf.length) {
+    let key;
+    [key, pos] = readVarint(buf, pos);
+    const field = Math.floor(key / 8);
+    const wireType = key % 8;
+    let value;
+    if (wireType === 0) {
+      [value, pos] = readVarint(buf, pos);
+    } else if (wireType === 1) {
+      value = buf.subarray(pos, pos + 8);
+      pos += 8;
+    } else if (wireType === 2) {
+      let length;
+      [length, pos] = readVarint(buf, pos);
+      value = buf.subarray(pos, pos + length);
+      pos += length;
+    } else {
+      throw new Error(`Unexpected wire type ${wireType}`);
+    }
+    fields.push({ field, wireType, value });
+  }
+  return fields;
+}
+
+function readPacked(buf) {
+  const values = [];
+  let pos = 0;
+  while (pos < buf.length) {
+    let v;
+    [v, pos] = readVarint(buf, pos);
+    values.push(v);
+  }
+  return values;
+}
+
+const all = (fields, field) => fields.filter(f => f.field === field);
+const one = (fields, field) => {
+  const found = all(fields, field);
+  assert.equal(found.length, 1, `expected one field ${field}`);
+  return found[0];
+};
+const unzigzag = n => (n % 2 ? -(n + 1) / 2 : n / 2);
+
+test('pins the bytes of a one-point tile', () => {
+  const tile = encodeTile([{ name: 's', features: [{ id: 1, x: -1, y: 2, properties: { a: null } }] }]);
+  // Tile.layers(3) { version(15)=2, name(1)='s', features(2) { id(1)=1, type(3)=POINT,
+  // geometry(4)=[MoveTo(1), zigzag(-1), zigzag(2)] }, extent(5)=4096 }
+  assert.equal(tile.toString('hex'), '1a13' + '7802' + '0a0173' + '1209' + '0801' + '1801' + '2203090104' + '288020');
+});
+
+test('encodes a layer with negative coordinates, doubles, strings and nulls', () => {
+  const tile = encodeTile([{
+    name: 'schools',
+    extent: 512,
+    features: [
+      { id: 100001, x: -5, y: 10, properties: { name: "St John's & St Mary's", rating: 7.5, ofsted: null, pupils: 300 } },
+      { id: 100002, x: 511, y: 0, properties: { name: "St John's & St Mary's", change: -2 } },
+    ],
+  }]);
+
+  const tileFields = readMessage(tile);
+  assert.deepEqual(tileFields.map(f => [f.field, f.wireType]), [[3, 2]]);
+
+  const layer = readMessage(tileFields[0].value);
+  assert.equal(one(layer, 15).value, 2);
+  assert.equal(one(layer, 1).value.toString('utf8'), 'schools');
+  assert.equal(one(layer, 5).value, 512);
+  assert.deepEqual(all(layer, 3).map(f => f.value.toString('utf8')), ['name', 'rating', 'pupils', 'change']);
+
+  // Value messages: string(1), double(3, fixed64), uint(5), sint(6); the shared name is stored once
+  const values = all(layer, 4).map(f => readMessage(f.value));
+  assert.deepEqual(values.map(v => v.map(f => [f.field, f.wireType])), [[[1, 2]], [[3, 1]], [[5, 0]], [[6, 0]]]);
+  assert.equal(values[0][0].value.toString('utf8'), "St John's & St Mary's");
+  assert.equal(values[1][0].value.readDoubleLE(0), 7.5);
+  assert.deepEqual([...all(layer, 4)[1].value], [0x19, ...Buffer.from([0, 0, 0, 0, 0, 0, 0x1e, 0x40])]);
+  assert.equal(values[2][0].value, 300);
+  assert.equal(unzigzag(values[3][0].value), -2);
+
+  const features = all(layer, 2).map(f => readMessage(f.value));
+  assert.equal(features.length, 2);
+  const [first, second] = features;
+
+  assert.equal(one(first, 1).value, 100001);
+  assert.equal(one(first, 3).value, 1);
+  // The null ofsted property is left out: name, rating, pupils only
+  assert.deepEqual(readPacked(one(first, 2).value), [0, 0, 1, 1, 2, 2]);
+  const geometry = readPacked(one(first, 4).value);
+  assert.deepEqual(geometry, [9, 9, 20]);
+  assert.deepEqual([unzigzag(geometry[1]), unzigzag(geometry[2])], [-5, 10]);
+
+  assert.equal(one(second, 1).value, 100002);
+  assert.deepEqual(readPacked(one(second, 2).value), [0, 0, 3, 3]);
+  assert.deepEqual(readPacked(one(second, 4).value), [9, 1022, 0]);
+});
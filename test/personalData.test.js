@@ -0,0 +1,34 @@
+// test/personalData.test.js
+// Children's names in reviews (src/services/screening/personalData.js): named children are
+// flagged, school words that follow "my son" / "our daughter" are not.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const personalData = require('../src/services/screening/personalData');
+
+const childNameFinding = async (text) =>
+  (await personalData.run({ review_text: text })).find(f => f.code === 'personal_data.child_name');
+
+for (const text of [
+  'My son Oliver has loved every minute here.',
+  'Our daughter, Amelia, settled in quickly.',
+  'A boy called Jack was very kind to her.',
+]) {
+  test(`flags a child's name: "${text}"`, async () => {
+    assert.ok(await childNameFinding(text));
+  });
+}
+
+for (const text of [
+  'I spoke to my son Year 5 teacher about homework.',
+  'We visited our daughter Reception class on the open day.',
+  'My son Key Stage 2 results were better than expected.',
+]) {
+  test(`does not flag school words: "${text}"`, async () => {
+    assert.equal(await childNameFinding(text), undefined);
+  });
+}
+
+test('counts each named child once', async () => {
+  const finding = await childNameFinding('Her twins Ava and Mia: my daughter Ava loves it.');
+  assert.equal(finding.count, 1);
+});
@@ -0,0 +1,25 @@
+// test/ratings.test.js
+// Golden files for the shared rating engine (src/services/ratings.js): each fixture in
+// fixtures/ratings holds a school row, its LA averages and the rating they must produce.
+// A change here is a methodology change, so bump RATING_METHODOLOGY with it.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ratingInputs, calculateRating } = require('../src/services/ratings');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'ratings');
+
+for (const file of fs.readdirSync(FIXTURE_DIR).filter(f => f.endsWith('.json')).sort()) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+
+  test(`${path.basename(file, '.json')}: ${fixture.description}`, () => {
+    const result = calculateRating(ratingInputs(fixture.school), fixture.la_averages);
+    assert.deepEqual({
+      score: result.score ?? null,
+      rating: result.rating,
+      components: result.components || result.available_components,
+      data_completeness: result.data_completeness,
+    }, fixture.expected);
+  });
+}